@@ -12,6 +12,12 @@ class ACSAPIService {
         this.baseUrl = options.baseUrl || 'https://api.census.gov/data';
         this.year = options.year || '2022';
         this.dataset = options.dataset || 'acs/acs5';
+        this.includeMOE = options.includeMOE !== false;
+        this.derivedMetrics = options.derivedMetrics || null;
+        this.dataPacks = options.dataPacks || null;
+        this.geographies = options.geographies || new GeographyRegistry();
+        this.datasets = options.datasets || new DatasetRegistry();
+        this.geography = options.geography || 'zcta';
         
         // Rate limiting
         this.maxRetries = options.maxRetries || 3;
@@ -19,15 +25,37 @@ class ACSAPIService {
         this.batchSize = options.batchSize || 10;
         this.requestsPerMinute = options.requestsPerMinute || 50;
         
+        // Retry policy (jittered exponential backoff; a 429's Retry-After takes precedence)
+        this.retryBaseDelay = options.retryBaseDelay ?? 1000;
+        this.retryMaxDelay = options.retryMaxDelay ?? 30000;
+        
+        // Circuit breaker: consecutive transient failures pause every request for a cooldown
+        this.circuitThreshold = options.circuitThreshold || 5;
+        this.circuitCooldown = options.circuitCooldown ?? 30000;
+        
+        // Request scheduling (the API accepts 50 `get` variables; NAME and MOEs count)
+        this.coalesceDelay = options.coalesceDelay ?? 25;
+        this.maxVariablesPerRequest = options.maxVariablesPerRequest || 24;
+        
+        // Areas per state (or nationwide) above which one `for=<level>:*` pull replaces batches
+        this.wildcardThreshold = options.wildcardThreshold || 250;
+        
         // Caching
         this.cacheVersion = options.cacheVersion || '1.0';
         this.cachePrefix = `acs_cache_v${this.cacheVersion}_`;
         this.cacheDuration = 30 * 24 * 60 * 60 * 1000; // 30 days
+        this.staleDuration = options.staleDuration ?? 30 * 24 * 60 * 60 * 1000; // expired values kept as a fallback
+        this.maxCacheSizeMB = options.maxCacheSizeMB || 200;
+        this.cacheStorage = options.cacheStorage ||
+            (typeof indexedDB !== 'undefined' ? new IndexedDBCacheStorage() : new MemoryCacheStorage());
         
         // State
         this.requestQueue = [];
         this.isProcessingQueue = false;
+        this.inFlight = new Map();
         this.requestTimestamps = [];
+        this.rateLimitedUntil = 0;
+        this.circuit = { state: 'closed', failures: 0, openUntil: 0, probe: null, settleProbe: null };
         this.activeRequests = new Set();
         
         // Statistics
@@ -36,7 +64,12 @@ class ACSAPIService {
             successfulRequests: 0,
             failedRequests: 0,
             cacheHits: 0,
+            partialCacheHits: 0,
+            packHits: 0,
             cacheMisses: 0,
+            deduplicatedPairs: 0,
+            cancelledRequests: 0,
+            retriedRequests: 0,
             totalTime: 0,
             avgResponseTime: 0
         };
@@ -49,7 +82,7 @@ class ACSAPIService {
         this.eventHandlers = new Map();
         
         // Initialize
-        this.cleanCache();
+        this.cacheReady = this.initializeCache();
     }
 
     // ============================================================================
@@ -58,86 +91,157 @@ class ACSAPIService {
 
     /**
      * Fetch ACS data for multiple ZIP codes
+     * (options.signal cancels the request; it then rejects with an AbortError)
      */
     async fetchDataForZips(zipCodes, variables, options = {}) {
+        return this.fetchDataForGeographies(zipCodes, variables, { ...options, geography: 'zcta' });
+    }
+
+    /**
+     * Fetch ACS data for GEOIDs of one geography (options.geography, default this.geography).
+     * Resolves to records keyed by GEOID, or with options.detailed to
+     * {data, status, errors, summary, timings, requestId} where status[geoid] is
+     * {status: 'ok'|'stale'|'missing'|'invalid'|'failed', source, sources, error}
+     */
+    async fetchDataForGeographies(geoids, variables, options = {}) {
         const startTime = performance.now();
         const requestId = this.generateRequestId();
         
         try {
-            this.emit('requestStart', { requestId, zipCodes, variables });
+            // Year, dataset and geography may be overridden per request
+            const scope = this.getRequestScope(options);
+            const geography = this.geographies.get(scope.geography);
+            
+            this.emit('requestStart', { requestId, geoids: geoids || [], geography: scope.geography, variables });
             
             if (!Array.isArray(variables)) {
                 variables = [variables];
             }
 
+            this.throwIfAborted(options.signal);
+
             // Validate input
-            if (!zipCodes || zipCodes.length === 0) {
-                throw new Error('No ZIP codes provided');
+            if (!geoids || geoids.length === 0) {
+                throw new Error(`No ${geography.label} GEOIDs provided`);
             }
 
             if (!variables || variables.length === 0) {
                 throw new Error('No variables specified');
             }
 
+            if (this.datasets.has(scope.dataset) && !this.datasets.supportsGeography(scope.dataset, scope.geography)) {
+                throw new Error(`${this.datasets.get(scope.dataset).label} does not publish ${geography.label} data`);
+            }
+
+            const invalid = geoids.filter(geoid => this.geographies.normalizeGeoid(scope.geography, geoid) !== geoid);
+            if (invalid.length > 0) {
+                throw new Error(`Invalid ${geography.label} GEOIDs: ${invalid.slice(0, 5).join(', ')}`);
+            }
+
+
+            // Derived metrics are computed from the raw variables they reference
+            const derivedIds = this.derivedMetrics ?
+                variables.filter(v => this.derivedMetrics.has(v)) : [];
+            if (derivedIds.length > 0) {
+                variables = this.derivedMetrics.resolveVariables(variables);
+            }
+
             // Prepare results
             const results = new Map();
-            const missingZips = [];
+            const partials = new Map();
+            const missing = new Map();
+            const outcomes = new Map();
+            const timings = { cache: 0, packs: 0, fetch: 0, total: 0 };
+            let stepStart = performance.now();
             
-            // Check cache first
-            for (const zip of zipCodes) {
-                const cached = this.getFromCache(zip, variables);
-                if (cached) {
-                    results.set(zip, cached);
+            // Check cache, then offline data packs; partial hits only fetch the variables they lack
+            const cached = await this.getCachedValues(geoids, variables, scope);
+            const fromCache = new Set(geoids.filter(geoid => cached.get(geoid).record));
+            timings.cache = performance.now() - stepStart;
+            
+            stepStart = performance.now();
+            const fromPacks = await this.fillFromDataPacks(cached, scope);
+            timings.packs = performance.now() - stepStart;
+            
+            geoids.forEach(geoid => {
+                const { record, missing: missingVariables } = cached.get(geoid);
+                
+                if (missingVariables.length === 0) {
+                    results.set(geoid, record);
                     this.stats.cacheHits++;
+                    return;
+                }
+                
+                if (record) {
+                    partials.set(geoid, record);
+                    this.stats.partialCacheHits++;
                 } else {
-                    missingZips.push(zip);
                     this.stats.cacheMisses++;
                 }
-            }
+                
+                missing.set(geoid, missingVariables);
+            });
 
-            // Fetch missing data
-            if (missingZips.length > 0) {
-                const batches = this.chunkArray(missingZips, this.batchSize);
-                const batchPromises = [];
+            // Fetch missing data through the shared scheduler
+            if (missing.size > 0) {
+                stepStart = performance.now();
+                const fetched = await this.scheduleFetch(missing, scope, options, outcomes);
+                timings.fetch = performance.now() - stepStart;
                 
-                for (const batch of batches) {
-                    batchPromises.push(
-                        this.fetchBatchWithRetry(batch, variables, options)
-                    );
+                for (const [geoid, data] of Object.entries(fetched)) {
+                    results.set(geoid, this.mergeRecords(partials.get(geoid), data));
                 }
                 
-                const batchResults = await Promise.allSettled(batchPromises);
-                
-                // Process batch results
-                for (const result of batchResults) {
-                    if (result.status === 'fulfilled') {
-                        for (const [zip, data] of Object.entries(result.value)) {
-                            results.set(zip, data);
-                            this.cacheData(zip, variables, data);
-                        }
-                    } else {
-                        console.error('Batch fetch failed:', result.reason);
-                        this.logError('Batch fetch failed', result.reason);
+                // Expired cache values stand in when refreshing failed
+                for (const geoid of missing.keys()) {
+                    const { stale } = cached.get(geoid);
+                    if (results.has(geoid) || !stale || outcomes.get(geoid)?.status !== 'failed') continue;
+                    
+                    const fresh = partials.get(geoid);
+                    const record = fresh ? { ...this.mergeRecords(stale, fresh), metadata: stale.metadata } : stale;
+                    if (variables.every(variable => variable in record.data)) {
+                        results.set(geoid, record);
                     }
                 }
             }
 
+            if (derivedIds.length > 0) {
+                for (const record of results.values()) {
+                    this.derivedMetrics.apply(record, derivedIds,
+                        (estimate, moe) => this.coefficientOfVariation(estimate, moe));
+                }
+            }
+
             const elapsedTime = performance.now() - startTime;
             this.stats.totalTime += elapsedTime;
             this.stats.avgResponseTime = this.stats.totalTime / this.stats.totalRequests;
+            timings.total = elapsedTime;
+            
+            const data = Object.fromEntries(results);
+            const details = options.detailed ?
+                this.describeResults(geoids, data, { scope, missing, outcomes, fromCache, fromPacks, timings, requestId }) :
+                null;
             
             this.emit('requestComplete', {
                 requestId,
                 duration: elapsedTime,
-                total: zipCodes.length,
-                cached: zipCodes.length - missingZips.length,
-                fetched: missingZips.length
+                total: geoids.length,
+                cached: geoids.length - missing.size,
+                fetched: missing.size,
+                ...(details ? { summary: details.summary } : {})
             });
 
-            return Object.fromEntries(results);
+            return details || data;
 
         } catch (error) {
             const elapsedTime = performance.now() - startTime;
+            
+            if (this.isAbortError(error)) {
+                this.stats.cancelledRequests++;
+                this.emit('requestCancelled', { requestId, duration: elapsedTime });
+                throw error;
+            }
+            
             this.stats.failedRequests++;
             
             this.emit('requestError', {
@@ -151,6 +255,212 @@ class ACSAPIService {
         }
     }
 
+    /**
+     * Build the detailed result envelope for fetchDataForGeographies()
+     */
+    describeResults(geoids, data, { scope, missing, outcomes, fromCache, fromPacks, timings, requestId }) {
+        const status = {};
+        const errors = new Map();
+        const summary = {
+            total: geoids.length,
+            ok: 0, stale: 0, missing: 0, invalid: 0, failed: 0,
+            fromCache: 0, fromPacks: 0, fromAPI: 0
+        };
+
+        for (const geoid of geoids) {
+            const record = data[geoid];
+            const outcome = outcomes.get(geoid);
+            const sources = [];
+
+            if (record) {
+                if (fromCache.has(geoid) || record.metadata?.stale) sources.push('cache');
+                if (fromPacks.has(geoid)) sources.push('pack');
+                if (missing.has(geoid) && !outcome) sources.push('api');
+            }
+
+            let state;
+            if (record?.metadata?.stale) {
+                state = 'stale';
+            } else if (record) {
+                state = 'ok';
+            } else {
+                state = outcome?.status || 'missing';
+            }
+
+            status[geoid] = {
+                status: state,
+                source: sources[sources.length - 1] || null,
+                sources,
+                error: outcome?.error ? { kind: outcome.error.kind || 'unknown', message: outcome.error.message } : null
+            };
+
+            summary[state]++;
+            if (sources.includes('cache')) summary.fromCache++;
+            if (sources.includes('pack')) summary.fromPacks++;
+            if (sources.includes('api')) summary.fromAPI++;
+
+            // Group errors so the same failure is listed once with its GEOIDs
+            if (outcome?.error) {
+                const key = `${outcome.error.kind}|${outcome.error.message}`;
+                if (!errors.has(key)) {
+                    errors.set(key, {
+                        kind: outcome.error.kind || 'unknown',
+                        message: outcome.error.message,
+                        status: outcome.error.status ?? null,
+                        variable: outcome.error.variable ?? null,
+                        dataset: scope.dataset,
+                        year: scope.year,
+                        geoids: []
+                    });
+                }
+                errors.get(key).geoids.push(geoid);
+            }
+        }
+
+        return {
+            requestId,
+            data,
+            status,
+            errors: Array.from(errors.values()),
+            summary,
+            timings: Object.fromEntries(Object.entries(timings).map(([step, ms]) => [step, Math.round(ms)]))
+        };
+    }
+
+    /**
+     * Fetch one variable for two vintages and compute change with significance.
+     * With options.detailed, resolves to the same envelope as fetchDataForGeographies()
+     * covering both vintages (see combineComparisonDetails)
+     */
+    async fetchComparison(geoids, variable, baseYear, compareYear = this.year, options = {}) {
+        if (String(baseYear) === String(compareYear)) {
+            throw new Error('Comparison years must differ');
+        }
+
+        // Sequential so both vintages share the rate limiter fairly
+        const baseResult = await this.fetchDataForGeographies(geoids, [variable], { ...options, year: baseYear });
+        const compareResult = await this.fetchDataForGeographies(geoids, [variable], { ...options, year: compareYear });
+        const baseData = options.detailed ? baseResult.data : baseResult;
+        const compareData = options.detailed ? compareResult.data : compareResult;
+
+        const changeVariable = this.getChangeVariable(variable);
+        const pctChangeVariable = this.getChangeVariable(variable, 'pct');
+        const results = {};
+
+        for (const [geoid, current] of Object.entries(compareData)) {
+            const base = baseData[geoid];
+            if (!base) continue;
+
+            const comparison = this.compareEstimates(
+                base.data[variable], base.moe?.[variable] ?? null,
+                current.data[variable], current.moe?.[variable] ?? null
+            );
+
+            results[geoid] = {
+                data: {
+                    ...current.data,
+                    [changeVariable]: comparison.change,
+                    [pctChangeVariable]: comparison.pctChange
+                },
+                moe: {
+                    ...current.moe,
+                    [changeVariable]: comparison.changeMoe,
+                    [pctChangeVariable]: comparison.pctChangeMoe
+                },
+                cv: {
+                    ...current.cv,
+                    [changeVariable]: this.coefficientOfVariation(comparison.change, comparison.changeMoe),
+                    [pctChangeVariable]: this.coefficientOfVariation(comparison.pctChange, comparison.pctChangeMoe)
+                },
+                significant: {
+                    [changeVariable]: comparison.significant,
+                    [pctChangeVariable]: comparison.significant
+                },
+                comparison: {
+                    variable,
+                    baseYear: String(baseYear),
+                    compareYear: String(compareYear),
+                    ...comparison
+                },
+                metadata: {
+                    ...current.metadata,
+                    baseYear: String(baseYear),
+                    baseFetchedAt: base.metadata?.fetchedAt
+                }
+            };
+        }
+
+        return options.detailed ?
+            this.combineComparisonDetails(geoids, results, baseResult, compareResult) :
+            results;
+    }
+
+    /**
+     * Merge the detailed envelopes of a comparison's two vintages: each area takes
+     * the worse of its two statuses (the base year's when it is the worse one) and
+     * the sources of both; errors keep the year they came from
+     */
+    combineComparisonDetails(geoids, data, base, compare) {
+        const rank = ['ok', 'stale', 'missing', 'invalid', 'failed'];
+        const status = {};
+        const summary = {
+            total: geoids.length,
+            ok: 0, stale: 0, missing: 0, invalid: 0, failed: 0,
+            fromCache: 0, fromPacks: 0, fromAPI: 0
+        };
+
+        for (const geoid of geoids) {
+            const baseStatus = base.status[geoid];
+            const compareStatus = compare.status[geoid];
+            const worse = rank.indexOf(baseStatus.status) > rank.indexOf(compareStatus.status) ?
+                baseStatus : compareStatus;
+            const sources = Array.from(new Set([...baseStatus.sources, ...compareStatus.sources]));
+
+            status[geoid] = { ...worse, sources };
+
+            summary[worse.status]++;
+            if (sources.includes('cache')) summary.fromCache++;
+            if (sources.includes('pack')) summary.fromPacks++;
+            if (sources.includes('api')) summary.fromAPI++;
+        }
+
+        const timings = {};
+        for (const [step, ms] of [...Object.entries(base.timings), ...Object.entries(compare.timings)]) {
+            timings[step] = (timings[step] || 0) + ms;
+        }
+
+        return {
+            requestId: compare.requestId,
+            data,
+            status,
+            errors: [...base.errors, ...compare.errors],
+            summary,
+            timings
+        };
+    }
+
+    /**
+     * Switch dataset (and vintage), keeping the year if the dataset has it
+     */
+    setDataset(datasetId, year = null) {
+        const dataset = this.datasets.get(datasetId);
+        const nextYear = year || (dataset.years.includes(this.year) ? this.year : dataset.defaultYear);
+
+        if (!dataset.years.includes(String(nextYear))) {
+            throw new Error(`${dataset.label} is not available for ${nextYear}`);
+        }
+
+        this.dataset = datasetId;
+        this.year = String(nextYear);
+
+        if (!dataset.geographies.includes(this.geography)) {
+            this.geography = dataset.defaultGeography;
+        }
+
+        this.emit('datasetChange', { dataset: this.dataset, year: this.year, geography: this.geography });
+        return dataset;
+    }
+
     /**
      * Fetch data for a single ZIP code
      */
@@ -164,107 +474,330 @@ class ACSAPIService {
     // ============================================================================
 
     /**
-     * Get data from cache
+     * Open the cache storage, migrate legacy entries and drop expired ones
      */
-    getFromCache(zip, variables) {
+    async initializeCache() {
         try {
-            const cacheKey = this.getCacheKey(zip, variables);
-            const cached = localStorage.getItem(cacheKey);
-            
-            if (!cached) return null;
+            await this.cacheStorage.open();
+        } catch (error) {
+            console.warn('Cache storage unavailable, using memory cache:', error);
+            this.cacheStorage = new MemoryCacheStorage();
+        }
 
-            const { data, metadata, expiry } = JSON.parse(cached);
-            
-            if (Date.now() > expiry) {
-                localStorage.removeItem(cacheKey);
-                return null;
+        try {
+            await this.migrateLegacyCache();
+            await this.cleanCache();
+        } catch (error) {
+            console.warn('Cache initialization error:', error);
+        }
+    }
+
+    /**
+     * Move `acs_cache_v1.0_` localStorage entries into cache storage (removing them,
+     * so this only does work once)
+     */
+    async migrateLegacyCache() {
+        if (typeof localStorage === 'undefined') return 0;
+
+        const legacyKeys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.cachePrefix)) {
+                legacyKeys.push(key);
+            }
+        }
+
+        if (legacyKeys.length === 0) return 0;
+
+        const entries = [];
+        const now = Date.now();
+
+        for (const key of legacyKeys) {
+            try {
+                const cached = JSON.parse(localStorage.getItem(key));
+                if (!cached || !cached.data || (cached.expiry && now > cached.expiry)) continue;
+
+                // Keys end in `<geoid>_<variable hash>`; variables are the cached data keys
+                const parts = key.slice(this.cachePrefix.length).split('_');
+                const geoid = parts[parts.length - 2];
+                const scope = this.getRequestScope({
+                    year: cached.metadata?.year,
+                    dataset: cached.metadata?.dataset,
+                    geography: cached.metadata?.geography || 'zcta'
+                });
+
+                // Legacy entries carry no MOEs; `migrated` lets them stand in where MOEs are required
+                const record = { ...cached, metadata: { ...cached.metadata, migrated: true } };
+                entries.push(...this.createCacheEntries(geoid, Object.keys(cached.data), record, scope, cached.expiry));
+            } catch (error) {
+                // Unreadable entries are dropped below
             }
+        }
 
-            return { data, metadata };
+        await this.cacheStorage.setMany(entries);
+        legacyKeys.forEach(key => localStorage.removeItem(key));
 
+        console.log(`Migrated ${entries.length} of ${legacyKeys.length} localStorage cache entries`);
+        this.emit('cacheMigrated', { migrated: entries.length, removed: legacyKeys.length });
+        return entries.length;
+    }
+
+    /**
+     * Get data from cache (null unless every variable is cached)
+     */
+    async getFromCache(geoid, variables, scope = this.getRequestScope()) {
+        const cached = await this.getCachedValues([geoid], variables, scope);
+        const { record, missing } = cached.get(geoid);
+        return missing.length === 0 ? record : null;
+    }
+
+    /**
+     * Assemble cached values per GEOID, listing the variables that still need fetching.
+     * Expired values (and migrated ones lacking required MOEs) are returned separately
+     * as `stale`, a fallback should refreshing fail.
+     * @returns {Map<string, {record: Object|null, missing: string[], stale: Object|null}>}
+     */
+    async getCachedValues(geoids, variables, scope = this.getRequestScope()) {
+        let entries = new Map();
+
+        try {
+            await this.cacheReady;
+            const keys = geoids.flatMap(geoid =>
+                variables.map(variable => this.getCacheKey(geoid, variable, scope))
+            );
+            entries = await this.cacheStorage.getMany(keys);
         } catch (error) {
             console.warn('Cache read error:', error);
-            return null;
         }
+
+        const now = Date.now();
+        const requireMOE = this.includeMOEFor(scope);
+        const found = new Map();
+
+        for (const geoid of geoids) {
+            let record = null;
+            let stale = null;
+            const missing = [];
+
+            for (const variable of variables) {
+                const key = this.getCacheKey(geoid, variable, scope);
+                const entry = entries.get(key);
+
+                if (!entry) {
+                    missing.push(variable);
+                    continue;
+                }
+
+                // Expired values are refetched (and overwritten); cleanCache() drops them later.
+                // Migrated values without the MOEs now required are refetched the same way.
+                if (now > entry.expiry || (requireMOE && !entry.hasMOE && entry.metadata?.migrated)) {
+                    if (!stale) {
+                        stale = { data: {}, moe: {}, cv: {}, metadata: { ...entry.metadata, stale: true } };
+                    }
+                    stale.data[variable] = entry.value;
+                    stale.moe[variable] = entry.moe;
+                    stale.cv[variable] = entry.cv;
+                    missing.push(variable);
+                    continue;
+                }
+
+                // Values cached without their MOE need refetching
+                if (requireMOE && !entry.hasMOE) {
+                    missing.push(variable);
+                    continue;
+                }
+
+                if (!record) {
+                    record = { data: {}, moe: {}, cv: {}, metadata: { ...entry.metadata } };
+                }
+
+                record.data[variable] = entry.value;
+                if (entry.hasMOE) {
+                    record.moe[variable] = entry.moe;
+                    record.cv[variable] = entry.cv;
+                }
+            }
+
+            found.set(geoid, { record, missing, stale });
+        }
+
+        return found;
     }
 
     /**
-     * Cache data
+     * Fill variables still missing after the cache lookup from offline data packs
+     * @param {Map} found - getCachedValues() result, updated in place
+     * @returns {Promise<Set<string>>} GEOIDs that received pack values
      */
-    cacheData(zip, variables, data) {
+    async fillFromDataPacks(found, scope) {
+        const filled = new Set();
+        if (!this.dataPacks || !this.dataPacks.covers(scope)) return filled;
+
+        const geoids = [];
+        const variables = new Set();
+        for (const [geoid, { missing }] of found) {
+            if (missing.length > 0) {
+                geoids.push(geoid);
+                missing.forEach(variable => variables.add(variable));
+            }
+        }
+
+        if (geoids.length === 0) return filled;
+
+        let packValues;
         try {
-            const cacheKey = this.getCacheKey(zip, variables);
-            const expiry = Date.now() + this.cacheDuration;
-            
-            const cacheEntry = {
-                data: data.data,
-                metadata: {
-                    ...data.metadata,
-                    cachedAt: new Date().toISOString(),
-                    cacheVersion: this.cacheVersion
-                },
-                expiry
-            };
+            packValues = await this.dataPacks.lookup(geoids, Array.from(variables), scope);
+        } catch (error) {
+            console.warn('Data pack lookup error:', error);
+            return filled;
+        }
 
-            localStorage.setItem(cacheKey, JSON.stringify(cacheEntry));
-            
-            // Manage cache size
-            this.manageCacheSize();
+        for (const [geoid, values] of packValues) {
+            const entry = found.get(geoid);
+            const stillMissing = [];
+
+            for (const variable of entry.missing) {
+                if (!(variable in values.data)) {
+                    stillMissing.push(variable);
+                    continue;
+                }
+
+                if (!entry.record) {
+                    entry.record = {
+                        data: {},
+                        moe: {},
+                        cv: {},
+                        metadata: {
+                            name: values.name,
+                            source: 'pack',
+                            pack: values.pack,
+                            dataset: scope.dataset,
+                            year: scope.year,
+                            geography: scope.geography
+                        }
+                    };
+                }
+
+                const moe = values.moe[variable] ?? null;
+                entry.record.data[variable] = values.data[variable];
+                entry.record.moe[variable] = moe;
+                entry.record.cv[variable] = this.coefficientOfVariation(values.data[variable], moe);
+            }
+
+            if (stillMissing.length < entry.missing.length) {
+                this.stats.packHits++;
+                filled.add(geoid);
+            }
+            entry.missing = stillMissing;
+        }
+
+        return filled;
+    }
+
+    /**
+     * Combine a partial cache hit with freshly fetched variables
+     */
+    mergeRecords(cached, fetched) {
+        if (!cached) return fetched;
+
+        return {
+            data: { ...cached.data, ...fetched.data },
+            moe: { ...cached.moe, ...fetched.moe },
+            cv: { ...cached.cv, ...fetched.cv },
+            metadata: fetched.metadata
+        };
+    }
+
+    /**
+     * Cache data (one entry per variable)
+     */
+    async cacheData(geoid, variables, data, scope = this.getRequestScope()) {
+        return this.cacheRecords({ [geoid]: data }, variables, scope);
+    }
+
+    /**
+     * Cache results keyed by GEOID in a single write
+     */
+    async cacheRecords(records, variables, scope = this.getRequestScope()) {
+        const entries = Object.entries(records).flatMap(([geoid, data]) =>
+            this.createCacheEntries(geoid, variables, data, scope)
+        );
+        if (entries.length === 0) return;
+
+        try {
+            await this.cacheReady;
+            await this.cacheStorage.setMany(entries);
 
         } catch (error) {
             console.warn('Cache write error:', error);
             
+            // Make room once and retry
             if (error.name === 'QuotaExceededError') {
-                this.clearOldestCacheEntries(20);
-                // Retry caching
-                setTimeout(() => this.cacheData(zip, variables, data), 0);
+                await this.clearOldestCacheEntries(100)
+                    .then(() => this.cacheStorage.setMany(entries))
+                    .catch(retryError => console.warn('Cache write retry failed:', retryError));
             }
         }
     }
 
     /**
-     * Clean expired cache entries
+     * Build storage records for the variables of a result
      */
-    cleanCache() {
-        const now = Date.now();
-        let cleaned = 0;
-        
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            
-            if (key.startsWith(this.cachePrefix)) {
-                try {
-                    const cached = JSON.parse(localStorage.getItem(key));
-                    if (cached.expiry && now > cached.expiry) {
-                        localStorage.removeItem(key);
-                        cleaned++;
-                    }
-                } catch (e) {
-                    localStorage.removeItem(key);
-                    cleaned++;
-                }
-            }
-        }
+    createCacheEntries(geoid, variables, data, scope, expiry = Date.now() + this.cacheDuration) {
+        const cachedAt = Date.now();
+        const hasMOE = Boolean(data.moe);
+        const metadata = {
+            ...data.metadata,
+            cachedAt: new Date(cachedAt).toISOString(),
+            cacheVersion: this.cacheVersion
+        };
+
+        // Variables the API did not return are left uncached
+        return variables
+            .filter(variable => variable in data.data)
+            .map(variable => {
+                const payload = {
+                    value: data.data[variable],
+                    moe: hasMOE ? data.moe[variable] ?? null : null,
+                    cv: hasMOE ? data.cv?.[variable] ?? null : null
+                };
+
+                return {
+                    key: this.getCacheKey(geoid, variable, scope),
+                    dataset: scope.dataset,
+                    year: scope.year,
+                    geography: scope.geography,
+                    geoid,
+                    variable,
+                    ...payload,
+                    hasMOE,
+                    metadata,
+                    cachedAt,
+                    expiry,
+                    size: JSON.stringify(payload).length
+                };
+            });
+    }
+
+    /**
+     * Clean cache entries expired for longer than the stale fallback period
+     */
+    async cleanCache() {
+        const cleaned = await this.cacheStorage.deleteExpired(Date.now() - this.staleDuration);
         
         if (cleaned > 0) {
             console.log(`Cleaned ${cleaned} expired cache entries`);
             this.emit('cacheCleaned', { cleaned });
         }
+        return cleaned;
     }
 
     /**
      * Clear all cache entries
      */
-    clearCache() {
-        let cleared = 0;
-        
-        for (let i = localStorage.length - 1; i >= 0; i--) {
-            const key = localStorage.key(i);
-            if (key.startsWith(this.cachePrefix)) {
-                localStorage.removeItem(key);
-                cleared++;
-            }
-        }
+    async clearCache() {
+        await this.cacheReady;
+        const cleared = await this.cacheStorage.clear();
         
         this.emit('cacheCleared', { cleared });
         return cleared;
@@ -273,131 +806,525 @@ class ACSAPIService {
     /**
      * Clear oldest cache entries
      */
-    clearOldestCacheEntries(count) {
-        const entries = [];
+    async clearOldestCacheEntries(count) {
+        const cleared = await this.cacheStorage.deleteOldest(count);
+        console.log(`Cleared ${cleared} oldest cache entries`);
+        return cleared;
+    }
+
+    /**
+     * Manage cache size
+     */
+    async manageCacheSize(maxSizeMB = this.maxCacheSizeMB) {
+        const maxSizeBytes = maxSizeMB * 1024 * 1024;
+        const { count, size } = await this.cacheStorage.stats();
         
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key.startsWith(this.cachePrefix)) {
-                try {
-                    const cached = JSON.parse(localStorage.getItem(key));
-                    entries.push({
-                        key,
-                        cachedAt: new Date(cached.metadata?.cachedAt || 0).getTime()
+        if (size > maxSizeBytes && count > 0) {
+            // Trim back to 80% assuming evenly sized entries
+            const averageSize = size / count;
+            const entriesToClear = Math.ceil((size - maxSizeBytes * 0.8) / averageSize);
+            await this.clearOldestCacheEntries(entriesToClear);
+        }
+    }
+
+    /**
+     * Get cache statistics
+     */
+    async getCacheStats() {
+        await this.cacheReady;
+        const { count, size, expired } = await this.cacheStorage.stats(Date.now());
+        
+        return {
+            count,
+            sizeKB: Math.round(size / 1024),
+            sizeMB: Math.round(size / (1024 * 1024)),
+            expired,
+            storage: this.cacheStorage.type
+        };
+    }
+
+    /**
+     * Get count of expired cache entries
+     */
+    async getExpiredCacheCount() {
+        const { expired } = await this.getCacheStats();
+        return expired;
+    }
+
+    // ============================================================================
+    // REQUEST SCHEDULING
+    // ============================================================================
+
+    /**
+     * Queue GEOID/variable pairs for fetching, sharing any pair already in flight.
+     * Aborting options.signal rejects this call at once; shared batches are only
+     * aborted once every caller waiting on them has gone.
+     * @param {Map<string, string[]>} requested - Variables to fetch per GEOID
+     * @param {Map} [outcomes] - Filled with {status, error} for GEOIDs not returned
+     *                           ('missing', 'invalid' or 'failed')
+     * @returns {Promise<Object>} Records keyed by GEOID (GEOIDs that failed or were not returned are omitted)
+     * @throws {CensusAPIError} When the API rejected the request itself (unknown variable, geography or key)
+     */
+    async scheduleFetch(requested, scope, options = {}, outcomes = null) {
+        const { signal = null } = options;
+        const scopeKey = this.getScopeKey(scope);
+        const pending = [];
+
+        this.throwIfAborted(signal);
+
+        for (const [geoid, variables] of requested) {
+            for (const variable of variables) {
+                const pairKey = `${scopeKey}|${geoid}|${variable}`;
+                let item = this.inFlight.get(pairKey);
+
+                if (item) {
+                    this.stats.deduplicatedPairs++;
+                } else {
+                    item = this.createQueueItem(pairKey, scope, scopeKey, options, geoid, variable);
+                    this.requestQueue.push(item);
+                    this.inFlight.set(pairKey, item);
+                }
+
+                item.callers.push(signal);
+                pending.push(item);
+            }
+        }
+
+        const onAbort = () => pending.forEach(item => this.cancelIfAbandoned(item));
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        this.processQueue();
+
+        let settled;
+        try {
+            settled = await this.raceAbort(Promise.allSettled(pending.map(item => item.promise)), signal);
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+        }
+
+        // Requests the API rejects outright fail the call; transient failures only drop their areas
+        const rejected = settled.find(result =>
+            result.status === 'rejected' && this.isRequestRejection(result.reason));
+        if (rejected) {
+            throw rejected.reason;
+        }
+
+        const recordsByGeoid = new Map();
+
+        settled.forEach((result, i) => {
+            const item = pending[i];
+            if (!recordsByGeoid.has(item.geoid)) {
+                recordsByGeoid.set(item.geoid, []);
+            }
+            recordsByGeoid.get(item.geoid).push(result.status === 'fulfilled' ? result.value : null);
+
+            // A failed request outranks a rejected GEOID, which outranks an absent row
+            if (outcomes && (result.status === 'rejected' || !result.value)) {
+                const outcome = result.status === 'rejected' ?
+                    { status: 'failed', error: result.reason } :
+                    { status: item.invalid ? 'invalid' : 'missing', error: null };
+                const previous = outcomes.get(item.geoid);
+                const rank = { missing: 0, invalid: 1, failed: 2 };
+
+                if (!previous || rank[outcome.status] > rank[previous.status]) {
+                    outcomes.set(item.geoid, outcome);
+                }
+            }
+        });
+
+        const results = {};
+
+        for (const [geoid, records] of recordsByGeoid) {
+            if (records.includes(null)) continue;
+
+            // Shared records may hold other callers' variables too
+            const merged = records.reduce((record, next) => this.mergeRecords(record, next), null);
+            results[geoid] = this.pickVariables(merged, requested.get(geoid));
+        }
+
+        return results;
+    }
+
+    /**
+     * Create a queued GEOID/variable pair with its own settle handles
+     */
+    createQueueItem(pairKey, scope, scopeKey, options, geoid, variable) {
+        // Batch options come from the first caller; signals are tracked per caller
+        const { signal, ...batchOptions } = options;
+        const item = { pairKey, scope, scopeKey, options: batchOptions, geoid, variable, callers: [], batch: null };
+
+        item.promise = new Promise((resolve, reject) => {
+            item.resolve = resolve;
+            item.reject = reject;
+        });
+
+        const release = () => this.releaseQueueItem(item);
+        item.promise.then(release, release);
+
+        return item;
+    }
+
+    /**
+     * Stop sharing a pair with new callers
+     */
+    releaseQueueItem(item) {
+        if (this.inFlight.get(item.pairKey) === item) {
+            this.inFlight.delete(item.pairKey);
+        }
+    }
+
+    /**
+     * Whether every caller waiting on a pair has cancelled
+     */
+    isAbandoned(item) {
+        return item.callers.every(signal => signal?.aborted);
+    }
+
+    /**
+     * Abort a dispatched batch once all of its pairs are abandoned
+     * (queued pairs are dropped when the queue is drained)
+     */
+    cancelIfAbandoned(item) {
+        const { batch } = item;
+        if (!batch || !this.isAbandoned(item)) return;
+
+        if (batch.items.every(other => this.isAbandoned(other))) {
+            batch.items.forEach(other => this.releaseQueueItem(other));
+            batch.controller.abort();
+        }
+    }
+
+    /**
+     * Drain the request queue after a short coalescing window
+     */
+    async processQueue() {
+        if (this.isProcessingQueue) return;
+
+        this.isProcessingQueue = true;
+
+        try {
+            // Let concurrent callers join the same batches
+            await this.sleep(this.coalesceDelay);
+
+            while (this.requestQueue.length > 0) {
+                const pending = this.requestQueue.splice(0).filter(item => {
+                    if (!this.isAbandoned(item)) return true;
+                    this.releaseQueueItem(item);
+                    item.reject(this.createAbortError());
+                    return false;
+                });
+                this.planBatches(pending).forEach(batch => this.dispatchBatch(batch));
+            }
+        } finally {
+            this.isProcessingQueue = false;
+        }
+    }
+
+    /**
+     * Merge queued pairs into API batches: one scope and one `in=` parent per batch,
+     * GEOIDs needing the same variables together
+     */
+    planBatches(pending) {
+        const scopes = new Map();
+
+        for (const item of pending) {
+            if (!scopes.has(item.scopeKey)) {
+                scopes.set(item.scopeKey, { scope: item.scope, options: item.options, geoids: new Map() });
+            }
+
+            const { geoids } = scopes.get(item.scopeKey);
+            if (!geoids.has(item.geoid)) {
+                geoids.set(item.geoid, []);
+            }
+            geoids.get(item.geoid).push(item);
+        }
+
+        const batches = [];
+
+        for (const { scope, options, geoids } of scopes.values()) {
+            const variableSets = new Map();
+
+            for (const [geoid, items] of geoids) {
+                const variables = items.map(item => item.variable).sort();
+                const setKey = variables.join(',');
+
+                if (!variableSets.has(setKey)) {
+                    variableSets.set(setKey, { variables, geoids: [], items: [] });
+                }
+
+                const variableSet = variableSets.get(setKey);
+                variableSet.geoids.push(geoid);
+                variableSet.items.push(...items);
+            }
+
+            for (const variableSet of variableSets.values()) {
+                const variableBatches = this.chunkArray(variableSet.variables, this.maxVariablesPerRequest);
+                const addBatch = (geoidBatch, variableBatch, wildcard = null) => {
+                    const inBatch = new Set(geoidBatch);
+                    const batchVariables = new Set(variableBatch);
+
+                    batches.push({
+                        scope,
+                        options: wildcard === null ? options : { ...options, wildcard },
+                        geoids: geoidBatch,
+                        variables: variableBatch,
+                        items: variableSet.items.filter(item =>
+                            inBatch.has(item.geoid) && batchVariables.has(item.variable))
                     });
-                } catch (e) {
-                    entries.push({ key, cachedAt: 0 });
+                };
+
+                // Large state/national sets come down in one bulk request each
+                const batched = [];
+                for (const [prefix, group] of this.groupForWildcard(scope.geography, variableSet.geoids)) {
+                    if (group.length >= this.wildcardThreshold) {
+                        variableBatches.forEach(variableBatch => addBatch(group, variableBatch, prefix));
+                    } else {
+                        batched.push(...group);
+                    }
+                }
+
+                const groups = this.geographies.groupByParent(scope.geography, batched);
+
+                for (const group of groups.values()) {
+                    for (const geoidBatch of this.chunkArray(group, this.batchSize)) {
+                        variableBatches.forEach(variableBatch => addBatch(geoidBatch, variableBatch));
+                    }
                 }
             }
         }
-        
-        entries.sort((a, b) => a.cachedAt - b.cachedAt);
-        
-        entries.slice(0, count).forEach(entry => {
-            localStorage.removeItem(entry.key);
+
+        return batches;
+    }
+
+    /**
+     * Group GEOIDs by the prefix a wildcard request would cover
+     */
+    groupForWildcard(geographyId, geoids) {
+        const groups = new Map();
+
+        for (const geoid of geoids) {
+            const prefix = this.geographies.getWildcardPrefix(geographyId, geoid);
+            if (!groups.has(prefix)) {
+                groups.set(prefix, []);
+            }
+            groups.get(prefix).push(geoid);
+        }
+
+        return groups;
+    }
+
+    /**
+     * Fetch one planned batch, cache it and settle its waiting pairs
+     */
+    async dispatchBatch(batch) {
+        const { scope, options, geoids, variables, items } = batch;
+        const invalid = new Set();
+        let data;
+
+        batch.controller = new AbortController();
+        items.forEach(item => {
+            item.batch = batch;
         });
-        
-        console.log(`Cleared ${Math.min(count, entries.length)} oldest cache entries`);
+
+        try {
+            data = await this.fetchBatchWithSplitting(geoids, variables, {
+                ...options,
+                ...scope,
+                signal: batch.controller.signal
+            }, invalid);
+        } catch (error) {
+            // Rejected requests fail the whole call and are logged there; other failures stop here
+            if (!this.isAbortError(error) && !this.isRequestRejection(error)) {
+                this.logError('Batch fetch failed', error);
+            }
+            items.forEach(item => item.reject(error));
+            return;
+        }
+
+        // Cache before settling so callers arriving next find the values
+        // (wildcard pulls cache every area returned, not just those requested);
+        // a failed write must not leave the waiting pairs unsettled
+        try {
+            await this.cacheRecords(data, variables, scope);
+        } catch (error) {
+            console.warn('Cache write error:', error);
+        }
+
+        items.forEach(item => {
+            item.invalid = invalid.has(item.geoid);
+            item.resolve(data[item.geoid] || null);
+        });
+
+        this.manageCacheSize()
+            .catch(error => console.warn('Cache maintenance error:', error));
     }
 
     /**
-     * Manage cache size
+     * Copy a record keeping only some variables
      */
-    manageCacheSize(maxSizeMB = 50) {
-        const maxSizeBytes = maxSizeMB * 1024 * 1024;
-        let totalSize = 0;
-        
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            const value = localStorage.getItem(key);
-            totalSize += key.length + value.length;
+    pickVariables(record, variables) {
+        const pick = (values) => values &&
+            Object.fromEntries(variables.filter(v => v in values).map(v => [v, values[v]]));
+
+        return {
+            ...record,
+            data: pick(record.data),
+            moe: pick(record.moe),
+            cv: pick(record.cv),
+            metadata: { ...record.metadata }
+        };
+    }
+
+    // ============================================================================
+    // API REQUEST MANAGEMENT
+    // ============================================================================
+
+    /**
+     * Fetch a batch, leaving out the GEOIDs the API rejects so a bad GEOID only
+     * loses itself; rejected GEOIDs are added to `invalid` and reported together
+     */
+    async fetchBatchWithSplitting(geoids, variables, options, invalid = new Set()) {
+        try {
+            return await this.fetchBatchWithRetry(geoids, variables, options);
+        } catch (error) {
+            // Wildcard pulls name no GEOIDs, so there is nothing to isolate
+            if (!this.isGeographyRejection(error) || typeof options.wildcard === 'string') {
+                throw error;
+            }
+
+            const rejected = new Set();
+            const results = await this.isolateRejected(geoids, variables, options, error, rejected, true);
+
+            rejected.forEach(geoid => invalid.add(geoid));
+            this.reportMissing(rejected, this.getRequestScope(options), 'invalid');
+            return results;
+        }
+    }
+
+    /**
+     * Narrow a rejected batch down to its bad GEOIDs: drop the one the API named,
+     * or else halve the batch until each rejection is a single GEOID
+     * @param {boolean} first - Whether this is the batch as requested; an unnamed
+     *   rejection failing both of its halves alike is about the whole request
+     *   (e.g. an unsupported geography hierarchy) and is rethrown
+     */
+    async isolateRejected(geoids, variables, options, error, rejected, first = false) {
+        if (geoids.length === 1) {
+            rejected.add(geoids[0]);
+            return {};
         }
-        
-        if (totalSize > maxSizeBytes) {
-            const toClear = Math.ceil((totalSize - maxSizeBytes * 0.8) / (1024 * 1024));
-            const entriesToClear = Math.max(50, Math.ceil(toClear * 10));
-            this.clearOldestCacheEntries(entriesToClear);
+
+        // Batches share one `in=` parent, so the named code ends exactly one GEOID
+        const named = error.code ? geoids.find(geoid => geoid.endsWith(error.code)) : null;
+        if (named) {
+            rejected.add(named);
+            return this.fetchOrIsolate(geoids.filter(geoid => geoid !== named), variables, options, rejected);
+        }
+
+        const middle = Math.ceil(geoids.length / 2);
+        const halves = [geoids.slice(0, middle), geoids.slice(middle)];
+        const settled = await Promise.allSettled(
+            halves.map(half => this.fetchBatchWithRetry(half, variables, options))
+        );
+
+        if (first && settled.every(result => result.status === 'rejected' && result.reason.message === error.message)) {
+            throw error;
         }
+
+        const parts = await Promise.all(settled.map((result, i) => {
+            if (result.status === 'fulfilled') {
+                return result.value;
+            }
+            if (!this.isGeographyRejection(result.reason)) {
+                throw result.reason;
+            }
+            return this.isolateRejected(halves[i], variables, options, result.reason, rejected);
+        }));
+
+        return Object.assign({}, ...parts);
     }
 
     /**
-     * Get cache statistics
+     * Fetch what is left of a batch, isolating any further rejections
      */
-    getCacheStats() {
-        let count = 0;
-        let totalSize = 0;
-        const now = Date.now();
-        
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key.startsWith(this.cachePrefix)) {
-                const value = localStorage.getItem(key);
-                totalSize += key.length + value.length;
-                count++;
+    async fetchOrIsolate(geoids, variables, options, rejected) {
+        if (geoids.length === 0) return {};
+
+        try {
+            return await this.fetchBatchWithRetry(geoids, variables, options);
+        } catch (error) {
+            if (!this.isGeographyRejection(error)) {
+                throw error;
             }
+            return this.isolateRejected(geoids, variables, options, error, rejected);
         }
-        
-        return {
-            count,
-            sizeKB: Math.round(totalSize / 1024),
-            sizeMB: Math.round(totalSize / (1024 * 1024)),
-            expired: this.getExpiredCacheCount()
-        };
     }
 
     /**
-     * Get count of expired cache entries
+     * Whether the API refused a request outright (retrying cannot help), failing the whole call
      */
-    getExpiredCacheCount() {
-        const now = Date.now();
-        let expired = 0;
-        
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key.startsWith(this.cachePrefix)) {
-                try {
-                    const cached = JSON.parse(localStorage.getItem(key));
-                    if (cached.expiry && now > cached.expiry) {
-                        expired++;
-                    }
-                } catch (e) {
-                    // Ignore parse errors
-                }
-            }
-        }
-        
-        return expired;
+    isRequestRejection(error) {
+        return error instanceof CensusAPIError && !error.retryable;
     }
 
-    // ============================================================================
-    // API REQUEST MANAGEMENT
-    // ============================================================================
+    /**
+     * Whether the API refused the requested areas (rather than the variables, key or service)
+     */
+    isGeographyRejection(error) {
+        return error instanceof CensusAPIError &&
+            (error.kind === 'invalidGeography' || (error.kind === 'request' && error.status === 400));
+    }
 
     /**
-     * Fetch batch with retry logic
+     * Fetch batch with retry logic (transient errors only)
      */
     async fetchBatchWithRetry(zipCodes, variables, options) {
+        const { signal } = options;
         let lastError;
         
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            let probe = false;
+            let attempted = false;
+            
             try {
-                // Wait before retry (exponential backoff)
+                // Wait before retry (jittered backoff, or as long as the API asked)
                 if (attempt > 1) {
-                    const delay = Math.pow(2, attempt - 1) * 1000;
-                    await this.sleep(delay);
+                    this.stats.retriedRequests++;
+                    await this.sleep(this.getRetryDelay(attempt, lastError), signal);
                 }
                 
+                // Hold while the circuit is open or the API asked us to back off
+                probe = await this.waitForCircuit(signal);
+                
                 // Enforce rate limit
-                await this.enforceRateLimit();
+                await this.enforceRateLimit(signal);
                 
-                return await this.fetchBatchFromAPI(zipCodes, variables, options);
+                attempted = true;
+                const results = await this.fetchBatchFromAPI(zipCodes, variables, options);
+                this.recordOutcome(null, probe);
+                return results;
                 
             } catch (error) {
+                if (attempted || probe) {
+                    this.recordOutcome(error, probe);
+                }
+                
+                // Cancellation is not a failure worth retrying
+                if (signal?.aborted) {
+                    throw this.isAbortError(error) ? error : this.createAbortError();
+                }
+                
                 lastError = error;
+                
+                // Unknown variables, bad geographies and invalid keys never succeed
+                // (callers log the error where they finally handle it)
+                if (!error.retryable) {
+                    throw error;
+                }
+                
                 console.warn(`Attempt ${attempt}/${this.maxRetries} failed:`, error);
                 
                 if (attempt === this.maxRetries) {
-                    this.logError(`Max retries exceeded for batch`, error);
                     throw error;
                 }
             }
@@ -415,24 +1342,42 @@ class ACSAPIService {
         
         this.emit('apiRequestStart', { requestId, zipCodes });
         
+        let controller;
+        let timeoutId;
+        let timedOut = false;
+        let onAbort;
+        
         try {
             // Track request
-            this.requestTimestamps.push(startTime);
             this.activeRequests.add(requestId);
             this.stats.totalRequests++;
             
-            // Build URL
-            const variablesStr = variables.join(',');
-            const zipsStr = zipCodes.join(',');
+            // Build URL (margins of error ride along with their estimates)
+            const scope = this.getRequestScope(options);
+            const variablesStr = this.withMOEVariables(variables, scope).join(',');
+            const apiName = this.getGeographyApiName(scope);
+            const wildcard = typeof options.wildcard === 'string';
+            const geographyQuery = wildcard ?
+                this.geographies.buildWildcardQuery(scope.geography, options.wildcard, apiName) :
+                this.geographies.buildQuery(scope.geography, zipCodes, apiName);
+            const predicates = this.datasets.has(scope.dataset) ?
+                this.datasets.getPredicateQuery(scope.dataset) : '';
             
-            const url = `${this.baseUrl}/${this.year}/${this.dataset}` +
+            const url = `${this.baseUrl}/${scope.year}/${scope.dataset}` +
                        `?get=NAME,${variablesStr}` +
-                       `&for=zip%20code%20tabulation%20area:${zipsStr}` +
+                       geographyQuery +
+                       predicates +
                        `&key=${this.apiKey}`;
             
-            // Set up abort controller
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+            // Set up abort controller (timeout or caller cancellation)
+            this.throwIfAborted(options.signal);
+            controller = new AbortController();
+            timeoutId = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, this.timeout);
+            onAbort = () => controller.abort();
+            options.signal?.addEventListener('abort', onAbort, { once: true });
             
             // Make request
             const response = await fetch(url, {
@@ -444,14 +1389,23 @@ class ACSAPIService {
                 ...options.fetchOptions
             });
             
-            clearTimeout(timeoutId);
-            
-            if (!response.ok) {
+            // Rejected keys may arrive as an HTML page rather than an error status
+            const contentType = response.headers?.get?.('Content-Type') || '';
+            if (!response.ok || contentType.includes('text/html')) {
                 const errorText = await response.text();
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
+                throw CensusAPIError.fromResponse(response.status, errorText, response.headers);
             }
             
-            const data = await response.json();
+            // Bulk responses are parsed as they stream in; No Content means none of the areas exist
+            let results;
+            if (response.status === 204) {
+                results = {};
+                this.reportMissing(new Set(zipCodes), scope);
+            } else {
+                results = wildcard ?
+                    await this.parseAPIStream(response, variables, zipCodes, scope, { includeAll: true }) :
+                    this.parseAPIResponse(await response.json(), variables, zipCodes, scope);
+            }
             const elapsedTime = performance.now() - startTime;
             
             this.stats.successfulRequests++;
@@ -459,24 +1413,33 @@ class ACSAPIService {
             this.emit('apiRequestComplete', {
                 requestId,
                 duration: elapsedTime,
-                count: zipCodes.length
+                count: Object.keys(results).length,
+                wildcard
             });
             
-            return this.parseAPIResponse(data, variables, zipCodes);
+            return results;
             
         } catch (error) {
             const elapsedTime = performance.now() - startTime;
+            
+            if (options.signal?.aborted) {
+                throw this.createAbortError();
+            }
+            
+            const apiError = CensusAPIError.fromError(error, { timedOut });
             this.stats.failedRequests++;
             
             this.emit('apiRequestError', {
                 requestId,
-                error,
+                error: apiError,
                 duration: elapsedTime
             });
             
-            throw error;
+            throw apiError;
             
         } finally {
+            clearTimeout(timeoutId);
+            options.signal?.removeEventListener('abort', onAbort);
             this.activeRequests.delete(requestId);
             this.cleanOldTimestamps();
         }
@@ -485,15 +1448,68 @@ class ACSAPIService {
     /**
      * Parse API response
      */
-    parseAPIResponse(data, variables, requestedZips) {
+    parseAPIResponse(data, variables, requestedGeoids, scope = this.getRequestScope(), options = {}) {
         if (!Array.isArray(data) || data.length === 0) {
             throw new Error('Invalid API response format');
         }
         
-        const headers = data[0];
+        const parseRow = this.createRowParser(data[0], variables, scope);
+        const requestedSet = new Set(requestedGeoids);
         const results = {};
-        const requestedSet = new Set(requestedZips);
         
+        // Process rows
+        for (let i = 1; i < data.length; i++) {
+            this.collectRow(parseRow(data[i]), results, requestedSet, options);
+        }
+        
+        this.reportMissing(requestedSet, scope);
+        return results;
+    }
+
+    /**
+     * Parse a streamed API response row by row
+     * @param {Object} options - includeAll keeps areas that were not requested
+     */
+    async parseAPIStream(response, variables, requestedGeoids, scope = this.getRequestScope(), options = {}) {
+        const rowParser = new CensusRowParser();
+        const requestedSet = new Set(requestedGeoids);
+        const results = {};
+        let parseRow = null;
+        
+        const handleRows = (rows) => {
+            for (const row of rows) {
+                if (!parseRow) {
+                    parseRow = this.createRowParser(row, variables, scope);
+                } else {
+                    this.collectRow(parseRow(row), results, requestedSet, options);
+                }
+            }
+        };
+        
+        if (response.body && typeof response.body.getReader === 'function') {
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                handleRows(rowParser.push(decoder.decode(value, { stream: true })));
+            }
+            handleRows(rowParser.push(decoder.decode()));
+        } else {
+            handleRows(rowParser.push(await response.text()));
+        }
+        
+        rowParser.end();
+        
+        this.reportMissing(requestedSet, scope);
+        return results;
+    }
+
+    /**
+     * Build a function turning one response row into [geoid, result]
+     */
+    createRowParser(headers, variables, scope) {
         // Map variable indices
         const variableIndices = {};
         variables.forEach(variable => {
@@ -503,46 +1519,208 @@ class ACSAPIService {
             }
         });
         
-        const zipIndex = headers.indexOf('zip code tabulation area');
+        const moeIndices = {};
+        Object.keys(variableIndices).forEach(variable => {
+            moeIndices[variable] = headers.indexOf(this.getMOEVariable(variable));
+        });
+        
+        const geoidColumns = this.geographies.getGeoidColumns(
+            scope.geography, headers, this.getGeographyApiName(scope)
+        );
         const nameIndex = headers.indexOf('NAME');
+        const includeMOE = this.includeMOEFor(scope);
+        const fetchedAt = new Date().toISOString();
         
-        // Process rows
-        for (let i = 1; i < data.length; i++) {
-            const row = data[i];
-            const zip = row[zipIndex];
-            
-            if (requestedSet.has(zip)) {
-                const result = {
-                    data: {},
-                    metadata: {
-                        fetchedAt: new Date().toISOString(),
-                        name: row[nameIndex],
-                        source: 'api',
-                        dataset: this.dataset,
-                        year: this.year,
-                        requestId: this.generateRequestId()
-                    }
-                };
+        return (row) => {
+            const result = {
+                data: {},
+                metadata: {
+                    fetchedAt,
+                    name: row[nameIndex],
+                    source: 'api',
+                    dataset: scope.dataset,
+                    year: scope.year,
+                    geography: scope.geography,
+                    requestId: this.generateRequestId()
+                }
+            };
+            
+            // Extract variable values
+            Object.entries(variableIndices).forEach(([variable, index]) => {
+                result.data[variable] = this.parseEstimate(row[index]);
+            });
+            
+            // Extract margins of error and reliability
+            if (includeMOE) {
+                result.moe = {};
+                result.cv = {};
                 
-                // Extract variable values
-                Object.entries(variableIndices).forEach(([variable, index]) => {
-                    const value = row[index];
-                    result.data[variable] = value === null || value === '' ? 
-                        null : parseFloat(value);
+                Object.keys(variableIndices).forEach(variable => {
+                    const moeIndex = moeIndices[variable];
+                    const moe = moeIndex === -1 ? null : this.parseMOE(row[moeIndex]);
+                    result.moe[variable] = moe;
+                    result.cv[variable] = this.coefficientOfVariation(result.data[variable], moe);
                 });
-                
-                results[zip] = result;
-                requestedSet.delete(zip);
             }
+            
+            return [this.geographies.getGeoidFromRow(geoidColumns, row), result];
+        };
+    }
+
+    /**
+     * Keep a parsed row if it was requested (or everything is wanted)
+     */
+    collectRow([geoid, result], results, requestedSet, options = {}) {
+        if (requestedSet.has(geoid)) {
+            results[geoid] = result;
+            requestedSet.delete(geoid);
+        } else if (options.includeAll) {
+            results[geoid] = result;
         }
-        
-        // Log missing ZIPs
+    }
+
+    /**
+     * Log requested areas the API did not return
+     * @param {string} reason - 'notReturned', or 'invalid' when the API rejected the GEOIDs
+     */
+    reportMissing(requestedSet, scope, reason = 'notReturned') {
         if (requestedSet.size > 0) {
-            console.warn(`API did not return data for ZIPS:`, Array.from(requestedSet));
-            this.emit('missingData', { missingZips: Array.from(requestedSet) });
+            const label = reason === 'invalid' ? 'rejected' : 'did not return data for';
+            console.warn(`API ${label} ${scope.geography} GEOIDs:`, Array.from(requestedSet));
+            this.emit('missingData', { missingZips: Array.from(requestedSet), geography: scope.geography, reason });
         }
-        
-        return results;
+    }
+
+    // ============================================================================
+    // MARGINS OF ERROR
+    // ============================================================================
+
+    /**
+     * Get the margin-of-error variable for an estimate (B19013_001E -> B19013_001M)
+     */
+    getMOEVariable(variable) {
+        return /E$/.test(variable) ? variable.replace(/E$/, 'M') : null;
+    }
+
+    /**
+     * Whether MOEs are requested for a dataset (decennial counts and CBP have none)
+     */
+    includeMOEFor(scope = this.getRequestScope()) {
+        if (!this.includeMOE) return false;
+        return this.datasets.has(scope.dataset) ? this.datasets.get(scope.dataset).hasMOE : true;
+    }
+
+    /**
+     * Append matching MOE variables to an estimate list
+     */
+    withMOEVariables(variables, scope = this.getRequestScope()) {
+        if (!this.includeMOEFor(scope)) {
+            return variables;
+        }
+
+        const moeVariables = variables
+            .map(variable => this.getMOEVariable(variable))
+            .filter(variable => variable && !variables.includes(variable));
+
+        return [...variables, ...moeVariables];
+    }
+
+    /**
+     * Parse an estimate, treating Census annotation codes as missing
+     */
+    parseEstimate(value) {
+        if (value === null || value === '') return null;
+
+        const number = parseFloat(value);
+
+        // Annotation codes such as -666666666 (too few sample cases)
+        if (isNaN(number) || number <= -111111111) return null;
+
+        return number;
+    }
+
+    /**
+     * Parse a margin of error
+     */
+    parseMOE(value) {
+        const number = parseFloat(value);
+
+        // -555555555: estimate is controlled, so there is no sampling error
+        if (number === -555555555) return 0;
+
+        return this.parseEstimate(value);
+    }
+
+    /**
+     * Coefficient of variation (%) from a 90% MOE
+     */
+    coefficientOfVariation(estimate, moe) {
+        if (estimate === null || moe === null || estimate === 0) return null;
+
+        const standardError = moe / 1.645;
+        return Math.abs(standardError / estimate) * 100;
+    }
+
+    // ============================================================================
+    // MULTI-YEAR COMPARISON
+    // ============================================================================
+
+    /**
+     * Name of the synthetic change variable (B19013_001E -> B19013_001E_change)
+     */
+    getChangeVariable(variable, kind = 'abs') {
+        return kind === 'pct' ? `${variable}_pctChange` : `${variable}_change`;
+    }
+
+    /**
+     * Change between two estimates with Census MOE approximations
+     */
+    compareEstimates(baseValue, baseMoe, compareValue, compareMoe) {
+        const result = {
+            baseValue,
+            baseMoe,
+            compareValue,
+            compareMoe,
+            change: null,
+            changeMoe: null,
+            pctChange: null,
+            pctChangeMoe: null,
+            zScore: null,
+            significant: null
+        };
+
+        if (baseValue === null || baseValue === undefined ||
+            compareValue === null || compareValue === undefined) {
+            return result;
+        }
+
+        result.change = compareValue - baseValue;
+
+        if (baseValue !== 0) {
+            result.pctChange = (result.change / baseValue) * 100;
+        }
+
+        if (baseMoe === null || compareMoe === null ||
+            baseMoe === undefined || compareMoe === undefined) {
+            return result;
+        }
+
+        // MOE of a difference; percent change uses the ratio formula
+        result.changeMoe = Math.sqrt(baseMoe * baseMoe + compareMoe * compareMoe);
+
+        if (baseValue !== 0) {
+            const ratio = compareValue / baseValue;
+            result.pctChangeMoe = Math.sqrt(compareMoe * compareMoe + ratio * ratio * baseMoe * baseMoe) /
+                Math.abs(baseValue) * 100;
+        }
+
+        // Significant at 90% when |Z| exceeds 1.645
+        const standardError = result.changeMoe / 1.645;
+        result.zScore = standardError > 0 ? result.change / standardError : null;
+        result.significant = result.zScore === null ?
+            result.change !== 0 : Math.abs(result.zScore) > 1.645;
+
+        return result;
     }
 
     // ============================================================================
@@ -552,7 +1730,9 @@ class ACSAPIService {
     /**
      * Enforce rate limiting
      */
-    async enforceRateLimit() {
+    async enforceRateLimit(signal = null) {
+        this.throwIfAborted(signal);
+        
         const now = Date.now();
         const oneMinuteAgo = now - 60000;
         
@@ -566,13 +1746,114 @@ class ACSAPIService {
             
             console.log(`Rate limit reached, waiting ${Math.ceil(waitTime/1000)}s`);
             
-            await this.sleep(waitTime);
-            return this.enforceRateLimit();
+            await this.sleep(waitTime, signal);
+            return this.enforceRateLimit(signal);
         }
         
+        // Reserve the slot now so concurrent batches see it
+        this.requestTimestamps.push(now);
         return true;
     }
 
+    /**
+     * Delay before a retry: exponential backoff with "equal jitter" (half fixed,
+     * half random) so parallel batches spread out, never shorter than Retry-After
+     */
+    getRetryDelay(attempt, error = null) {
+        const backoff = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, attempt - 1));
+        const delay = backoff / 2 + Math.random() * backoff / 2;
+        
+        return error?.retryAfter != null ? Math.max(error.retryAfter, delay) : delay;
+    }
+
+    /**
+     * Wait out an open circuit or a Retry-After pause. Once a cooldown ends one
+     * request probes the API (returns true) while the others wait for its outcome.
+     */
+    async waitForCircuit(signal = null) {
+        const circuit = this.circuit;
+        
+        while (true) {
+            this.throwIfAborted(signal);
+            
+            const wait = Math.max(circuit.openUntil, this.rateLimitedUntil) - Date.now();
+            if (wait > 0) {
+                await this.sleep(wait, signal);
+                continue;
+            }
+            
+            if (circuit.state === 'open') {
+                circuit.state = 'halfOpen';
+                circuit.probe = new Promise(resolve => {
+                    circuit.settleProbe = resolve;
+                });
+                this.emit('circuitHalfOpen', { failures: circuit.failures });
+                return true;
+            }
+            
+            if (circuit.state === 'halfOpen') {
+                await this.raceAbort(circuit.probe, signal);
+                continue;
+            }
+            
+            return false;
+        }
+    }
+
+    /**
+     * Update the circuit breaker (and Retry-After pause) after an attempt
+     */
+    recordOutcome(error = null, probe = false) {
+        const circuit = this.circuit;
+        const previousState = circuit.state;
+        
+        if (this.isAbortError(error)) {
+            // An abandoned probe hands over to the next waiting request
+            if (probe) {
+                circuit.state = 'open';
+            }
+        } else if (error?.kind === 'rateLimited') {
+            // Throttling says nothing about availability; pause everyone instead
+            if (error.retryAfter != null) {
+                this.rateLimitedUntil = Math.max(this.rateLimitedUntil, Date.now() + error.retryAfter);
+                this.emit('rateLimited', { retryAfter: error.retryAfter, until: this.rateLimitedUntil });
+            }
+            if (probe) {
+                circuit.state = 'open';
+            }
+        } else if (error?.retryable) {
+            circuit.failures++;
+            
+            if (probe || circuit.failures >= this.circuitThreshold) {
+                circuit.state = 'open';
+                circuit.openUntil = Date.now() + this.circuitCooldown;
+                
+                console.warn(`Census API failing, pausing requests for ${Math.ceil(this.circuitCooldown / 1000)}s`);
+                this.emit('circuitOpen', {
+                    failures: circuit.failures,
+                    until: circuit.openUntil,
+                    error
+                });
+            }
+        } else {
+            // Any answer (even a rejected request) shows the API is reachable
+            circuit.state = 'closed';
+            circuit.failures = 0;
+            circuit.openUntil = 0;
+            
+            if (previousState !== 'closed') {
+                this.emit('circuitClosed', {});
+            }
+        }
+        
+        // Release requests waiting on a probe
+        if (previousState === 'halfOpen' && circuit.state !== 'halfOpen') {
+            circuit.settleProbe?.();
+            circuit.probe = null;
+            circuit.settleProbe = null;
+        }
+    }
+
     /**
      * Clean old timestamps
      */
@@ -624,11 +1905,36 @@ class ACSAPIService {
     // ============================================================================
 
     /**
-     * Generate cache key
+     * Generate cache key for one variable of one GEOID
+     */
+    getCacheKey(geoid, variable, scope = this.getRequestScope()) {
+        return `${this.cachePrefix}${this.getScopeKey(scope)}|${geoid}|${variable}`;
+    }
+
+    /**
+     * Identify a request scope
+     */
+    getScopeKey(scope) {
+        return `${scope.dataset}|${scope.year}|${scope.geography}`;
+    }
+
+    /**
+     * Dataset-specific API name for a geography level, if any
+     */
+    getGeographyApiName(scope) {
+        if (!this.datasets.has(scope.dataset)) return null;
+        return this.datasets.get(scope.dataset).geographyNames[scope.geography] || null;
+    }
+
+    /**
+     * Resolve the year/dataset/geography for a request
      */
-    getCacheKey(zip, variables) {
-        const varsHash = this.hashString(variables.sort().join(','));
-        return `${this.cachePrefix}${zip}_${varsHash}`;
+    getRequestScope(options = {}) {
+        return {
+            year: String(options.year || this.year),
+            dataset: options.dataset || this.dataset,
+            geography: options.geography || this.geography
+        };
     }
 
     /**
@@ -654,8 +1960,75 @@ class ACSAPIService {
     /**
      * Sleep function
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+            
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(this.createAbortError());
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Reject with an AbortError as soon as a signal aborts
+     */
+    raceAbort(promise, signal = null) {
+        if (!signal) return promise;
+        
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(this.createAbortError());
+            
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(
+                value => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(value);
+                },
+                error => {
+                    signal.removeEventListener('abort', onAbort);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    /**
+     * Create the error thrown for cancelled requests
+     */
+    createAbortError() {
+        return new DOMException('Request cancelled', 'AbortError');
+    }
+
+    /**
+     * Check for a cancellation error
+     */
+    isAbortError(error) {
+        return error?.name === 'AbortError';
+    }
+
+    /**
+     * Throw if a signal has already aborted
+     */
+    throwIfAborted(signal = null) {
+        if (signal?.aborted) {
+            throw this.createAbortError();
+        }
     }
 
     /**
@@ -723,7 +2096,8 @@ class ACSAPIService {
             ...this.stats,
             activeRequests: this.activeRequests.size,
             requestQueue: this.requestQueue.length,
-            cacheStats: this.getCacheStats(),
+            inFlight: this.inFlight.size,
+            circuit: this.circuit.state,
             lastError: this.errorLog[this.errorLog.length - 1] || null
         };
     }
@@ -737,7 +2111,12 @@ class ACSAPIService {
             successfulRequests: 0,
             failedRequests: 0,
             cacheHits: 0,
+            partialCacheHits: 0,
+            packHits: 0,
             cacheMisses: 0,
+            deduplicatedPairs: 0,
+            cancelledRequests: 0,
+            retriedRequests: 0,
             totalTime: 0,
             avgResponseTime: 0
         };
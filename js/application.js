@@ -10,14 +10,25 @@ class ACSApplication {
         // Services
         this.zipIndex = null;
         this.apiService = null;
+        this.variableCatalog = null;
+        this.derivedMetrics = null;
+        this.geographies = null;
+        this.datasets = null;
         this.mapVisualizer = null;
         this.notificationSystem = null;
         
         // State
         this.currentVariable = 'B01003_001E';
+        this.enabledLayers = new Set(['primary']);
+        this.renderMode = 'markers';
+        this.geography = 'zcta';
+        this.compareYear = null;
+        this.changeMetric = 'pct';
         this.currentZips = [];
         this.isInitialized = false;
         this.apiKey = null;
+        this.cacheStats = null;
+        this.searchController = null;
         
         // UI Elements
         this.uiElements = {};
@@ -86,30 +97,43 @@ class ACSApplication {
         });
         
         // 2. Load ZIP code index
-        this.showLoading('Loading ZIP code database...');
-        this.zipIndex = new ZIPCodeIndex();
+        const zipNotificationId = this.notificationSystem.showLoading('Loading ZIP code database...');
+        this.zipIndex = new ZIPIndexClient();
         
         try {
-            await this.zipIndex.loadFromJSON('data/uszips.json', {
+            // Census Gazetteer, HUD crosswalk and centroid files listed in data/gazetteer/manifest.json
+            let malformedRows = 0;
+            const report = await this.zipIndex.loadFromGazetteer({
                 progressCallback: (progress) => {
-                    if (progress.loaded % 50000 === 0) {
-                        this.showInfo(`Loaded ${progress.loaded} ZIP codes...`);
-                    }
+                    const read = progress.bytes ? `, ${(progress.bytes / 1048576).toFixed(1)} MB` : '';
+                    this.notificationSystem.updateLoading(
+                        zipNotificationId,
+                        `Loading ZIP code database (${progress.done}/${progress.total} files${read})...`,
+                        progress.percent
+                    );
                 },
                 errorCallback: (error, line) => {
-                    console.warn('CSV parse error:', error, 'Line:', line);
+                    malformedRows++;
+                    console.warn('ZIP file parse error:', error.message, 'Line:', line);
                 }
             });
             
+            this.notificationSystem.close(zipNotificationId);
             const zipStats = this.zipIndex.getStats();
             this.showSuccess(`Loaded ${zipStats.totalRecords.toLocaleString()} ZIP codes`);
+            report.warnings.forEach(warning => this.showWarning(warning));
+            if (malformedRows > 0) {
+                this.showWarning(`Skipped ${malformedRows.toLocaleString()} malformed lines in the ZIP code files`);
+            }
             
         } catch (error) {
+            this.notificationSystem.close(zipNotificationId);
             this.showError(`Failed to load ZIP codes: ${error.message}`);
             throw error;
         }
         
         // 3. Initialize API service
+        this.apiBaseUrl = this.getAPIBaseUrl();
         this.apiKey = await this.getAPIKey();
         
         if (!this.apiKey) {
@@ -117,7 +141,26 @@ class ACSApplication {
             throw new Error('No API key provided');
         }
         
+        this.derivedMetrics = new DerivedMetricEngine();
+        this.geographies = new GeographyRegistry();
+        this.datasets = new DatasetRegistry();
+        // ?demoPacks loads the bundled sample packs, which would otherwise stand in for real values
+        this.dataPacks = new OfflineDataPacks({
+            includeDemoPacks: new URLSearchParams(window.location.search).has('demoPacks')
+        });
+        
+        try {
+            await this.dataPacks.loadManifest();
+        } catch (error) {
+            console.warn('Data pack manifest unavailable:', error);
+        }
+        
         this.apiService = new ACSAPIService(this.apiKey, {
+            baseUrl: this.apiBaseUrl,
+            derivedMetrics: this.derivedMetrics,
+            dataPacks: this.dataPacks,
+            geographies: this.geographies,
+            datasets: this.datasets,
             dataset: 'acs/acs5',
             year: '2022',
             batchSize: 10,
@@ -128,8 +171,25 @@ class ACSApplication {
         // Setup API event listeners
         this.setupAPIEvents();
         
-        // 4. Initialize map visualizer
+        // 4. Load variable catalog (labels, units, formatters)
+        this.variableCatalog = new VariableCatalog({
+            baseUrl: this.apiBaseUrl,
+            dataset: 'acs/acs5',
+            year: '2022'
+        });
+        
+        try {
+            await this.variableCatalog.load();
+        } catch (error) {
+            this.showWarning(`Variable catalog unavailable, showing raw codes: ${error.message}`);
+        }
+        
+        this.derivedMetrics.list().forEach(metric => this.registerDerivedMetric(metric));
+        
+        // 5. Initialize map visualizer
         this.mapVisualizer = new ACSMapVisualizer('mapContainer', {
+            catalog: this.variableCatalog,
+            geographies: this.geographies,
             defaultZoom: 4,
             clusterRadius: 60,
             enableClustering: true
@@ -153,14 +213,39 @@ class ACSApplication {
         // Cache UI elements
         this.uiElements = {
             searchInput: document.getElementById('searchInput'),
+            searchSuggestions: document.getElementById('searchSuggestions'),
             searchType: document.getElementById('searchType'),
             searchBtn: document.getElementById('searchBtn'),
             variableSelect: document.getElementById('variableSelect'),
+            variableSearch: document.getElementById('variableSearch'),
+            variableSearchResults: document.getElementById('variableSearchResults'),
+            expressionInput: document.getElementById('expressionInput'),
+            expressionBtn: document.getElementById('expressionBtn'),
+            renderMode: document.getElementById('renderMode'),
+            geographySelect: document.getElementById('geographySelect'),
+            datasetSelect: document.getElementById('datasetSelect'),
+            compareYear: document.getElementById('compareYear'),
+            changeMetric: document.getElementById('changeMetric'),
+            classificationMethod: document.getElementById('classificationMethod'),
+            classCount: document.getElementById('classCount'),
+            manualBreaksControls: document.getElementById('manualBreaksControls'),
+            manualBreaksInput: document.getElementById('manualBreaksInput'),
+            unreliableStyle: document.getElementById('unreliableStyle'),
+            cvThreshold: document.getElementById('cvThreshold'),
+            layerToggles: {
+                primary: document.getElementById('primaryLayerToggle'),
+                education: document.getElementById('educationLayerToggle'),
+                income: document.getElementById('incomeLayerToggle')
+            },
+            dotValueInput: document.getElementById('dotValueInput'),
             resultsLimit: document.getElementById('resultsLimit'),
             radiusControls: document.getElementById('radiusControls'),
             radiusInput: document.getElementById('radiusInput'),
             radiusValue: document.getElementById('radiusValue'),
             clearCacheBtn: document.getElementById('clearCacheBtn'),
+            dataPackInput: document.getElementById('dataPackInput'),
+            dataPackExportBtn: document.getElementById('dataPackExportBtn'),
+            dataPackStatus: document.getElementById('dataPackStatus'),
             exportDataBtn: document.getElementById('exportDataBtn'),
             clearMapBtn: document.getElementById('clearMapBtn'),
             zoomInBtn: document.getElementById('zoomInBtn'),
@@ -177,6 +262,13 @@ class ACSApplication {
             resultsContent: document.getElementById('resultsContent')
         };
         
+        this.populateDatasetSelect();
+        this.populateVariableSelect();
+        this.populateGeographySelect();
+        this.populateCompareYears();
+        this.updateDataPackStatus();
+        this.dataPacks.on('packLoaded', () => this.updateDataPackStatus());
+        
         // Update UI with initial data
         this.updateUI();
     }
@@ -190,6 +282,23 @@ class ACSApplication {
             if (e.key === 'Enter') this.handleSearch();
         });
         
+        // Place suggestions
+        let suggestTimer = null;
+        ui.searchInput.addEventListener('input', () => {
+            clearTimeout(suggestTimer);
+            suggestTimer = setTimeout(() => this.renderSearchSuggestions(), 150);
+        });
+        ui.searchInput.addEventListener('keydown', (e) => this.handleSuggestionKey(e));
+        ui.searchInput.addEventListener('blur', () => this.hideSearchSuggestions());
+        ui.searchSuggestions.addEventListener('mousedown', (e) => {
+            // Keep focus in the input until the click lands
+            e.preventDefault();
+            const item = e.target.closest('[data-index]');
+            if (item) {
+                this.selectSearchSuggestion(this.searchSuggestions[item.dataset.index]);
+            }
+        });
+        
         // Search type change
         ui.searchType.addEventListener('change', (e) => {
             this.handleSearchTypeChange(e.target.value);
@@ -203,13 +312,111 @@ class ACSApplication {
         // Variable change
         ui.variableSelect.addEventListener('change', (e) => {
             this.currentVariable = e.target.value;
-            if (this.currentZips.length > 0) {
-                this.fetchAndVisualize(this.currentZips);
+            if (this.currentZips.length > 0 && this.enabledLayers.has('primary')) {
+                this.fetchAndVisualize(this.currentZips, { layers: ['primary'] });
             }
         });
         
+        // Variable catalog search
+        let searchTimer = null;
+        ui.variableSearch.addEventListener('focus', () => {
+            this.variableCatalog.loadRemote().catch(() => {});
+        });
+        ui.variableSearch.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.renderVariableSearchResults(), 200);
+        });
+        ui.variableSearchResults.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-variable]');
+            if (item) {
+                this.selectVariable(item.dataset.variable);
+            }
+        });
+        
+        // Custom derived metric
+        ui.expressionBtn.addEventListener('click', () => this.handleCustomExpression());
+        ui.expressionInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.handleCustomExpression();
+        });
+        
+        // Multi-year comparison
+        const updateComparison = () => {
+            this.compareYear = ui.compareYear.value || null;
+            this.changeMetric = ui.changeMetric.value;
+            if (this.currentZips.length > 0 && this.enabledLayers.has('primary')) {
+                this.fetchAndVisualize(this.currentZips, { layers: ['primary'] });
+            }
+        };
+        ui.compareYear.addEventListener('change', updateComparison);
+        ui.changeMetric.addEventListener('change', updateComparison);
+        
+        // Dataset change reconfigures the service and the variable picker
+        ui.datasetSelect.addEventListener('change', (e) => this.handleDatasetChange(e.target.value));
+        
+        // Geography change refetches the primary layer at the new level
+        ui.geographySelect.addEventListener('change', (e) => {
+            this.geography = e.target.value;
+            if (this.currentZips.length > 0 && this.enabledLayers.has('primary')) {
+                this.fetchAndVisualize(this.currentZips, { layers: ['primary'] });
+            }
+        });
+        
+        // Render mode change redraws without refetching
+        ui.renderMode.addEventListener('change', (e) => {
+            this.renderMode = e.target.value;
+            this.mapVisualizer.setRenderMode(this.renderMode, 'primary');
+        });
+        
+        // Classification changes redraw without refetching
+        ui.classificationMethod.addEventListener('change', () => this.handleClassificationChange());
+        ui.classCount.addEventListener('change', () => this.handleClassificationChange());
+        ui.manualBreaksInput.addEventListener('change', () => this.handleClassificationChange());
+        
+        // Reliability display
+        const updateReliability = () => {
+            this.mapVisualizer.setReliabilityOptions({
+                style: ui.unreliableStyle.value,
+                threshold: parseFloat(ui.cvThreshold.value) || 30
+            });
+        };
+        ui.unreliableStyle.addEventListener('change', updateReliability);
+        ui.cvThreshold.addEventListener('change', updateReliability);
+        
+        // Layer toggles
+        Object.entries(ui.layerToggles).forEach(([layerId, checkbox]) => {
+            checkbox.addEventListener('change', (e) => {
+                this.handleLayerToggle(layerId, e.target.checked);
+            });
+        });
+        
+        // Dot value change redraws existing dot layers without refetching
+        ui.dotValueInput.addEventListener('change', () => {
+            const dotValue = parseInt(ui.dotValueInput.value) || 1000;
+            ['education', 'income'].forEach(layerId => {
+                const layer = this.mapVisualizer.getLayer(layerId);
+                if (layer?.data) {
+                    this.mapVisualizer.visualizeDotDensity(
+                        layer.data.zipData,
+                        layer.data.acsData,
+                        layerId,
+                        { dotValue, fitBounds: false }
+                    );
+                }
+            });
+        });
+        
         // Controls
         ui.clearCacheBtn.addEventListener('click', () => this.clearCache());
+        
+        ui.dataPackInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                await this.importDataPack(file);
+                e.target.value = '';
+            }
+        });
+        
+        ui.dataPackExportBtn.addEventListener('click', () => this.downloadDataPack());
         ui.exportDataBtn.addEventListener('click', () => this.exportAllData());
         ui.clearMapBtn.addEventListener('click', () => this.clearMap());
         
@@ -234,7 +441,7 @@ class ACSApplication {
         if (!this.apiService) return;
         
         this.apiService.on('requestStart', (data) => {
-            this.showLoading(`Fetching data for ${data.zipCodes.length} locations...`);
+            this.showLoading(`Fetching data for ${data.geoids.length} locations...`);
         });
         
         this.apiService.on('requestComplete', (data) => {
@@ -244,16 +451,38 @@ class ACSApplication {
         
         this.apiService.on('requestError', (data) => {
             this.stats.errors++;
-            this.showError(`Request failed: ${data.error.message}`);
+            this.showError(`Request failed: ${this.describeAPIError(data.error)}`);
+        });
+        
+        this.apiService.on('rateLimited', (data) => {
+            this.showWarning(`Census API rate limit reached, resuming in ${Math.ceil(data.retryAfter / 1000)}s`);
+        });
+        
+        this.apiService.on('circuitOpen', (data) => {
+            const seconds = Math.ceil((data.until - Date.now()) / 1000);
+            this.showWarning(`Census API unavailable after ${data.failures} failures, retrying in ${seconds}s`);
+        });
+        
+        this.apiService.on('circuitClosed', () => {
+            this.showInfo('Census API reachable again');
         });
         
         this.apiService.on('cacheCleaned', (data) => {
             this.showInfo(`Cleaned ${data.cleaned} expired cache entries`);
         });
         
+        this.apiService.on('cacheMigrated', (data) => {
+            this.showInfo(`Moved ${data.migrated} cached results to IndexedDB`);
+            this.updateCacheStatus();
+        });
+        
         this.apiService.on('missingData', (data) => {
             if (data.missingZips.length > 0) {
-                this.showWarning(`No data for ${data.missingZips.length} ZIP codes`);
+                const label = data.geography && data.geography !== 'zcta' ?
+                    `${this.geographies.get(data.geography).label} areas` : 'ZIP codes';
+                const detail = data.reason === 'invalid' ?
+                    ` (not recognised: ${data.missingZips.slice(0, 5).join(', ')}${data.missingZips.length > 5 ? ', …' : ''})` : '';
+                this.showWarning(`No data for ${data.missingZips.length} ${label}${detail}`);
             }
         });
     }
@@ -275,6 +504,28 @@ class ACSApplication {
             this.showMarkerInfo(data.marker);
         });
         
+        this.mapVisualizer.on('boundaryLoadError', (data) => {
+            const label = this.geographies.get(data.geography || 'zcta').shortLabel;
+            this.showWarning(`${label} boundaries unavailable, showing markers: ${data.error.message}`);
+            if (this.uiElements.renderMode) {
+                this.uiElements.renderMode.value = 'markers';
+            }
+            this.renderMode = 'markers';
+        });
+        
+        this.mapVisualizer.on('layerVisibilityChange', (data) => {
+            // Layer control checkboxes and sidebar toggles mirror each other
+            const checkbox = this.uiElements.layerToggles?.[data.id];
+            if (checkbox) {
+                checkbox.checked = data.visible;
+            }
+            if (data.visible) {
+                this.enabledLayers.add(data.id);
+            } else {
+                this.enabledLayers.delete(data.id);
+            }
+        });
+        
         this.mapVisualizer.on('mapCleared', () => {
             this.currentZips = [];
             this.updateResultsPanel([]);
@@ -314,26 +565,80 @@ class ACSApplication {
         const limitedZips = zipCodes.slice(0, limit);
         this.currentZips = limitedZips;
         
+        const { layers: requestedLayers, keepDisabledLayers, signal, ...visualOptions } = options;
+        const layers = requestedLayers || Array.from(this.enabledLayers);
+        options = visualOptions;
+        
+        // Layers switched off during earlier searches hold data for other ZIPs
+        if (!keepDisabledLayers) {
+            this.mapVisualizer.getLayers()
+                .filter(layer => !this.enabledLayers.has(layer.id))
+                .forEach(layer => this.mapVisualizer.removeLayer(layer.id));
+        }
+        
+        for (const layerId of layers.filter(id => id !== 'primary')) {
+            await this.fetchAndVisualizeDotDensity(limitedZips, layerId, {
+                fitBounds: !layers.includes('primary'),
+                signal,
+                ...options
+            });
+        }
+        
+        if (!layers.includes('primary') || signal?.aborted) {
+            return;
+        }
+        
+        // Other geographies map the areas around the selected ZIP codes
+        const geography = this.geography;
+        const geoids = await this.resolveGeographies(limitedZips, geography);
+        
+        if (signal?.aborted) {
+            return;
+        }
+        
+        if (geoids.length === 0) {
+            this.showWarning(`No ${this.geographies.get(geography).label} areas found for this search`);
+            return;
+        }
+        
         const notificationId = this.notificationSystem.showLoading(
-            `Fetching ACS data for ${limitedZips.length} locations...`,
-            { persistent: true }
+            `Fetching ACS data for ${geoids.length} locations...`,
+            { persistent: true, actions: this.getCancelActions(signal) }
         );
         
         try {
-            // Fetch ACS data
-            const acsData = await this.apiService.fetchDataForZips(
-                limitedZips,
-                [this.currentVariable, 'B01003_001E']
-            );
+            // Fetch ACS data (both vintages when comparing)
+            const comparing = this.compareYear && this.compareYear !== this.apiService.year;
+            const mapVariable = comparing ?
+                this.registerChangeVariable(this.currentVariable) : this.currentVariable;
+            
+            // Per-area status (cache/API/pack, failures), across both vintages when comparing
+            const details = comparing ?
+                await this.apiService.fetchComparison(
+                    geoids,
+                    this.currentVariable,
+                    this.compareYear,
+                    this.apiService.year,
+                    { geography, signal, detailed: true }
+                ) :
+                await this.apiService.fetchDataForGeographies(
+                    geoids,
+                    this.isDetailedDataset() ?
+                        [this.currentVariable, 'B01003_001E'] : [this.currentVariable],
+                    { geography, signal, detailed: true }
+                );
+            const acsData = details.data;
             
             // Check if we got any valid data
             const validData = Object.values(acsData).filter(d => 
-                d.data[this.currentVariable] !== null && !isNaN(d.data[this.currentVariable])
+                d.data[mapVariable] !== null && !isNaN(d.data[mapVariable])
             );
             
             if (validData.length === 0) {
                 this.notificationSystem.close(notificationId);
-                this.showError('No valid data available from ACS API');
+                this.showError(details.errors.length ?
+                    `No data loaded: ${this.describeAPIError(details.errors[0])}` : 'No valid data available from ACS API');
+                this.updateResultsPanel(limitedZips, 0, details);
                 return;
             }
             
@@ -343,15 +648,20 @@ class ACSApplication {
                 `Visualizing ${validData.length} data points...`
             );
             
-            // Visualize data
+            // Visualize data (change maps diverge around zero)
             await this.mapVisualizer.visualizeData(
-                this.zipIndex.zips,
+                this.zipIndex.getGeographyRecords(geography),
                 acsData,
-                this.currentVariable,
+                mapVariable,
                 {
-                    cluster: limitedZips.length > 10,
+                    layerId: 'primary',
+                    geography,
+                    renderMode: this.renderMode,
+                    cluster: geoids.length > 10,
                     fitBounds: true,
                     showLegend: true,
+                    scaleType: comparing ? 'diverging' : this.mapVisualizer.currentScaleType,
+                    ...(comparing ? { divergingCenter: 0 } : {}),
                     ...options
                 }
             );
@@ -360,7 +670,7 @@ class ACSApplication {
             this.notificationSystem.close(notificationId);
             
             // Update results panel
-            this.updateResultsPanel(limitedZips, validData.length);
+            this.updateResultsPanel(limitedZips, validData.length, details);
             
             // Update statistics
             this.updateStats();
@@ -371,37 +681,108 @@ class ACSApplication {
         } catch (error) {
             this.notificationSystem.close(notificationId);
             
+            // Cancelled or superseded searches end quietly
+            if (this.apiService.isAbortError(error)) {
+                return;
+            }
+            
             console.error('Fetch and visualize failed:', error);
             
             // Check for cached data
-            const cachedZips = limitedZips.filter(zip => {
-                const cached = this.apiService.getFromCache(zip, [this.currentVariable]);
-                return cached !== null;
+            const cachedData = {};
+            const cachedResults = await Promise.all(
+                limitedZips.map(zip => this.apiService.getFromCache(zip, [this.currentVariable]))
+            );
+            cachedResults.forEach((cached, i) => {
+                if (cached) {
+                    cachedData[limitedZips[i]] = cached;
+                }
             });
+            const cachedZips = Object.keys(cachedData);
             
             if (cachedZips.length > 0) {
                 this.showWarning(
                     `Using cached data for ${cachedZips.length} locations (API unavailable)`
                 );
                 
-                // Fetch cached data
-                const cachedData = {};
-                cachedZips.forEach(zip => {
-                    cachedData[zip] = this.apiService.getFromCache(zip, [this.currentVariable]);
-                });
-                
                 await this.mapVisualizer.visualizeData(
                     this.zipIndex.zips,
                     cachedData,
                     this.currentVariable,
-                    { cluster: cachedZips.length > 10 }
+                    { layerId: 'primary', renderMode: this.renderMode, cluster: cachedZips.length > 10 }
                 );
                 
                 this.updateResultsPanel(cachedZips, cachedZips.length);
                 
             } else {
-                this.showError(`Failed to fetch data: ${error.message}`);
+                this.showError(`Failed to fetch data: ${this.describeAPIError(error)}`);
+            }
+        }
+    }
+
+    async fetchAndVisualizeDotDensity(zipCodes, layerKey, options = {}) {
+        const { signal, ...visualOptions } = options;
+        const variables = this.mapVisualizer.getDotDensityVariables(layerKey);
+        const dotValue = parseInt(this.uiElements.dotValueInput.value) || 1000;
+        
+        if (signal?.aborted) {
+            return;
+        }
+        
+        const notificationId = this.notificationSystem.showLoading(
+            `Fetching ${layerKey} data for ${zipCodes.length} locations...`,
+            { persistent: true, actions: this.getCancelActions(signal) }
+        );
+        
+        try {
+            // Dot layers are defined on ACS 5-year detailed tables whatever the selected dataset
+            const acsData = await this.apiService.fetchDataForZips(zipCodes, variables, {
+                dataset: 'acs/acs5',
+                year: this.datasets.get('acs/acs5').defaultYear,
+                signal
+            });
+            
+            const validCount = Object.values(acsData).filter(d =>
+                variables.some(v => d.data[v] !== null && !isNaN(d.data[v]))
+            ).length;
+            
+            if (validCount === 0) {
+                this.notificationSystem.close(notificationId);
+                this.showError('No valid data available from ACS API');
+                return;
             }
+            
+            this.notificationSystem.updateLoading(
+                notificationId,
+                `Drawing dots for ${validCount} locations...`
+            );
+            
+            await this.mapVisualizer.visualizeDotDensity(
+                this.zipIndex.zips,
+                acsData,
+                layerKey,
+                {
+                    layerId: layerKey,
+                    dotValue,
+                    fitBounds: true,
+                    showLegend: true,
+                    ...visualOptions
+                }
+            );
+            
+            this.notificationSystem.close(notificationId);
+            this.updateResultsPanel(zipCodes, validCount);
+            this.updateStats();
+            
+        } catch (error) {
+            this.notificationSystem.close(notificationId);
+            
+            if (this.apiService.isAbortError(error)) {
+                return;
+            }
+            
+            console.error('Dot-density fetch failed:', error);
+            this.showError(`Failed to fetch data: ${this.describeAPIError(error)}`);
         }
     }
 
@@ -413,6 +794,8 @@ class ACSApplication {
         const searchType = this.uiElements.searchType.value;
         const input = this.uiElements.searchInput.value.trim();
         
+        this.hideSearchSuggestions();
+        
         if (!input) {
             this.showWarning('Please enter a search term');
             return;
@@ -422,7 +805,7 @@ class ACSApplication {
         
         switch (searchType) {
             case 'zip':
-                zips = this.handleZipSearch(input);
+                zips = await this.handleZipSearch(input);
                 break;
                 
             case 'radius':
@@ -430,11 +813,11 @@ class ACSApplication {
                 break;
                 
             case 'state':
-                zips = this.handleStateSearch(input);
+                zips = await this.handleStateSearch(input);
                 break;
                 
             case 'city':
-                zips = this.handleCitySearch(input);
+                zips = await this.handleCitySearch(input);
                 break;
                 
             default:
@@ -442,15 +825,189 @@ class ACSApplication {
                 return;
         }
         
+        await this.visualizeSearchResults(zips);
+    }
+
+    /**
+     * Map the ZIP codes a search found
+     */
+    async visualizeSearchResults(zips) {
         if (zips.length === 0) {
             this.showWarning('No locations found');
             return;
         }
         
-        await this.fetchAndVisualize(zips);
+        // A new search supersedes any still loading
+        this.cancelSearch();
+        const controller = new AbortController();
+        this.searchController = controller;
+        
+        try {
+            await this.fetchAndVisualize(zips, { signal: controller.signal });
+        } finally {
+            if (this.searchController === controller) {
+                this.searchController = null;
+            }
+        }
     }
 
-    handleZipSearch(input) {
+    /**
+     * Suggest cities, counties, states and ZIPs for what has been typed
+     */
+    async renderSearchSuggestions() {
+        const ui = this.uiElements;
+        const query = ui.searchInput.value.trim();
+        const radius = ui.searchType.value === 'radius';
+        
+        // Only the newest query's suggestions are shown
+        const requestId = (this.suggestionRequestId || 0) + 1;
+        this.suggestionRequestId = requestId;
+        
+        if (query.length < 2 || !this.zipIndex?.loaded) {
+            this.hideSearchSuggestions();
+            return;
+        }
+        
+        let suggestions;
+        try {
+            suggestions = await this.zipIndex.searchPlaces(query, {
+                types: radius ? ['zip'] : null,
+                limit: 8
+            });
+        } catch (error) {
+            console.warn('Place suggestions unavailable:', error);
+            return;
+        }
+        
+        if (requestId !== this.suggestionRequestId || document.activeElement !== ui.searchInput) {
+            return;
+        }
+        
+        this.searchSuggestions = suggestions;
+        this.activeSuggestion = -1;
+        
+        if (suggestions.length === 0) {
+            this.hideSearchSuggestions();
+            return;
+        }
+        
+        ui.searchSuggestions.innerHTML = suggestions.map((suggestion, i) => `
+            <li id="searchSuggestion-${i}" data-index="${i}" role="option" aria-selected="false">
+                <strong>${this.escapeHTML(suggestion.label)}</strong>
+                <small>${this.escapeHTML(suggestion.detail)}</small>
+            </li>
+        `).join('');
+        ui.searchSuggestions.hidden = false;
+        ui.searchInput.setAttribute('aria-expanded', 'true');
+    }
+
+    hideSearchSuggestions() {
+        const ui = this.uiElements;
+        
+        this.suggestionRequestId = (this.suggestionRequestId || 0) + 1;
+        this.searchSuggestions = [];
+        this.activeSuggestion = -1;
+        ui.searchSuggestions.hidden = true;
+        ui.searchSuggestions.innerHTML = '';
+        ui.searchInput.setAttribute('aria-expanded', 'false');
+        ui.searchInput.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Arrow keys move through the suggestions, Enter picks one, Escape closes them
+     */
+    handleSuggestionKey(e) {
+        const ui = this.uiElements;
+        const count = this.searchSuggestions?.length || 0;
+        if (ui.searchSuggestions.hidden || count === 0) return;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            // -1 is the typed text, between the last suggestion and the first
+            this.activeSuggestion = (this.activeSuggestion + 1 + step + count + 1) % (count + 1) - 1;
+            
+            ui.searchSuggestions.querySelectorAll('[data-index]').forEach((item, i) => {
+                const active = i === this.activeSuggestion;
+                item.classList.toggle('active', active);
+                item.setAttribute('aria-selected', String(active));
+            });
+            
+            if (this.activeSuggestion >= 0) {
+                ui.searchInput.setAttribute('aria-activedescendant', `searchSuggestion-${this.activeSuggestion}`);
+            } else {
+                ui.searchInput.removeAttribute('aria-activedescendant');
+            }
+        } else if (e.key === 'Enter' && this.activeSuggestion >= 0) {
+            // Stops the keypress that would search the typed text
+            e.preventDefault();
+            this.selectSearchSuggestion(this.searchSuggestions[this.activeSuggestion]);
+        } else if (e.key === 'Escape') {
+            this.hideSearchSuggestions();
+        }
+    }
+
+    /**
+     * Search for a suggestion with the matching search type
+     */
+    async selectSearchSuggestion(suggestion) {
+        const ui = this.uiElements;
+        if (!suggestion) return;
+        
+        this.hideSearchSuggestions();
+        
+        if (suggestion.type === 'county') {
+            ui.searchInput.value = suggestion.label;
+            const limit = parseInt(ui.resultsLimit.value) || 100;
+            const records = await this.zipIndex.getByCounty(suggestion.county_fips, limit);
+            await this.visualizeSearchResults(records.map(record => record.zip));
+            return;
+        }
+        
+        const searches = {
+            zip: { type: ui.searchType.value === 'radius' ? 'radius' : 'zip', value: suggestion.zip },
+            city: { type: 'city', value: suggestion.label },
+            state: { type: 'state', value: suggestion.state_id }
+        };
+        const search = searches[suggestion.type];
+        
+        if (ui.searchType.value !== search.type) {
+            ui.searchType.value = search.type;
+            this.handleSearchTypeChange(search.type);
+        }
+        ui.searchInput.value = search.value;
+        await this.handleSearch();
+    }
+
+    /**
+     * Abort the running search, if any
+     */
+    cancelSearch(notify = false) {
+        if (!this.searchController) return false;
+        
+        this.searchController.abort();
+        this.searchController = null;
+        
+        if (notify) {
+            this.showInfo('Search cancelled');
+        }
+        return true;
+    }
+
+    /**
+     * Cancel button for a search's loading notification
+     */
+    getCancelActions(signal) {
+        if (!signal) return [];
+        
+        return [{
+            id: 'cancel',
+            label: 'Cancel',
+            handler: () => this.cancelSearch(true)
+        }];
+    }
+
+    async handleZipSearch(input) {
         // Support multiple ZIPs separated by commas, spaces, or newlines
         const zipPattern = /\b\d{5}\b/g;
         const matches = input.match(zipPattern);
@@ -461,10 +1018,8 @@ class ACSApplication {
         }
         
         // Filter valid ZIPs
-        const validZips = matches.filter(zip => {
-            const info = this.zipIndex.get(zip);
-            return info !== null;
-        });
+        const records = await Promise.all(matches.map(zip => this.zipIndex.get(zip)));
+        const validZips = matches.filter((zip, i) => records[i] !== null);
         
         if (validZips.length === 0) {
             this.showWarning('No valid ZIP codes found in database');
@@ -482,7 +1037,7 @@ class ACSApplication {
             return [];
         }
         
-        const centerInfo = this.zipIndex.get(centerZip[0]);
+        const centerInfo = await this.zipIndex.get(centerZip[0]);
         if (!centerInfo) {
             this.showWarning('Center ZIP code not found');
             return [];
@@ -491,7 +1046,7 @@ class ACSApplication {
         const radiusMiles = parseInt(this.uiElements.radiusInput.value) || 10;
         const radiusKm = radiusMiles * 1.60934;
         
-        const results = this.zipIndex.searchByRadius(
+        const results = await this.zipIndex.searchByRadius(
             centerInfo.lat,
             centerInfo.lng,
             radiusKm,
@@ -501,9 +1056,14 @@ class ACSApplication {
         return results.map(r => r.zip);
     }
 
-    handleStateSearch(input) {
+    async handleStateSearch(input) {
+        if (!this.zipIndex.hasField('state_id')) {
+            this.showError('State search needs ZIP records with states: add the HUD ZIP–County crosswalk to data/gazetteer/manifest.json');
+            return [];
+        }
+        
         const stateId = input.toUpperCase().trim();
-        const results = this.zipIndex.getByState(
+        const results = await this.zipIndex.getByState(
             stateId,
             parseInt(this.uiElements.resultsLimit.value) || 100
         );
@@ -511,7 +1071,12 @@ class ACSApplication {
         return results.map(r => r.zip);
     }
 
-    handleCitySearch(input) {
+    async handleCitySearch(input) {
+        if (!this.zipIndex.hasField('city')) {
+            this.showError('City search needs ZIP records with cities: add the HUD ZIP–County crosswalk to data/gazetteer/manifest.json');
+            return [];
+        }
+        
         // Try to extract state from input (e.g., "New York, NY")
         let cityName = input;
         let stateId = null;
@@ -522,7 +1087,7 @@ class ACSApplication {
             stateId = input.substring(commaIndex + 1).trim().toUpperCase();
         }
         
-        const results = this.zipIndex.searchByCity(
+        const results = await this.zipIndex.searchByCity(
             cityName,
             stateId,
             parseInt(this.uiElements.resultsLimit.value) || 50
@@ -531,6 +1096,289 @@ class ACSApplication {
         return results.map(r => r.zip);
     }
 
+    async resolveGeographies(zipCodes, geographyId) {
+        if (geographyId === 'zcta') {
+            return zipCodes;
+        }
+        
+        const geography = this.geographies.get(geographyId);
+        
+        try {
+            await this.zipIndex.loadGeographyCentroids(geographyId, geography.centroidUrl);
+        } catch (error) {
+            this.showError(`${geography.label} locations unavailable: ${error.message}`);
+            return [];
+        }
+        
+        const records = (await Promise.all(zipCodes.map(zip => this.zipIndex.get(zip)))).filter(Boolean);
+        const counties = new Set(records
+            .filter(record => record.county_fips)
+            .map(record => String(record.county_fips).padStart(5, '0')));
+        const states = new Set(Array.from(counties, county => county.substring(0, 2)));
+        
+        // States and counties come straight from the ZIP records
+        if (geographyId === 'state' && states.size > 0) {
+            return Array.from(states);
+        }
+        if (geographyId === 'county' && counties.size > 0) {
+            return Array.from(counties);
+        }
+        
+        // Smaller areas: centroids near the ZIPs, inside the same counties/states
+        const padding = 0.05;
+        const lats = records.map(record => record.lat);
+        const lngs = records.map(record => record.lng);
+        const bounds = [
+            Math.min(...lats) - padding,
+            Math.min(...lngs) - padding,
+            Math.max(...lats) + padding,
+            Math.max(...lngs) + padding
+        ];
+        
+        const prefixes = geography.parentLength >= 5 ? counties : states;
+        const prefixLength = geography.parentLength >= 5 ? 5 : 2;
+        const filter = prefixes.size > 0 ?
+            (geoid) => prefixes.has(geoid.substring(0, prefixLength)) : null;
+        
+        const areas = await this.zipIndex.searchGeographiesByBoundingBox(
+            geographyId,
+            bounds,
+            parseInt(this.uiElements.resultsLimit.value) || 100,
+            filter
+        );
+        return areas.map(record => record.geoid);
+    }
+
+    populateGeographySelect() {
+        const dataset = this.apiService.dataset;
+        
+        this.uiElements.geographySelect.innerHTML = this.geographies.list()
+            .filter(geography => this.datasets.supportsGeography(dataset, geography.id))
+            .map(geography =>
+                `<option value="${geography.id}"${geography.id === this.geography ? ' selected' : ''}>${geography.label}</option>`
+            ).join('');
+    }
+
+    populateDatasetSelect() {
+        this.uiElements.datasetSelect.innerHTML = this.datasets.list().map(dataset =>
+            `<option value="${dataset.id}"${dataset.id === this.apiService.dataset ? ' selected' : ''}>${dataset.label}</option>`
+        ).join('');
+    }
+
+    populateCompareYears() {
+        const { dataset, year } = this.apiService;
+        const years = this.datasets.get(dataset).years.filter(y => y !== year).reverse();
+        
+        this.uiElements.compareYear.innerHTML = '<option value="">No Comparison</option>' +
+            years.map(y =>
+                `<option value="${y}"${y === this.compareYear ? ' selected' : ''}>${this.datasets.formatYear(dataset, y)}</option>`
+            ).join('');
+        this.uiElements.compareYear.disabled = years.length === 0;
+    }
+
+    isDetailedDataset() {
+        return this.datasets.get(this.apiService.dataset).tables === 'detailed';
+    }
+
+    async handleDatasetChange(datasetId) {
+        const dataset = this.apiService.setDataset(datasetId);
+        this.geography = this.apiService.geography;
+        
+        try {
+            await this.variableCatalog.configure(dataset, this.apiService.year);
+        } catch (error) {
+            this.showWarning(`Variable catalog unavailable for ${dataset.label}: ${error.message}`);
+        }
+        
+        // Keep the variable when the new dataset has it (e.g. ACS 5-year -> 1-year)
+        const featured = this.variableCatalog.getFeatured();
+        const meta = this.variableCatalog.get(this.currentVariable);
+        const keep = meta && (!meta.custom ||
+            (this.derivedMetrics.has(this.currentVariable) && this.isDetailedDataset()));
+        if (!keep && featured.length > 0) {
+            this.currentVariable = featured[0].name;
+        }
+        
+        if (!this.datasets.supportsYear(datasetId, this.compareYear)) {
+            this.compareYear = null;
+        }
+        
+        this.populateVariableSelect();
+        this.populateGeographySelect();
+        this.populateCompareYears();
+        
+        this.showInfo(`Using ${dataset.label} ${this.datasets.formatYear(datasetId, this.apiService.year)}`);
+        
+        if (this.currentZips.length > 0 && this.enabledLayers.has('primary')) {
+            await this.fetchAndVisualize(this.currentZips, { layers: ['primary'] });
+        }
+    }
+
+    async handleLayerToggle(layerId, enabled) {
+        if (enabled) {
+            this.enabledLayers.add(layerId);
+        } else {
+            this.enabledLayers.delete(layerId);
+        }
+        
+        const layer = this.mapVisualizer.getLayer(layerId);
+        
+        // Already drawn for the current ZIPs: just switch it on/off
+        if (layer) {
+            this.mapVisualizer.toggleLayer(layerId, enabled);
+            return;
+        }
+        
+        if (enabled && this.currentZips.length > 0) {
+            await this.fetchAndVisualize(this.currentZips, {
+                layers: [layerId],
+                fitBounds: false,
+                keepDisabledLayers: true
+            });
+        }
+    }
+
+    populateVariableSelect() {
+        const select = this.uiElements.variableSelect;
+        const featured = this.variableCatalog.getFeatured();
+        
+        // Built-in derived metrics are written against the detailed tables
+        const derived = this.derivedMetrics.list()
+            .filter(m => this.isDetailedDataset() || m.id.startsWith('custom_'));
+        const datasetLabel = this.datasets.get(this.apiService.dataset).label;
+        
+        select.innerHTML = `
+            <optgroup label="${datasetLabel}">
+                ${featured.map(v => `<option value="${v.name}">${v.label}</option>`).join('')}
+            </optgroup>
+            <optgroup label="Derived Metrics" id="derivedMetricOptions">
+                ${derived.map(m => `<option value="${m.id}" title="${m.expression}">${m.label}</option>`).join('')}
+            </optgroup>
+        `;
+        
+        if (!featured.some(v => v.name === this.currentVariable)) {
+            this.addVariableOption(this.currentVariable);
+        }
+        select.value = this.currentVariable;
+    }
+
+    addVariableOption(variable) {
+        const select = this.uiElements.variableSelect;
+        if (Array.from(select.options).some(o => o.value === variable)) return;
+        
+        const option = document.createElement('option');
+        option.value = variable;
+        option.textContent = this.variableCatalog.getLabel(variable);
+        option.title = this.variableCatalog.getDescription(variable);
+        select.appendChild(option);
+    }
+
+    registerChangeVariable(variable) {
+        const name = this.apiService.getChangeVariable(variable, this.changeMetric);
+        const years = `${this.compareYear}–${this.apiService.year}`;
+        
+        this.variableCatalog.addCustomVariable({
+            name,
+            label: `${this.changeMetric === 'pct' ? '% Change' : 'Change'} in ${this.variableCatalog.getLabel(variable)} (${years})`,
+            concept: 'Multi-Year Comparison',
+            unit: this.changeMetric === 'pct' ? 'percent' : this.variableCatalog.getUnit(variable),
+            description: `${this.variableCatalog.getDescription(variable)}, ${years}`
+        });
+        
+        return name;
+    }
+
+    registerDerivedMetric(metric) {
+        this.variableCatalog.addCustomVariable({
+            name: metric.id,
+            label: metric.label,
+            unit: metric.unit,
+            description: metric.expression
+        });
+    }
+
+    handleCustomExpression() {
+        const expression = this.uiElements.expressionInput.value.trim();
+        if (!expression) return;
+        
+        let metric;
+        try {
+            const id = `custom_${this.apiService.hashString(expression)}`;
+            metric = this.derivedMetrics.get(id) ||
+                this.derivedMetrics.register(id, { label: expression, expression });
+        } catch (error) {
+            this.showError(`Invalid expression: ${error.message}`);
+            return;
+        }
+        
+        this.registerDerivedMetric(metric);
+        
+        const group = document.getElementById('derivedMetricOptions');
+        if (!Array.from(group.children).some(o => o.value === metric.id)) {
+            const option = document.createElement('option');
+            option.value = metric.id;
+            option.textContent = metric.label;
+            option.title = metric.expression;
+            group.appendChild(option);
+        }
+        
+        this.selectVariable(metric.id);
+    }
+
+    selectVariable(variable) {
+        const ui = this.uiElements;
+        
+        this.addVariableOption(variable);
+        ui.variableSelect.value = variable;
+        ui.variableSearch.value = '';
+        ui.variableSearchResults.innerHTML = '';
+        ui.variableSelect.dispatchEvent(new Event('change'));
+    }
+
+    renderVariableSearchResults() {
+        const ui = this.uiElements;
+        const query = ui.variableSearch.value.trim();
+        
+        if (query.length < 2) {
+            ui.variableSearchResults.innerHTML = '';
+            return;
+        }
+        
+        const results = this.variableCatalog.search(query, 25);
+        
+        ui.variableSearchResults.innerHTML = results.length === 0 ?
+            '<li class="no-results">No matching variables</li>' :
+            results.map(r => `
+                <li data-variable="${r.name}" title="${r.description}">
+                    <strong>${r.name}</strong> ${r.label}
+                    <small>${r.description}</small>
+                </li>
+            `).join('');
+    }
+
+    handleClassificationChange() {
+        const ui = this.uiElements;
+        const method = ui.classificationMethod.value;
+        
+        ui.manualBreaksControls.style.display = method === 'manual' ? 'block' : 'none';
+        ui.classCount.disabled = method === 'manual' || method === 'standardDeviation';
+        
+        const breaks = ui.manualBreaksInput.value
+            .split(/[,\s]+/)
+            .map(v => parseFloat(v))
+            .filter(v => !isNaN(v));
+        
+        if (method === 'manual' && breaks.length === 0) {
+            return;
+        }
+        
+        this.mapVisualizer.setClassification({
+            method,
+            classes: parseInt(ui.classCount.value) || 5,
+            breaks
+        });
+    }
+
     handleSearchTypeChange(type) {
         const radiusControls = this.uiElements.radiusControls;
         radiusControls.style.display = type === 'radius' ? 'block' : 'none';
@@ -565,7 +1413,6 @@ class ACSApplication {
         if (!this.apiService) return;
         
         const apiStats = this.apiService.getStats();
-        const cacheStats = this.apiService.getCacheStats();
         
         this.uiElements.apiRequests.textContent = apiStats.totalRequests;
         this.uiElements.cacheHits.textContent = apiStats.cacheHits;
@@ -575,8 +1422,7 @@ class ACSApplication {
             this.uiElements.dataPoints.textContent = mapStats.markers;
         }
         
-        this.uiElements.cacheStatus.textContent = 
-            `${cacheStats.count} entries (${cacheStats.sizeKB} KB)`;
+        this.updateCacheStatus();
     }
 
     updateStatusIndicator() {
@@ -594,12 +1440,16 @@ class ACSApplication {
         }
     }
 
-    updateCacheStatus() {
+    async updateCacheStatus() {
         if (!this.apiService) return;
         
-        const cacheStats = this.apiService.getCacheStats();
-        this.uiElements.cacheStatus.textContent = 
-            `${cacheStats.count} entries (${cacheStats.sizeKB} KB)`;
+        try {
+            this.cacheStats = await this.apiService.getCacheStats();
+            this.uiElements.cacheStatus.textContent = 
+                `${this.cacheStats.count} entries (${this.cacheStats.sizeKB} KB)`;
+        } catch (error) {
+            console.warn('Cache stats unavailable:', error);
+        }
     }
 
     updateLastUpdated() {
@@ -607,7 +1457,11 @@ class ACSApplication {
         this.uiElements.lastUpdated.textContent = now.toLocaleString();
     }
 
-    updateResultsPanel(requestedZips, receivedCount = null) {
+    /**
+     * List the searched ZIP codes; `details` (a detailed fetchDataForGeographies()
+     * or fetchComparison() result) adds where the data came from and what failed
+     */
+    updateResultsPanel(requestedZips, receivedCount = null, details = null) {
         const content = this.uiElements.resultsContent;
         
         if (!requestedZips || requestedZips.length === 0) {
@@ -615,14 +1469,19 @@ class ACSApplication {
             return;
         }
         
+        // Per-ZIP status only applies when the map shows ZIP code areas
+        const zipStatus = details && this.geography === 'zcta' ? details.status : null;
+        
         const rows = requestedZips.slice(0, 20).map(zip => {
-            const info = this.zipIndex.get(zip);
+            const info = this.zipIndex.getGeography('zcta', zip);
+            const status = zipStatus?.[zip];
             return `
                 <tr>
                     <td>${zip}</td>
                     <td>${info?.city || 'N/A'}, ${info?.state_id || 'N/A'}</td>
                     <td>${info?.county_name || 'N/A'}</td>
                     <td>${info?.population ? info.population.toLocaleString() : 'N/A'}</td>
+                    ${zipStatus ? `<td>${this.formatResultStatus(status)}</td>` : ''}
                 </tr>
             `;
         }).join('');
@@ -633,6 +1492,7 @@ class ACSApplication {
         
         content.innerHTML = `
             ${summary}
+            ${details ? this.formatResultBreakdown(details) : ''}
             <table class="results-table">
                 <thead>
                     <tr>
@@ -640,6 +1500,7 @@ class ACSApplication {
                         <th>Location</th>
                         <th>County</th>
                         <th>Population</th>
+                        ${zipStatus ? '<th>Data</th>' : ''}
                     </tr>
                 </thead>
                 <tbody>
@@ -651,6 +1512,51 @@ class ACSApplication {
         `;
     }
 
+    /**
+     * Summary line (sources, failures, timing) and grouped errors for a detailed result
+     */
+    formatResultBreakdown(details) {
+        const { summary, timings, errors } = details;
+        const parts = [
+            [summary.fromAPI, 'from the Census API'],
+            [summary.fromCache - summary.stale, 'cached'],
+            [summary.fromPacks, 'from data packs'],
+            [summary.stale, 'from expired cache (refresh failed)'],
+            [summary.missing, 'without data'],
+            [summary.invalid, 'not recognised'],
+            [summary.failed, 'failed']
+        ]
+            .filter(([count]) => count > 0)
+            .map(([count, label]) => `${count.toLocaleString()} ${label}`);
+        
+        const errorItems = errors.map(error => `
+            <li>${this.escapeHTML(this.describeAPIError(error))} (${error.geoids.length} locations)</li>
+        `).join('');
+        
+        return `
+            <p class="results-breakdown">${parts.join(' · ')} · ${(timings.total / 1000).toFixed(1)}s</p>
+            ${errorItems ? `<ul class="results-errors">${errorItems}</ul>` : ''}
+        `;
+    }
+
+    /**
+     * Short label for one area's status in a detailed result
+     */
+    formatResultStatus(status) {
+        if (!status) return '';
+        
+        const labels = {
+            ok: { api: 'API', cache: 'Cache', pack: 'Data pack' }[status.source] || 'OK',
+            stale: 'Expired cache',
+            missing: 'No data',
+            invalid: 'Not recognised',
+            failed: 'Failed'
+        };
+        const title = status.error ? ` title="${this.escapeHTML(status.error.message)}"` : '';
+        
+        return `<span class="result-status result-status--${status.status}"${title}>${labels[status.status]}</span>`;
+    }
+
     showMarkerInfo(marker) {
         // Could be extended to show detailed marker info in sidebar
         console.log('Marker clicked:', marker);
@@ -665,13 +1571,77 @@ class ACSApplication {
             return;
         }
         
-        const cleared = this.apiService.clearCache();
+        const cleared = await this.apiService.clearCache();
         this.showSuccess(`Cleared ${cleared} cache entries`);
         this.updateCacheStatus();
     }
 
+    async importDataPack(file) {
+        try {
+            const pack = await this.dataPacks.importFile(file);
+            this.showSuccess(
+                `Imported ${pack.count.toLocaleString()} areas (${pack.dataset} ${pack.year}) from ${pack.label}`
+            );
+            this.updateDataPackStatus();
+        } catch (error) {
+            console.error('Data pack import failed:', error);
+            this.showError(`Could not import data pack: ${error.message}`);
+        }
+    }
+
+    async downloadDataPack() {
+        const layer = this.mapVisualizer.getLayer('primary');
+        if (!layer || !layer.data) {
+            this.showWarning('Map some areas first; a data pack holds the mapped areas');
+            return;
+        }
+        
+        // Packs hold raw API variables; derived metrics are recomputed from them
+        const geography = layer.geography || 'zcta';
+        const variables = this.derivedMetrics.resolveVariables([this.currentVariable]);
+        if (this.isDetailedDataset() && !variables.includes('B01003_001E')) {
+            variables.push('B01003_001E');
+        }
+        
+        const { dataset, year } = this.apiService;
+        const geoids = Object.keys(layer.data.acsData);
+        
+        try {
+            const results = await this.apiService.fetchDataForGeographies(geoids, variables, { geography });
+            const pack = this.dataPacks.create(results, {
+                label: `${this.datasets.get(dataset).label} ${year} ${this.geographies.get(geography).shortLabel}: ` +
+                    this.variableCatalog.getLabel(this.currentVariable),
+                dataset,
+                year,
+                geography,
+                variables
+            });
+            const { blob, extension } = await this.dataPacks.toBlob(pack);
+            
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `acs_pack_${dataset.replace(/\//g, '-')}_${year}_${geography}.${extension}`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            
+            this.showSuccess(`Saved data pack with ${Object.keys(pack.records).length} areas`);
+        } catch (error) {
+            console.error('Data pack export failed:', error);
+            this.showError(`Could not create data pack: ${error.message}`);
+        }
+    }
+
+    updateDataPackStatus() {
+        const packs = this.dataPacks.list();
+        this.uiElements.dataPackStatus.textContent = packs.length === 0 ? 'No packs loaded' :
+            packs.map(pack => `${pack.label}${pack.count !== null ? ` (${pack.count.toLocaleString()})` : ''}`).join(', ');
+    }
+
     exportAllData() {
-        if (!this.mapVisualizer || !this.currentData) {
+        if (!this.mapVisualizer || !this.mapVisualizer.currentData) {
             this.showWarning('No data to export');
             return;
         }
@@ -702,7 +1672,102 @@ class ACSApplication {
     // UTILITIES
     // ============================================================================
 
+    /**
+     * Census API base URL: ?apiBase=<url> (remembered; ?apiBase=default forgets it),
+     * e.g. ?apiBase=/data against the mock server. Only same-origin or loopback
+     * bases are accepted, so a link cannot redirect requests to another host.
+     */
+    getAPIBaseUrl() {
+        const override = new URLSearchParams(window.location.search).get('apiBase');
+        
+        if (override === 'default') {
+            localStorage.removeItem('census_api_base_url');
+        } else if (override) {
+            if (this.resolveLocalAPIBase(override)) {
+                localStorage.setItem('census_api_base_url', override.replace(/\/+$/, ''));
+            } else {
+                console.warn(`Ignoring apiBase ${override}: only same-origin or localhost API servers are allowed`);
+            }
+        }
+        
+        const baseUrl = localStorage.getItem('census_api_base_url');
+        if (!baseUrl) {
+            return 'https://api.census.gov/data';
+        }
+        
+        const resolved = this.resolveLocalAPIBase(baseUrl);
+        if (!resolved) {
+            // Saved by an older version that accepted any host
+            localStorage.removeItem('census_api_base_url');
+            return 'https://api.census.gov/data';
+        }
+        
+        console.log(`Using Census API base URL ${resolved}`);
+        return resolved;
+    }
+
+    /**
+     * Absolute form of a same-origin or loopback API base, or null for any other host
+     */
+    resolveLocalAPIBase(baseUrl) {
+        let url;
+        try {
+            // Relative bases resolve against the page, as fetch() would
+            url = new URL(baseUrl, window.location.href);
+        } catch (error) {
+            return null;
+        }
+        
+        const loopback = /^(localhost|127(\.\d{1,3}){3}|\[::1\])$/i.test(url.hostname);
+        if (url.origin !== window.location.origin && !loopback) {
+            return null;
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return null;
+        }
+        return url.href.replace(/\/+$/, '');
+    }
+
+    /**
+     * Escape text for interpolation into innerHTML
+     */
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    /**
+     * User-facing explanation of a failed Census API request
+     */
+    describeAPIError(error) {
+        switch (error?.kind) {
+            case 'invalidVariable':
+                return `${error.variable || 'A variable'} is not published in ` +
+                    `${error.dataset || this.apiService.dataset} ${error.year || this.apiService.year}`;
+            case 'invalidGeography':
+                return `This dataset does not support the selected geography (${error.message})`;
+            case 'invalidKey':
+                return 'The Census API rejected the API key; clear it from localStorage (census_api_key) and reload';
+            case 'rateLimited':
+                return 'The Census API rate limit was reached; try again shortly';
+            case 'timeout':
+                return 'The Census API did not respond in time';
+            case 'network':
+                return `Could not reach the Census API (${error.message})`;
+            case 'server':
+                return `The Census API is having problems (${error.message})`;
+            default:
+                return error?.message || String(error);
+        }
+    }
+
     async getAPIKey() {
+        // Local API servers don't need a real key, and never get the stored one
+        if (this.apiBaseUrl !== 'https://api.census.gov/data') {
+            return 'local';
+        }
+        
         // Try to get API key from localStorage
         let apiKey = localStorage.getItem('census_api_key');
         
@@ -756,7 +1821,7 @@ class ACSApplication {
             initialized: this.isInitialized,
             zipCount: this.zipIndex?.getStats().totalRecords || 0,
             apiStats: this.apiService?.getStats() || {},
-            cacheStats: this.apiService?.getCacheStats() || {},
+            cacheStats: this.cacheStats || {},
             mapStats: this.mapVisualizer?.getStats() || {}
         };
     }
@@ -764,6 +1829,7 @@ class ACSApplication {
     getCurrentState() {
         return {
             variable: this.currentVariable,
+            layers: Array.from(this.enabledLayers),
             zips: [...this.currentZips],
             mapCenter: this.mapVisualizer?.map.getCenter(),
             mapZoom: this.mapVisualizer?.map.getZoom()
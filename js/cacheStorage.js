@@ -0,0 +1,351 @@
+// ============================================================================
+// CACHE STORAGE ADAPTERS
+// ============================================================================
+
+/**
+ * Cache entries are plain objects keyed by `key`, one per (dataset, year, geography,
+ * GEOID, variable), carrying `dataset`, `year`, `geography`, `geoid`, `variable`,
+ * `expiry`, `cachedAt` and `size` alongside the cached value. Every adapter exposes
+ * the same async interface:
+ *
+ *   open(), get(key), getMany(keys), set(entry), setMany(entries), delete(key),
+ *   deleteMany(keys), clear(), deleteExpired(now), deleteOldest(count),
+ *   query({ dataset, year, geography, variable }), stats(now)
+ */
+
+/**
+ * IndexedDB-backed cache (indexed by scope, variable, GEOID, expiry and age)
+ */
+class IndexedDBCacheStorage {
+    constructor(options = {}) {
+        // Configuration
+        this.config = {
+            dbName: 'acs-cache',
+            storeName: 'entries',
+            version: 2,
+            ...options
+        };
+
+        // State
+        this.db = null;
+        this.openPromise = null;
+        this.type = 'indexedDB';
+    }
+
+    // ============================================================================
+    // CONNECTION
+    // ============================================================================
+
+    /**
+     * Open (and create/upgrade) the database once
+     */
+    open() {
+        if (this.openPromise) {
+            return this.openPromise;
+        }
+
+        this.openPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const { dbName, storeName, version } = this.config;
+            const request = indexedDB.open(dbName, version);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+
+                // Version 1 stored whole variable sets per entry; those are simply dropped
+                if (event.oldVersion < 2 && db.objectStoreNames.contains(storeName)) {
+                    db.deleteObjectStore(storeName);
+                }
+
+                if (!db.objectStoreNames.contains(storeName)) {
+                    const store = db.createObjectStore(storeName, { keyPath: 'key' });
+                    store.createIndex('scope', ['dataset', 'year', 'geography']);
+                    store.createIndex('variable', 'variable');
+                    store.createIndex('geoid', 'geoid');
+                    store.createIndex('expiry', 'expiry');
+                    store.createIndex('cachedAt', 'cachedAt');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+
+                // Another tab upgraded the schema: reopen on next use
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.openPromise = null;
+                };
+
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+
+        // Allow a later retry if opening failed
+        this.openPromise.catch(() => {
+            this.openPromise = null;
+        });
+
+        return this.openPromise;
+    }
+
+    /**
+     * Run an operation in a transaction, resolving when it commits
+     * (with the request's result, or whatever the operation returned)
+     */
+    async withStore(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.config.storeName, mode);
+            const result = operation(tx.objectStore(this.config.storeName));
+
+            tx.oncomplete = () => {
+                resolve(result instanceof IDBRequest ? result.result : result);
+            };
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    /**
+     * Walk a cursor, calling visit(cursor) for each record until it returns false
+     */
+    iterate(source, range, visit) {
+        const request = source.openCursor(range);
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor && visit(cursor) !== false) {
+                cursor.continue();
+            }
+        };
+    }
+
+    // ============================================================================
+    // READ/WRITE
+    // ============================================================================
+
+    async get(key) {
+        const entry = await this.withStore('readonly', store => store.get(key));
+        return entry || null;
+    }
+
+    getMany(keys) {
+        return this.withStore('readonly', store => {
+            const found = new Map();
+            for (const key of keys) {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        found.set(key, request.result);
+                    }
+                };
+            }
+            return found;
+        });
+    }
+
+    set(entry) {
+        return this.setMany([entry]);
+    }
+
+    async setMany(entries) {
+        await this.withStore('readwrite', store => {
+            entries.forEach(entry => store.put(entry));
+        });
+        return entries.length;
+    }
+
+    delete(key) {
+        return this.deleteMany([key]);
+    }
+
+    async deleteMany(keys) {
+        await this.withStore('readwrite', store => {
+            keys.forEach(key => store.delete(key));
+        });
+        return keys.length;
+    }
+
+    // ============================================================================
+    // MAINTENANCE
+    // ============================================================================
+
+    async clear() {
+        const counter = await this.withStore('readwrite', store => {
+            const counter = { count: 0 };
+            const request = store.count();
+            request.onsuccess = () => {
+                counter.count = request.result;
+                store.clear();
+            };
+            return counter;
+        });
+        return counter.count;
+    }
+
+    async deleteExpired(now = Date.now()) {
+        const counter = await this.withStore('readwrite', store => {
+            const counter = { count: 0 };
+            this.iterate(store.index('expiry'), IDBKeyRange.upperBound(now), cursor => {
+                cursor.delete();
+                counter.count++;
+            });
+            return counter;
+        });
+        return counter.count;
+    }
+
+    async deleteOldest(count) {
+        const counter = await this.withStore('readwrite', store => {
+            const counter = { count: 0 };
+            this.iterate(store.index('cachedAt'), null, cursor => {
+                if (counter.count >= count) return false;
+                cursor.delete();
+                counter.count++;
+            });
+            return counter;
+        });
+        return counter.count;
+    }
+
+    // ============================================================================
+    // QUERIES
+    // ============================================================================
+
+    /**
+     * Find entries by scope and/or variable
+     */
+    async query({ dataset, year, geography, variable } = {}) {
+        const entries = await this.withStore('readonly', store => {
+            if (variable) {
+                return store.index('variable').getAll(variable);
+            }
+            if (dataset && year && geography) {
+                return store.index('scope').getAll([dataset, String(year), geography]);
+            }
+            return store.getAll();
+        });
+
+        return entries.filter(entry =>
+            (!dataset || entry.dataset === dataset) &&
+            (!year || entry.year === String(year)) &&
+            (!geography || entry.geography === geography)
+        );
+    }
+
+    async stats(now = Date.now()) {
+        return this.withStore('readonly', store => {
+            const stats = { count: 0, size: 0, expired: 0 };
+            this.iterate(store, null, cursor => {
+                stats.count++;
+                stats.size += cursor.value.size || 0;
+                if (cursor.value.expiry && now > cursor.value.expiry) {
+                    stats.expired++;
+                }
+            });
+            return stats;
+        });
+    }
+}
+
+/**
+ * In-memory cache with the same interface (tests, private browsing fallback)
+ */
+class MemoryCacheStorage {
+    constructor() {
+        this.entries = new Map();
+        this.type = 'memory';
+    }
+
+    async open() {
+        return true;
+    }
+
+    async get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    async getMany(keys) {
+        const found = new Map();
+        for (const key of keys) {
+            if (this.entries.has(key)) {
+                found.set(key, this.entries.get(key));
+            }
+        }
+        return found;
+    }
+
+    async set(entry) {
+        return this.setMany([entry]);
+    }
+
+    async setMany(entries) {
+        entries.forEach(entry => this.entries.set(entry.key, entry));
+        return entries.length;
+    }
+
+    async delete(key) {
+        return this.deleteMany([key]);
+    }
+
+    async deleteMany(keys) {
+        keys.forEach(key => this.entries.delete(key));
+        return keys.length;
+    }
+
+    async clear() {
+        const count = this.entries.size;
+        this.entries.clear();
+        return count;
+    }
+
+    async deleteExpired(now = Date.now()) {
+        const expired = Array.from(this.entries.values())
+            .filter(entry => entry.expiry && now > entry.expiry)
+            .map(entry => entry.key);
+        return this.deleteMany(expired);
+    }
+
+    async deleteOldest(count) {
+        const oldest = Array.from(this.entries.values())
+            .sort((a, b) => (a.cachedAt || 0) - (b.cachedAt || 0))
+            .slice(0, count)
+            .map(entry => entry.key);
+        return this.deleteMany(oldest);
+    }
+
+    async query({ dataset, year, geography, variable } = {}) {
+        return Array.from(this.entries.values()).filter(entry =>
+            (!dataset || entry.dataset === dataset) &&
+            (!year || entry.year === String(year)) &&
+            (!geography || entry.geography === geography) &&
+            (!variable || entry.variable === variable)
+        );
+    }
+
+    async stats(now = Date.now()) {
+        const stats = { count: 0, size: 0, expired: 0 };
+        for (const entry of this.entries.values()) {
+            stats.count++;
+            stats.size += entry.size || 0;
+            if (entry.expiry && now > entry.expiry) {
+                stats.expired++;
+            }
+        }
+        return stats;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndexedDBCacheStorage, MemoryCacheStorage };
+}
@@ -0,0 +1,217 @@
+// ============================================================================
+// CENSUS API ERRORS
+// ============================================================================
+
+/**
+ * Failed Census API request. Subclasses say whether retrying can help;
+ * `status` is the HTTP status (null when no response arrived) and
+ * `retryAfter` the server-requested wait in milliseconds, if any.
+ */
+class CensusAPIError extends Error {
+    constructor(message, { status = null, retryAfter = null, cause = null } = {}) {
+        super(message);
+        this.name = 'CensusAPIError';
+        this.kind = 'request';
+        this.status = status;
+        this.retryAfter = retryAfter;
+        this.cause = cause;
+    }
+
+    /**
+     * Whether the same request may succeed later
+     */
+    get retryable() {
+        return false;
+    }
+
+    /**
+     * Classify a non-OK (or non-JSON) response from its status and body text
+     */
+    static fromResponse(status, text = '', headers = null) {
+        const body = String(text).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+        const detail = body.replace(/^(error:\s*)+/i, '').slice(0, 300) || `HTTP ${status}`;
+        const options = { status };
+
+        // Invalid keys come back as 403s or as an HTML page
+        if (status === 401 || status === 403 || /invalid key/i.test(body)) {
+            return new CensusInvalidKeyError(detail, options);
+        }
+
+        if (status === 429) {
+            const retryAfter = CensusAPIError.parseRetryAfter(headers?.get?.('Retry-After'));
+            return new CensusRateLimitError(detail, { ...options, retryAfter });
+        }
+
+        if (status >= 500) {
+            return new CensusServerError(detail, options);
+        }
+
+        const unknownVariable = body.match(/unknown (?:predicate )?variable:?\s*'([^']+)'/i);
+        if (unknownVariable) {
+            return new CensusInvalidVariableError(detail, { ...options, variable: unknownVariable[1] });
+        }
+
+        if (/geograph|hierarchy|ambiguous|'for'|'in'/i.test(body)) {
+            // e.g. "unknown/unsupported geography: county:999" names the rejected area
+            const named = body.match(/geography:\s*([a-z][a-z ]*):\s*(\w+)/i);
+            return new CensusInvalidGeographyError(detail, {
+                ...options,
+                level: named ? named[1].trim() : null,
+                code: named ? named[2] : null
+            });
+        }
+
+        return new CensusAPIError(`HTTP ${status}: ${detail}`, options);
+    }
+
+    /**
+     * Wrap an error thrown while requesting or reading a response
+     */
+    static fromError(error, { timedOut = false } = {}) {
+        if (error instanceof CensusAPIError) {
+            return error;
+        }
+
+        if (timedOut) {
+            return new CensusTimeoutError('Census API request timed out', { cause: error });
+        }
+
+        // fetch() rejects with a TypeError when the network or CORS fails
+        if (error instanceof TypeError) {
+            return new CensusNetworkError(`Network error: ${error.message}`, { cause: error });
+        }
+
+        // Truncated or malformed bodies are usually a dropped connection
+        if (/Invalid API response format|JSON/i.test(error?.message || '')) {
+            return new CensusServerError(error.message, { cause: error });
+        }
+
+        return new CensusNetworkError(error?.message || String(error), { cause: error });
+    }
+
+    /**
+     * Retry-After as milliseconds (seconds or an HTTP date), or null
+     */
+    static parseRetryAfter(value, now = Date.now()) {
+        if (value === null || value === undefined || value === '') return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - now);
+    }
+}
+
+/**
+ * No response: offline, DNS, CORS or a dropped connection
+ */
+class CensusNetworkError extends CensusAPIError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'CensusNetworkError';
+        this.kind = 'network';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * No response within the service timeout
+ */
+class CensusTimeoutError extends CensusAPIError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'CensusTimeoutError';
+        this.kind = 'timeout';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * HTTP 429; `retryAfter` holds the server's requested wait when given
+ */
+class CensusRateLimitError extends CensusAPIError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'CensusRateLimitError';
+        this.kind = 'rateLimited';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * HTTP 5xx or a broken response body
+ */
+class CensusServerError extends CensusAPIError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'CensusServerError';
+        this.kind = 'server';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * A requested variable does not exist in the dataset/year
+ */
+class CensusInvalidVariableError extends CensusAPIError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'CensusInvalidVariableError';
+        this.kind = 'invalidVariable';
+        this.variable = options.variable || null;
+    }
+}
+
+/**
+ * The geography level or its `in=` parents are not supported; `level` and
+ * `code` are set when the API named the one area it rejected
+ */
+class CensusInvalidGeographyError extends CensusAPIError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'CensusInvalidGeographyError';
+        this.kind = 'invalidGeography';
+        this.level = options.level || null;
+        this.code = options.code || null;
+    }
+}
+
+/**
+ * Missing or rejected API key
+ */
+class CensusInvalidKeyError extends CensusAPIError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'CensusInvalidKeyError';
+        this.kind = 'invalidKey';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CensusAPIError,
+        CensusNetworkError,
+        CensusTimeoutError,
+        CensusRateLimitError,
+        CensusServerError,
+        CensusInvalidVariableError,
+        CensusInvalidGeographyError,
+        CensusInvalidKeyError
+    };
+}
@@ -0,0 +1,94 @@
+// ============================================================================
+// CENSUS RESPONSE STREAMING
+// ============================================================================
+
+/**
+ * Incremental parser for Census API responses (a JSON array of row arrays),
+ * so bulk downloads are processed as they arrive instead of after a full JSON.parse
+ */
+class CensusRowParser {
+    constructor() {
+        // Unparsed text, starting at the row in progress (if any)
+        this.buffer = '';
+        this.scanned = 0;
+        this.rowStart = -1;
+
+        // Scanner state carried across chunks
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.started = false;
+
+        this.rowCount = 0;
+    }
+
+    /**
+     * Add a chunk of text, returning the rows it completes
+     */
+    push(text) {
+        this.buffer += text;
+        const rows = [];
+
+        for (let i = this.scanned; i < this.buffer.length; i++) {
+            const char = this.buffer[i];
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                this.inString = true;
+            } else if (char === '[') {
+                this.depth++;
+                this.started = true;
+                if (this.depth === 2) {
+                    this.rowStart = i;
+                }
+            } else if (char === ']') {
+                if (this.depth === 2) {
+                    rows.push(JSON.parse(this.buffer.slice(this.rowStart, i + 1)));
+                    this.rowStart = -1;
+                }
+                this.depth--;
+                if (this.depth < 0) {
+                    throw new Error('Invalid API response format');
+                }
+            }
+        }
+
+        // Keep only the row still in progress
+        if (this.rowStart === -1) {
+            this.buffer = '';
+            this.scanned = 0;
+        } else {
+            this.buffer = this.buffer.slice(this.rowStart);
+            this.scanned = this.buffer.length;
+            this.rowStart = 0;
+        }
+
+        this.rowCount += rows.length;
+        return rows;
+    }
+
+    /**
+     * Check the response ended cleanly
+     */
+    end() {
+        if (!this.started || this.depth !== 0 || this.inString || this.rowStart !== -1) {
+            throw new Error('Invalid API response format: truncated or empty response');
+        }
+        return this.rowCount;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CensusRowParser };
+}
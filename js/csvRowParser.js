@@ -0,0 +1,170 @@
+// ============================================================================
+// DELIMITED TEXT STREAMING
+// ============================================================================
+
+/**
+ * Incremental CSV/TSV parser: feed text chunks as they arrive and get back the
+ * records they complete. Handles double-quoted fields (with "" escapes and
+ * embedded delimiters or line breaks), CRLF line endings and a leading BOM.
+ */
+class CSVRowParser {
+    constructor(options = {}) {
+        // Configuration (null delimiter: tab if the header line has one, else comma)
+        this.delimiter = options.delimiter || null;
+        // onError(error, text, line) receives a record that cannot be completed
+        // (an unterminated quote); without it end() throws
+        this.onError = options.onError || null;
+
+        // Scanner state carried across chunks
+        this.field = '';
+        this.fields = [];
+        this.raw = '';
+        this.inQuotes = false;
+        this.quotePending = false;
+        this.started = false;
+
+        // Text held back until the header line is complete (delimiter detection)
+        this.pending = '';
+
+        this.lineNumber = 1;
+        this.recordLine = 1;
+        this.rowCount = 0;
+    }
+
+    /**
+     * Add a chunk of text, returning the records it completes as
+     * {fields, line, text} (line is where the record starts, 1-based)
+     */
+    push(text) {
+        const records = [];
+
+        if (!this.started && text.length > 0) {
+            text = text.replace(/^\uFEFF/, '');
+            this.started = true;
+        }
+
+        // The header line may span chunks, so wait for its end before picking a delimiter
+        if (!this.delimiter) {
+            this.pending += text;
+            const lineEnd = this.pending.indexOf('\n');
+            if (lineEnd === -1) {
+                return records;
+            }
+            this.detectDelimiter(this.pending.slice(0, lineEnd));
+            text = this.pending;
+            this.pending = '';
+        }
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            // A quote inside a quoted field either escapes another quote or closes the field
+            if (this.quotePending) {
+                this.quotePending = false;
+                if (char === '"') {
+                    this.field += '"';
+                    this.raw += char;
+                    continue;
+                }
+                this.inQuotes = false;
+            }
+
+            if (this.inQuotes) {
+                if (char === '"') {
+                    this.quotePending = true;
+                } else {
+                    if (char === '\n') this.lineNumber++;
+                    this.field += char;
+                }
+                this.raw += char;
+                continue;
+            }
+
+            if (char === '"' && this.field === '') {
+                this.inQuotes = true;
+                this.raw += char;
+            } else if (char === this.delimiter) {
+                this.fields.push(this.field);
+                this.field = '';
+                this.raw += char;
+            } else if (char === '\n') {
+                this.lineNumber++;
+                this.completeRecord(records);
+            } else if (char !== '\r') {
+                this.field += char;
+                this.raw += char;
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Flush the final record (files need not end with a newline)
+     * @returns {Array} Remaining records
+     */
+    end() {
+        // Text without any line break is a lone header line
+        const records = [];
+        if (!this.delimiter) {
+            this.detectDelimiter(this.pending);
+            const text = this.pending;
+            this.pending = '';
+            records.push(...this.push(text));
+        }
+
+        if (this.inQuotes && !this.quotePending) {
+            const error = new Error(`Unterminated quoted field starting on line ${this.recordLine}`);
+            if (!this.onError) throw error;
+
+            // The partial record is dropped
+            this.onError(error, this.raw, this.recordLine);
+            this.fields = [];
+            this.field = '';
+            this.raw = '';
+            this.inQuotes = false;
+            return records;
+        }
+        this.quotePending = false;
+        this.inQuotes = false;
+
+        this.completeRecord(records);
+        return records;
+    }
+
+    /**
+     * Tab if the header line has one, else comma
+     */
+    detectDelimiter(headerLine) {
+        this.delimiter = headerLine.includes('\t') ? '\t' : ',';
+    }
+
+    /**
+     * Close the record in progress (blank lines are skipped)
+     */
+    completeRecord(records) {
+        if (this.fields.length > 0 || this.field !== '') {
+            this.fields.push(this.field);
+            records.push({ fields: this.fields, line: this.recordLine, text: this.raw });
+            this.rowCount++;
+        }
+
+        this.fields = [];
+        this.field = '';
+        this.raw = '';
+        this.recordLine = this.lineNumber;
+    }
+
+    /**
+     * Parse a complete text at once
+     */
+    static parse(text, options = {}) {
+        const parser = new CSVRowParser(options);
+        return [...parser.push(text), ...parser.end()];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CSVRowParser };
+}
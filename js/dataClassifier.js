@@ -0,0 +1,301 @@
+// ============================================================================
+// DATA CLASSIFICATION
+// ============================================================================
+
+/**
+ * Pluggable class-break schemes shared by color scales, markers and legends
+ */
+class DataClassifier {
+    constructor(options = {}) {
+        // Configuration
+        this.config = {
+            defaultMethod: 'equalInterval',
+            defaultClasses: 5,
+            maxJenksSample: 1000,
+            ...options
+        };
+
+        // Registered classification methods
+        this.methods = new Map();
+
+        this.register('equalInterval', {
+            label: 'Equal Interval',
+            classify: (values, classes) => this.equalInterval(values, classes)
+        });
+
+        this.register('quantile', {
+            label: 'Quantile',
+            classify: (values, classes) => this.quantile(values, classes)
+        });
+
+        this.register('jenks', {
+            label: 'Natural Breaks (Jenks)',
+            classify: (values, classes) => this.jenks(values, classes)
+        });
+
+        this.register('standardDeviation', {
+            label: 'Standard Deviation',
+            classify: (values, classes, options) => this.standardDeviation(values, options)
+        });
+
+        this.register('manual', {
+            label: 'Manual Breaks',
+            classify: (values, classes, options) => this.manual(values, options)
+        });
+    }
+
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+
+    /**
+     * Register a classification method
+     */
+    register(id, method) {
+        if (typeof method.classify !== 'function') {
+            throw new Error(`Classification method ${id} must provide classify()`);
+        }
+        this.methods.set(id, { id, label: method.label || id, classify: method.classify });
+    }
+
+    /**
+     * List available methods
+     */
+    getMethods() {
+        return Array.from(this.methods.values()).map(({ id, label }) => ({ id, label }));
+    }
+
+    /**
+     * Compute class breaks [min, b1, ..., max] for a set of values
+     */
+    classify(values, method = this.config.defaultMethod, classes = this.config.defaultClasses, options = {}) {
+        const clean = values
+            .filter(v => v !== null && v !== undefined && !isNaN(v))
+            .sort((a, b) => a - b);
+
+        if (clean.length === 0) {
+            return [];
+        }
+
+        const min = clean[0];
+        const max = clean[clean.length - 1];
+
+        if (min === max) {
+            return [min, max];
+        }
+
+        const scheme = this.methods.get(method);
+        if (!scheme) {
+            throw new Error(`Unknown classification method: ${method}`);
+        }
+
+        const breaks = scheme.classify(clean, Math.max(1, Math.round(classes)), options);
+        return this.normalizeBreaks(breaks, min, max);
+    }
+
+    /**
+     * Find the class index of a value (each inner break is the upper bound of its class)
+     */
+    getClassIndex(value, breaks) {
+        if (breaks.length < 2) return 0;
+
+        for (let i = 1; i < breaks.length - 1; i++) {
+            if (value <= breaks[i]) {
+                return i - 1;
+            }
+        }
+
+        return breaks.length - 2;
+    }
+
+    // ============================================================================
+    // CLASSIFICATION METHODS
+    // ============================================================================
+
+    /**
+     * Equal-width classes between min and max
+     */
+    equalInterval(sorted, classes) {
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const step = (max - min) / classes;
+        const breaks = [];
+
+        for (let i = 0; i <= classes; i++) {
+            breaks.push(min + step * i);
+        }
+
+        return breaks;
+    }
+
+    /**
+     * Classes holding equal numbers of observations
+     */
+    quantile(sorted, classes) {
+        const breaks = [sorted[0]];
+
+        for (let i = 1; i < classes; i++) {
+            breaks.push(d3.quantileSorted(sorted, i / classes));
+        }
+
+        breaks.push(sorted[sorted.length - 1]);
+        return breaks;
+    }
+
+    /**
+     * Fisher-Jenks natural breaks (sampled for large inputs)
+     */
+    jenks(sorted, classes) {
+        const data = this.sampleSorted(sorted, this.config.maxJenksSample);
+        const n = data.length;
+        const k = Math.min(classes, n);
+
+        // lowerClassLimits[i][j]: start index of last class for first i values in j classes
+        const lowerClassLimits = [];
+        const varianceCombinations = [];
+
+        for (let i = 0; i <= n; i++) {
+            lowerClassLimits.push(new Array(k + 1).fill(0));
+            varianceCombinations.push(new Array(k + 1).fill(i === 0 ? 0 : Infinity));
+        }
+
+        for (let j = 1; j <= k; j++) {
+            lowerClassLimits[1][j] = 1;
+            varianceCombinations[1][j] = 0;
+        }
+
+        for (let l = 2; l <= n; l++) {
+            let sum = 0;
+            let sumSquares = 0;
+            let w = 0;
+            let variance = 0;
+
+            for (let m = 1; m <= l; m++) {
+                const lowerIndex = l - m + 1;
+                const value = data[lowerIndex - 1];
+
+                w++;
+                sum += value;
+                sumSquares += value * value;
+                variance = sumSquares - (sum * sum) / w;
+
+                const i4 = lowerIndex - 1;
+                if (i4 !== 0) {
+                    for (let j = 2; j <= k; j++) {
+                        if (varianceCombinations[l][j] >= variance + varianceCombinations[i4][j - 1]) {
+                            lowerClassLimits[l][j] = lowerIndex;
+                            varianceCombinations[l][j] = variance + varianceCombinations[i4][j - 1];
+                        }
+                    }
+                }
+            }
+
+            lowerClassLimits[l][1] = 1;
+            varianceCombinations[l][1] = variance;
+        }
+
+        // Walk the limits back from the last value
+        const breaks = new Array(k + 1);
+        breaks[k] = data[n - 1];
+        breaks[0] = data[0];
+
+        let countNum = k;
+        let limit = n;
+        while (countNum > 1) {
+            const lower = lowerClassLimits[limit][countNum] - 1;
+            // Upper bound of the class below, so each class keeps its own values
+            breaks[countNum - 1] = data[lower - 1];
+            limit = lower;
+            countNum--;
+        }
+
+        return breaks;
+    }
+
+    /**
+     * Classes one (or `interval`) standard deviation wide around the mean
+     */
+    standardDeviation(sorted, options = {}) {
+        const interval = options.interval || 1;
+        const mean = d3.mean(sorted);
+        const deviation = d3.deviation(sorted) || 0;
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+
+        if (deviation === 0) {
+            return [min, max];
+        }
+
+        const breaks = [min, mean];
+        const step = deviation * interval;
+
+        for (let b = mean - step; b > min; b -= step) {
+            breaks.push(b);
+        }
+        for (let b = mean + step; b < max; b += step) {
+            breaks.push(b);
+        }
+
+        breaks.push(max);
+        return breaks;
+    }
+
+    /**
+     * User-supplied inner breaks
+     */
+    manual(sorted, options = {}) {
+        const inner = (options.breaks || [])
+            .map(Number)
+            .filter(b => !isNaN(b));
+
+        return [sorted[0], ...inner, sorted[sorted.length - 1]];
+    }
+
+    // ============================================================================
+    // UTILITY METHODS
+    // ============================================================================
+
+    /**
+     * Sort, clip to [min, max] and deduplicate breaks
+     */
+    normalizeBreaks(breaks, min, max) {
+        // Schemes return [min, ...inner, max]; only the inner breaks are kept
+        const clipped = breaks
+            .slice(1, -1)
+            .filter(b => b !== null && !isNaN(b))
+            .map(b => Math.min(max, Math.max(min, b)))
+            .sort((a, b) => a - b);
+
+        // Breaks are upper bounds, so one equal to min is a class of its own
+        const unique = [min];
+        for (const b of [...clipped, max]) {
+            const last = unique[unique.length - 1];
+            if (b > last || (unique.length === 1 && b === min && min < max)) {
+                unique.push(b);
+            }
+        }
+
+        return unique;
+    }
+
+    /**
+     * Take an evenly spaced sample of a sorted array
+     */
+    sampleSorted(sorted, size) {
+        if (sorted.length <= size) {
+            return sorted;
+        }
+
+        const sample = [];
+        const step = (sorted.length - 1) / (size - 1);
+        for (let i = 0; i < size; i++) {
+            sample.push(sorted[Math.round(i * step)]);
+        }
+        return sample;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataClassifier };
+}
@@ -0,0 +1,230 @@
+// ============================================================================
+// CENSUS DATASETS
+// ============================================================================
+
+/**
+ * Supported Census API endpoints: vintages, variables, geographies and MOE support
+ */
+class DatasetRegistry {
+    constructor() {
+        // Registered datasets
+        this.datasets = new Map();
+
+        const allGeographies = ['zcta', 'state', 'county', 'tract', 'blockGroup', 'place'];
+
+        this.register('acs/acs5', {
+            label: 'ACS 5-Year',
+            family: 'acs',
+            tables: 'detailed',
+            years: ['2012', '2013', '2014', '2015', '2016', '2017', '2018', '2019', '2020', '2021', '2022'],
+            period: 5,
+            hasMOE: true,
+            geographies: allGeographies,
+            snapshotUrl: 'data/variables-snapshot.json'
+        });
+
+        this.register('acs/acs1', {
+            label: 'ACS 1-Year',
+            family: 'acs',
+            tables: 'detailed',
+            // No standard 2020 release; areas of 65,000+ people only
+            years: ['2012', '2013', '2014', '2015', '2016', '2017', '2018', '2019', '2021', '2022'],
+            period: 1,
+            hasMOE: true,
+            geographies: ['state', 'county', 'place'],
+            defaultGeography: 'state',
+            snapshotUrl: 'data/variables-snapshot.json'
+        });
+
+        this.register('acs/acs5/profile', {
+            label: 'ACS 5-Year Data Profiles',
+            family: 'acs',
+            tables: 'profile',
+            years: ['2012', '2017', '2019', '2020', '2021', '2022'],
+            period: 5,
+            hasMOE: true,
+            geographies: ['zcta', 'state', 'county', 'tract', 'place'],
+            variables: {
+                'DP05_0001E': { label: 'Total population', concept: 'ACS Demographic and Housing Estimates', unit: 'count' },
+                'DP03_0062E': { label: 'Median household income (dollars)', concept: 'Selected Economic Characteristics', unit: 'currency' },
+                'DP02_0068PE': { label: "Bachelor's degree or higher (% of 25+)", concept: 'Selected Social Characteristics', unit: 'percent' },
+                'DP03_0119PE': { label: 'Families below poverty level (%)', concept: 'Selected Economic Characteristics', unit: 'percent' },
+                'DP04_0089E': { label: 'Median value of owner-occupied units (dollars)', concept: 'Selected Housing Characteristics', unit: 'currency' }
+            }
+        });
+
+        this.register('acs/acs5/subject', {
+            label: 'ACS 5-Year Subject Tables',
+            family: 'acs',
+            tables: 'subject',
+            years: ['2012', '2017', '2019', '2020', '2021', '2022'],
+            period: 5,
+            hasMOE: true,
+            geographies: ['zcta', 'state', 'county', 'tract', 'place'],
+            variables: {
+                'S0101_C01_001E': { label: 'Total population', concept: 'Age and Sex', unit: 'count' },
+                'S1901_C01_012E': { label: 'Median household income (dollars)', concept: 'Income in the Past 12 Months', unit: 'currency' },
+                'S1501_C02_015E': { label: "Bachelor's degree or higher (% of 25+)", concept: 'Educational Attainment', unit: 'percent' },
+                'S1701_C03_001E': { label: 'Below poverty level (%)', concept: 'Poverty Status in the Past 12 Months', unit: 'percent' },
+                'S2301_C04_001E': { label: 'Unemployment rate (%)', concept: 'Employment Status', unit: 'percent' }
+            }
+        });
+
+        this.register('dec/pl', {
+            label: '2020 Census Redistricting (PL 94-171)',
+            family: 'decennial',
+            tables: 'decennial',
+            years: ['2020'],
+            hasMOE: false,
+            // The redistricting file has no ZCTA summary level
+            geographies: ['state', 'county', 'tract', 'blockGroup', 'place'],
+            defaultGeography: 'state',
+            variablePattern: /N$/,
+            variables: {
+                'P1_001N': { label: 'Total population', concept: 'Race', unit: 'count' },
+                'P2_002N': { label: 'Hispanic or Latino', concept: 'Hispanic or Latino, and Not Hispanic or Latino by Race', unit: 'count' },
+                'P3_001N': { label: 'Population 18 years and over', concept: 'Race for the Population 18 Years and Over', unit: 'count' },
+                'H1_001N': { label: 'Total housing units', concept: 'Occupancy Status', unit: 'count' },
+                'H1_003N': { label: 'Vacant housing units', concept: 'Occupancy Status', unit: 'count' }
+            }
+        });
+
+        this.register('dec/dhc', {
+            label: '2020 Census Demographic and Housing Characteristics',
+            family: 'decennial',
+            tables: 'decennial',
+            years: ['2020'],
+            hasMOE: false,
+            geographies: allGeographies,
+            variablePattern: /N$/,
+            variables: {
+                'P1_001N': { label: 'Total population', concept: 'Total Population', unit: 'count' },
+                'P13_001N': { label: 'Median age', concept: 'Median Age by Sex', unit: 'years' },
+                'H1_001N': { label: 'Total housing units', concept: 'Housing Units', unit: 'count' },
+                'H3_002N': { label: 'Occupied housing units', concept: 'Occupancy Status', unit: 'count' },
+                'H10_001N': { label: 'Population in occupied housing units', concept: 'Tenure', unit: 'count' }
+            }
+        });
+
+        this.register('cbp', {
+            label: 'County Business Patterns',
+            family: 'cbp',
+            tables: 'cbp',
+            years: ['2019', '2020', '2021', '2022'],
+            hasMOE: false,
+            geographies: ['zcta', 'state', 'county'],
+            // CBP publishes by USPS ZIP code rather than ZCTA
+            geographyNames: { zcta: 'zip code' },
+            // All-sector totals
+            predicates: { NAICS2017: '00' },
+            variablePattern: /^(ESTAB|EMP|PAYANN|PAYQTR1)$/,
+            variables: {
+                'ESTAB': { label: 'Number of establishments', concept: 'County Business Patterns', unit: 'count' },
+                'EMP': { label: 'Number of employees', concept: 'County Business Patterns', unit: 'count' },
+                'PAYANN': { label: 'Annual payroll ($1,000)', concept: 'County Business Patterns', unit: 'number' }
+            }
+        });
+    }
+
+    // ============================================================================
+    // REGISTRY
+    // ============================================================================
+
+    /**
+     * Register a dataset
+     */
+    register(id, definition) {
+        if (!Array.isArray(definition.years) || definition.years.length === 0) {
+            throw new Error(`Dataset ${id} must list its available years`);
+        }
+
+        const variables = definition.variables || {};
+
+        this.datasets.set(id, {
+            id,
+            label: definition.label || id,
+            family: definition.family || 'acs',
+            tables: definition.tables || 'detailed',
+            years: definition.years,
+            defaultYear: definition.defaultYear || definition.years[definition.years.length - 1],
+            period: definition.period || null,
+            hasMOE: definition.hasMOE === true,
+            geographies: definition.geographies || ['zcta'],
+            defaultGeography: definition.defaultGeography || (definition.geographies || ['zcta'])[0],
+            geographyNames: definition.geographyNames || {},
+            predicates: definition.predicates || {},
+            variablePattern: definition.variablePattern || /E$/,
+            snapshotUrl: definition.snapshotUrl || null,
+            variables,
+            featured: definition.featured || Object.keys(variables)
+        });
+    }
+
+    /**
+     * Get a dataset definition
+     */
+    get(id) {
+        const dataset = this.datasets.get(id);
+        if (!dataset) {
+            throw new Error(`Unknown dataset: ${id}`);
+        }
+        return dataset;
+    }
+
+    /**
+     * Check whether a dataset is registered
+     */
+    has(id) {
+        return this.datasets.has(id);
+    }
+
+    /**
+     * List registered datasets
+     */
+    list() {
+        return Array.from(this.datasets.values());
+    }
+
+    // ============================================================================
+    // QUERIES
+    // ============================================================================
+
+    /**
+     * Check whether a dataset publishes a geography
+     */
+    supportsGeography(id, geographyId) {
+        return this.get(id).geographies.includes(geographyId);
+    }
+
+    /**
+     * Check whether a dataset has a vintage
+     */
+    supportsYear(id, year) {
+        return this.get(id).years.includes(String(year));
+    }
+
+    /**
+     * Label a vintage, e.g. "2022 (2018-2022)" for 5-year estimates
+     */
+    formatYear(id, year) {
+        const { period } = this.get(id);
+        if (!period || period === 1) {
+            return String(year);
+        }
+        return `${year} (${Number(year) - period + 1}-${year})`;
+    }
+
+    /**
+     * Extra query parameters required by a dataset
+     */
+    getPredicateQuery(id) {
+        return Object.entries(this.get(id).predicates)
+            .map(([name, value]) => `&${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+            .join('');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DatasetRegistry };
+}
@@ -0,0 +1,487 @@
+// ============================================================================
+// DERIVED METRICS
+// ============================================================================
+
+/**
+ * Expression language for metrics computed from several ACS variables.
+ *
+ * Supports numbers, variable names, + - * /, parentheses, sum(...) with
+ * ranges (B15003_022E..B15003_025E) and proportion(part, whole). Any missing
+ * input or division by zero yields null. Margins of error are propagated with
+ * the Census Bureau's approximation formulas for sums, products, ratios and
+ * proportions.
+ */
+class DerivedMetricEngine {
+    constructor() {
+        this.metrics = new Map();
+
+        // Built-in metrics
+        this.register('pct_bachelors_plus', {
+            label: "Bachelor's Degree or Higher (%)",
+            expression: '100 * proportion(sum(B15003_022E..B15003_025E), B15003_001E)',
+            unit: 'percent'
+        });
+
+        this.register('pct_income_100k_plus', {
+            label: 'Households Earning $100k+ (%)',
+            expression: '100 * proportion(sum(B19001_014E..B19001_017E), B19001_001E)',
+            unit: 'percent'
+        });
+
+        this.register('persons_per_housing_unit', {
+            label: 'Persons per Housing Unit',
+            expression: 'B01003_001E / B25001_001E',
+            unit: 'number'
+        });
+    }
+
+    // ============================================================================
+    // REGISTRY
+    // ============================================================================
+
+    /**
+     * Register a derived metric
+     */
+    register(id, definition) {
+        if (!definition.expression) {
+            throw new Error(`Derived metric ${id} needs an expression`);
+        }
+
+        const ast = this.parse(definition.expression);
+        const metric = {
+            id,
+            label: definition.label || definition.expression,
+            expression: definition.expression,
+            unit: definition.unit || 'number',
+            ast,
+            variables: this.collectVariables(ast)
+        };
+
+        this.metrics.set(id, metric);
+        return metric;
+    }
+
+    /**
+     * Check whether an id is a derived metric
+     */
+    has(id) {
+        return this.metrics.has(id);
+    }
+
+    /**
+     * Get a derived metric
+     */
+    get(id) {
+        return this.metrics.get(id) || null;
+    }
+
+    /**
+     * List registered metrics
+     */
+    list() {
+        return Array.from(this.metrics.values());
+    }
+
+    /**
+     * Expand derived metric ids into the raw variables they need
+     */
+    resolveVariables(variables) {
+        const raw = new Set();
+
+        for (const variable of variables) {
+            const metric = this.metrics.get(variable);
+            if (metric) {
+                metric.variables.forEach(v => raw.add(v));
+            } else {
+                raw.add(variable);
+            }
+        }
+
+        return Array.from(raw);
+    }
+
+    /**
+     * Compute derived values onto a fetched record ({ data, moe, cv })
+     */
+    apply(record, ids, cvFunction = null) {
+        for (const id of ids) {
+            const metric = this.metrics.get(id);
+            if (!metric) continue;
+
+            const result = this.evaluate(metric.ast, record.data, record.moe || {});
+
+            record.data[id] = result.value;
+
+            if (record.moe) {
+                record.moe[id] = result.moe;
+            }
+            if (record.cv && cvFunction) {
+                record.cv[id] = cvFunction(result.value, result.moe);
+            }
+        }
+
+        return record;
+    }
+
+    // ============================================================================
+    // PARSER
+    // ============================================================================
+
+    /**
+     * Parse an expression into an AST
+     */
+    parse(expression) {
+        const tokens = this.tokenize(expression);
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+        const expect = (type, value) => {
+            const token = next();
+            if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+                const found = token ? `'${token.value}'` : 'end of expression';
+                throw new Error(`Expected ${value || type} but found ${found} in "${expression}"`);
+            }
+            return token;
+        };
+
+        const parseExpression = () => {
+            let node = parseTerm();
+            while (peek() && peek().type === 'op' && (peek().value === '+' || peek().value === '-')) {
+                const op = next().value;
+                node = { type: 'binary', op, left: node, right: parseTerm() };
+            }
+            return node;
+        };
+
+        const parseTerm = () => {
+            let node = parseUnary();
+            while (peek() && peek().type === 'op' && (peek().value === '*' || peek().value === '/')) {
+                const op = next().value;
+                node = { type: 'binary', op, left: node, right: parseUnary() };
+            }
+            return node;
+        };
+
+        const parseUnary = () => {
+            if (peek() && peek().type === 'op' && peek().value === '-') {
+                next();
+                return { type: 'negate', argument: parseUnary() };
+            }
+            return parsePrimary();
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+            if (!token) {
+                throw new Error(`Unexpected end of expression "${expression}"`);
+            }
+
+            switch (token.type) {
+                case 'number':
+                    return { type: 'number', value: token.value };
+
+                case 'variable':
+                    return { type: 'variable', name: token.value };
+
+                case 'function': {
+                    expect('paren', '(');
+                    const args = [];
+                    if (!(peek() && peek().type === 'paren' && peek().value === ')')) {
+                        do {
+                            args.push(...parseArgument());
+                        } while (peek() && peek().type === 'comma' && next());
+                    }
+                    expect('paren', ')');
+                    return this.createCall(token.value, args, expression);
+                }
+
+                case 'paren':
+                    if (token.value === '(') {
+                        const node = parseExpression();
+                        expect('paren', ')');
+                        return node;
+                    }
+                    break;
+            }
+
+            throw new Error(`Unexpected '${token.value}' in "${expression}"`);
+        };
+
+        // Function arguments may be variable ranges
+        const parseArgument = () => {
+            const token = peek();
+            const following = tokens[position + 1];
+
+            if (token && token.type === 'variable' && following && following.type === 'range') {
+                next();
+                next();
+                const end = expect('variable');
+                return this.expandRange(token.value, end.value)
+                    .map(name => ({ type: 'variable', name }));
+            }
+
+            return [parseExpression()];
+        };
+
+        const ast = parseExpression();
+
+        if (position < tokens.length) {
+            throw new Error(`Unexpected '${tokens[position].value}' in "${expression}"`);
+        }
+
+        return ast;
+    }
+
+    /**
+     * Split an expression into tokens
+     */
+    tokenize(expression) {
+        const tokens = [];
+        const pattern = /(?:(\d+(?:\.\d+)?)|([A-Za-z][A-Za-z0-9]*(?:_[A-Za-z0-9]+)+)|([A-Za-z]+)|(\.\.)|([+\-*/])|([()])|(,))/y;
+        let match;
+        let index = 0;
+
+        while (index < expression.length) {
+            // Skip whitespace so errors point at the offending character
+            while (/\s/.test(expression[index])) index++;
+            if (index >= expression.length) break;
+
+            pattern.lastIndex = index;
+            match = pattern.exec(expression);
+
+            if (!match) {
+                throw new Error(`Invalid character '${expression[index]}' at position ${index} in "${expression}"`);
+            }
+
+            if (match[1]) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+            else if (match[2]) tokens.push({ type: 'variable', value: match[2].toUpperCase() });
+            else if (match[3]) tokens.push({ type: 'function', value: match[3].toLowerCase() });
+            else if (match[4]) tokens.push({ type: 'range', value: '..' });
+            else if (match[5]) tokens.push({ type: 'op', value: match[5] });
+            else if (match[6]) tokens.push({ type: 'paren', value: match[6] });
+            else if (match[7]) tokens.push({ type: 'comma', value: ',' });
+
+            index = pattern.lastIndex;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Build a function-call node, checking arity
+     */
+    createCall(name, args, expression) {
+        const arity = {
+            sum: [1, Infinity],
+            proportion: [2, 2],
+            ratio: [2, 2]
+        };
+
+        if (!arity[name]) {
+            throw new Error(`Unknown function ${name}() in "${expression}"`);
+        }
+
+        const [min, max] = arity[name];
+        if (args.length < min || args.length > max) {
+            throw new Error(`${name}() expects ${min === max ? min : `at least ${min}`} argument(s) in "${expression}"`);
+        }
+
+        return { type: 'call', name, args };
+    }
+
+    /**
+     * Expand B15003_022E..B15003_025E into the variables between
+     */
+    expandRange(start, end) {
+        const pattern = /^(.*?)(\d+)([A-Z]*)$/;
+        const a = start.match(pattern);
+        const b = end.match(pattern);
+
+        if (!a || !b || a[1] !== b[1] || a[3] !== b[3]) {
+            throw new Error(`Invalid variable range ${start}..${end}`);
+        }
+
+        const from = parseInt(a[2], 10);
+        const to = parseInt(b[2], 10);
+        if (to < from) {
+            throw new Error(`Invalid variable range ${start}..${end}`);
+        }
+
+        const width = a[2].length;
+        const names = [];
+        for (let i = from; i <= to; i++) {
+            names.push(`${a[1]}${String(i).padStart(width, '0')}${a[3]}`);
+        }
+        return names;
+    }
+
+    /**
+     * Collect raw variables referenced by an AST
+     */
+    collectVariables(node, variables = new Set()) {
+        switch (node.type) {
+            case 'variable':
+                variables.add(node.name);
+                break;
+            case 'negate':
+                this.collectVariables(node.argument, variables);
+                break;
+            case 'binary':
+                this.collectVariables(node.left, variables);
+                this.collectVariables(node.right, variables);
+                break;
+            case 'call':
+                node.args.forEach(arg => this.collectVariables(arg, variables));
+                break;
+        }
+        return Array.from(variables);
+    }
+
+    // ============================================================================
+    // EVALUATION
+    // ============================================================================
+
+    /**
+     * Evaluate an AST to { value, moe }
+     */
+    evaluate(node, data, moe = {}) {
+        switch (node.type) {
+            case 'number':
+                return { value: node.value, moe: 0 };
+
+            case 'variable': {
+                const value = data[node.name];
+                return {
+                    value: value === undefined || value === null || isNaN(value) ? null : value,
+                    moe: moe[node.name] ?? null
+                };
+            }
+
+            case 'negate': {
+                const arg = this.evaluate(node.argument, data, moe);
+                return { value: arg.value === null ? null : -arg.value, moe: arg.moe };
+            }
+
+            case 'binary':
+                return this.evaluateBinary(
+                    node.op,
+                    this.evaluate(node.left, data, moe),
+                    this.evaluate(node.right, data, moe)
+                );
+
+            case 'call': {
+                const args = node.args.map(arg => this.evaluate(arg, data, moe));
+                if (node.name === 'sum') return this.sum(args);
+                if (node.name === 'proportion') return this.proportion(args[0], args[1]);
+                return this.divide(args[0], args[1]);
+            }
+        }
+
+        throw new Error(`Unknown expression node: ${node.type}`);
+    }
+
+    /**
+     * Evaluate a binary operation with MOE propagation
+     */
+    evaluateBinary(op, a, b) {
+        if (a.value === null || b.value === null) {
+            return { value: null, moe: null };
+        }
+
+        switch (op) {
+            case '+':
+            case '-':
+                return {
+                    value: op === '+' ? a.value + b.value : a.value - b.value,
+                    moe: this.combineMOE([a.moe, b.moe])
+                };
+
+            case '*':
+                return {
+                    value: a.value * b.value,
+                    moe: a.moe === null || b.moe === null ? null :
+                        Math.sqrt(a.value ** 2 * b.moe ** 2 + b.value ** 2 * a.moe ** 2)
+                };
+
+            case '/':
+                return this.divide(a, b);
+        }
+
+        throw new Error(`Unknown operator: ${op}`);
+    }
+
+    /**
+     * Sum estimates; only the largest MOE among zero estimates is counted
+     */
+    sum(args) {
+        if (args.some(arg => arg.value === null)) {
+            return { value: null, moe: null };
+        }
+
+        const nonZero = args.filter(arg => arg.value !== 0).map(arg => arg.moe);
+        const zeroMOEs = args.filter(arg => arg.value === 0).map(arg => arg.moe);
+        const moes = zeroMOEs.length > 0 && !zeroMOEs.includes(null) ?
+            [...nonZero, Math.max(...zeroMOEs)] :
+            [...nonZero, ...zeroMOEs];
+
+        return {
+            value: args.reduce((total, arg) => total + arg.value, 0),
+            moe: this.combineMOE(moes)
+        };
+    }
+
+    /**
+     * Ratio of two estimates (null when the denominator is 0)
+     */
+    divide(a, b) {
+        if (a.value === null || b.value === null || b.value === 0) {
+            return { value: null, moe: null };
+        }
+
+        const ratio = a.value / b.value;
+        const moe = a.moe === null || b.moe === null ? null :
+            Math.sqrt(a.moe ** 2 + ratio ** 2 * b.moe ** 2) / b.value;
+
+        return { value: ratio, moe: moe === null ? null : Math.abs(moe) };
+    }
+
+    /**
+     * Proportion where the numerator is a subset of the denominator
+     */
+    proportion(part, whole) {
+        if (part.value === null || whole.value === null || whole.value === 0) {
+            return { value: null, moe: null };
+        }
+
+        const p = part.value / whole.value;
+
+        if (part.moe === null || whole.moe === null) {
+            return { value: p, moe: null };
+        }
+
+        const underRoot = part.moe ** 2 - p ** 2 * whole.moe ** 2;
+
+        // Census guidance: fall back to the ratio formula when the term is negative
+        if (underRoot < 0) {
+            return this.divide(part, whole);
+        }
+
+        return { value: p, moe: Math.sqrt(underRoot) / Math.abs(whole.value) };
+    }
+
+    /**
+     * Root-sum-of-squares of MOEs (null if any is unknown)
+     */
+    combineMOE(moes) {
+        if (moes.some(m => m === null || m === undefined)) {
+            return null;
+        }
+        return Math.sqrt(moes.reduce((total, m) => total + m * m, 0));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DerivedMetricEngine };
+}
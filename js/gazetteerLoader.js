@@ -0,0 +1,460 @@
+// ============================================================================
+// ZIP CODE GAZETTEER SOURCES
+// ============================================================================
+
+/**
+ * Builds one ZIP code record per ZIP from several reference files, listed in
+ * `data/gazetteer/manifest.json` as `{"sources": [{id, format, url, optional}]}`:
+ *
+ *   gazetteer  Census ZCTA Gazetteer (tab-separated GEOID, INTPTLAT, INTPTLONG, ALAND_SQMI)
+ *   crosswalk  HUD USPS ZIP–County crosswalk (ZIP, COUNTY, USPS_ZIP_PREF_CITY,
+ *              USPS_ZIP_PREF_STATE, RES_RATIO); the county with most residents wins
+ *   json       Records keyed by ZIP or an array with `zip` (e.g. data/zip-centroids.json)
+ *
+ * Sources are listed in order of precedence: a field comes from the first source
+ * that has it, and `record.provenance[field]` names that source.
+ */
+class GazetteerLoader {
+    constructor(options = {}) {
+        // Configuration
+        this.config = {
+            manifestUrl: 'data/gazetteer/manifest.json',
+            // Relative URLs resolve against this (the page URL when loading in a worker)
+            baseUrl: null,
+            // Used when there is no manifest
+            defaultSources: [
+                { id: 'zip-centroids', format: 'json', url: 'data/zip-centroids.json' }
+            ],
+            ...options
+        };
+
+        // Columns each delimited format cannot do without (case-insensitive; alternatives with |)
+        this.requiredColumns = {
+            gazetteer: ['GEOID', 'INTPTLAT', 'INTPTLONG'],
+            crosswalk: ['ZIP', 'COUNTY|GEOID', 'USPS_ZIP_PREF_CITY|CITY', 'USPS_ZIP_PREF_STATE|STATE']
+        };
+
+        // Delimited formats stream row by row into a reader; JSON is parsed whole
+        this.formats = {
+            gazetteer: { delimiter: '\t', read: (columns) => this.readGazetteer(columns) },
+            crosswalk: { delimiter: ',', read: (columns) => this.readCrosswalk(columns) },
+            json: { parse: (text, source) => this.parseJSON(text, source) }
+        };
+    }
+
+    // ============================================================================
+    // LOADING
+    // ============================================================================
+
+    /**
+     * Source list from the manifest (or the defaults when there is none)
+     */
+    async getSources() {
+        if (this.config.sources) {
+            return this.config.sources;
+        }
+
+        let response;
+        try {
+            response = await fetch(this.resolveUrl(this.config.manifestUrl));
+        } catch (error) {
+            return this.config.defaultSources;
+        }
+
+        if (response.status === 404) {
+            return this.config.defaultSources;
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to load ZIP source manifest ${this.config.manifestUrl}: HTTP ${response.status}`);
+        }
+
+        const manifest = await response.json();
+        if (!Array.isArray(manifest.sources) || manifest.sources.length === 0) {
+            throw new Error(`ZIP source manifest ${this.config.manifestUrl} lists no sources`);
+        }
+        return manifest.sources;
+    }
+
+    /**
+     * Load every source and merge them into one record per ZIP
+     * @param {Object} options - progressCallback({source, loaded, done, total, bytes,
+     *   totalBytes, percent}) as each source downloads and after it, and
+     *   errorCallback(error, line, lineNumber, source) for malformed rows (skipped)
+     * @returns {Promise<{records: Map, report: Object}>} report lists each source's
+     *   outcome, the ZIPs skipped for lacking coordinates, and warnings
+     */
+    async load(options = {}) {
+        const { progressCallback = null } = options;
+        const startTime = performance.now();
+        const sources = await this.getSources();
+        const report = { sources: [], skipped: [], warnings: [], loadTime: 0 };
+        const loaded = [];
+
+        for (const source of sources) {
+            const entry = { id: source.id, format: source.format, url: source.url, status: 'loaded', records: 0 };
+            report.sources.push(entry);
+
+            // Overall percent counts the finished sources plus the share of this one read
+            const done = report.sources.length - 1;
+            const onRead = progressCallback && (({ bytes, totalBytes, loaded }) => progressCallback({
+                source: source.id,
+                loaded,
+                done,
+                total: sources.length,
+                bytes,
+                totalBytes,
+                percent: Math.round((done + (totalBytes ? Math.min(1, bytes / totalBytes) : 0)) / sources.length * 100)
+            }));
+
+            try {
+                const records = await this.loadSource(source, { ...options, onRead });
+                entry.records = records.length;
+                loaded.push({ source, records });
+            } catch (error) {
+                if (!source.optional) {
+                    throw error;
+                }
+                // Optional files that were never added are not worth a warning
+                entry.status = error.status === 404 ? 'absent' : 'failed';
+                entry.error = error.message;
+                if (entry.status === 'failed') {
+                    report.warnings.push(error.message);
+                }
+            }
+
+            if (progressCallback) {
+                progressCallback({
+                    source: source.id,
+                    loaded: entry.records,
+                    done: report.sources.length,
+                    total: sources.length,
+                    percent: Math.round(report.sources.length / sources.length * 100)
+                });
+            }
+        }
+
+        const records = this.merge(loaded, report);
+        report.loadTime = performance.now() - startTime;
+
+        return { records, report };
+    }
+
+    /**
+     * Fetch and parse one source into partial records ({zip, ...fields})
+     * @param {Object} options - errorCallback, and onRead({bytes, totalBytes, loaded})
+     *   as the body arrives
+     */
+    async loadSource(source, options = {}) {
+        const format = this.formats[source.format];
+        if (!format) {
+            throw new Error(`ZIP source ${source.id}: unknown format "${source.format}" ` +
+                `(expected ${Object.keys(this.formats).join(', ')})`);
+        }
+        if (!source.url) {
+            throw new Error(`ZIP source ${source.id} has no url`);
+        }
+
+        const response = await fetch(this.resolveUrl(source.url));
+        if (!response.ok) {
+            const error = new Error(`Failed to load ZIP source ${source.id} from ${source.url}: HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        if (format.parse) {
+            const chunks = [];
+            await this.readBody(response, text => chunks.push(text), options.onRead);
+            return format.parse(chunks.join(''), source);
+        }
+
+        return this.readDelimited(response, format, source, options);
+    }
+
+    /**
+     * Read a response body as it arrives, passing decoded text to onText and
+     * {bytes, totalBytes} to onRead (totalBytes is null without a Content-Length)
+     */
+    async readBody(response, onText, onRead = null) {
+        const totalBytes = Number(response.headers?.get?.('Content-Length')) || null;
+
+        if (!response.body || typeof response.body.getReader !== 'function') {
+            const text = await response.text();
+            onText(text);
+            onRead?.({ bytes: text.length, totalBytes });
+            return;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let bytes = 0;
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                bytes += value.byteLength;
+                onText(decoder.decode(value, { stream: true }));
+                onRead?.({ bytes, totalBytes });
+            }
+            onText(decoder.decode());
+        } catch (error) {
+            // Stop downloading a source that has already failed
+            reader.cancel().catch(() => {});
+            throw error;
+        }
+    }
+
+    // ============================================================================
+    // FORMATS
+    // ============================================================================
+
+    /**
+     * Census ZCTA Gazetteer (e.g. 2020_Gaz_zcta_national.txt)
+     * @returns {{add: Function, finish: Function}} Row reader (see readDelimited)
+     */
+    readGazetteer(columns) {
+        const geoid = columns.GEOID;
+        const lat = columns.INTPTLAT;
+        const lng = columns.INTPTLONG;
+        const land = columns.ALAND_SQMI;
+        const records = [];
+
+        return {
+            add: (row) => records.push({
+                zip: this.normalizeZip(row[geoid]),
+                lat: this.parseNumber(row[lat]),
+                lng: this.parseNumber(row[lng]),
+                ...(land !== undefined ? { aland_sqmi: this.parseNumber(row[land]) } : {})
+            }),
+            finish: () => records
+        };
+    }
+
+    /**
+     * HUD USPS ZIP–County crosswalk (CSV export of ZIP_COUNTY_<MMYYYY>)
+     * @returns {{add: Function, finish: Function}} Row reader (see readDelimited)
+     */
+    readCrosswalk(columns) {
+        const byZip = new Map();
+
+        const add = (row) => {
+            const zip = this.normalizeZip(row[columns.ZIP]);
+            const ratio = this.parseNumber(row[columns.RES_RATIO ?? columns.TOT_RATIO]) ?? 0;
+            const current = byZip.get(zip);
+
+            // ZIPs spanning counties keep the one most residents live in
+            if (!current || ratio > current.ratio) {
+                byZip.set(zip, {
+                    ratio,
+                    record: {
+                        zip,
+                        city: this.titleCase(row[columns.USPS_ZIP_PREF_CITY ?? columns.CITY]),
+                        state_id: (row[columns.USPS_ZIP_PREF_STATE ?? columns.STATE] || '').trim().toUpperCase(),
+                        county_fips: String(row[columns.COUNTY ?? columns.GEOID] || '').trim().padStart(5, '0')
+                    }
+                });
+            }
+        };
+
+        return {
+            add,
+            finish: () => Array.from(byZip.values(), ({ record }) => record)
+        };
+    }
+
+    /**
+     * JSON keyed by ZIP ({"10001": {lat, lng, ...}}) or an array of records with `zip`
+     */
+    parseJSON(text, source) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`ZIP source ${source.id} (${source.url}) is not valid JSON: ${error.message}`);
+        }
+
+        const entries = Array.isArray(data) ?
+            data.map((record, i) => [record?.zip ?? record?.zcta ?? record?.geoid, record, i]) :
+            Object.entries(data).map(([zip, record], i) => [zip, record, i]);
+
+        return entries.map(([zip, record, i]) => {
+            if (!zip || typeof record !== 'object') {
+                throw new Error(`ZIP source ${source.id} (${source.url}): record ${i + 1} has no zip`);
+            }
+
+            const { zcta, geoid, ...fields } = record;
+            return {
+                ...fields,
+                zip: this.normalizeZip(zip),
+                lat: this.parseNumber(record.lat),
+                lng: this.parseNumber(record.lng ?? record.lon),
+                ...(record.population !== undefined ? { population: this.parseNumber(record.population) ?? 0 } : {})
+            };
+        });
+    }
+
+    // ============================================================================
+    // MERGING
+    // ============================================================================
+
+    /**
+     * Combine partial records; earlier sources win field by field
+     */
+    merge(loaded, report) {
+        const merged = new Map();
+
+        for (const { source, records } of loaded) {
+            for (const partial of records) {
+                if (!/^\d{5}$/.test(partial.zip)) continue;
+
+                let record = merged.get(partial.zip);
+                if (!record) {
+                    record = { zip: partial.zip, provenance: {} };
+                    merged.set(partial.zip, record);
+                }
+
+                for (const [field, value] of Object.entries(partial)) {
+                    if (field === 'zip' || value === null || value === undefined || value === '') continue;
+                    if (record[field] !== undefined) continue;
+
+                    record[field] = value;
+                    record.provenance[field] = source.id;
+                }
+            }
+        }
+
+        // Records can only be mapped with a location
+        const records = new Map();
+        for (const [zip, record] of merged) {
+            if (record.lat === undefined || record.lng === undefined) {
+                report.skipped.push(zip);
+            } else {
+                records.set(zip, record);
+            }
+        }
+
+        if (records.size === 0) {
+            throw new Error('No ZIP code source provided coordinates (lat/lng); ' +
+                `loaded: ${loaded.map(({ source }) => source.id).join(', ') || 'none'}`);
+        }
+
+        if (report.skipped.length > 0) {
+            report.warnings.push(`${report.skipped.length} ZIP codes have no coordinates in any source and were skipped`);
+        }
+
+        // State and city search depend on fields only some sources have
+        const sample = Array.from(records.values());
+        const missing = ['state_id', 'city', 'county_fips']
+            .filter(field => !sample.some(record => record[field] !== undefined));
+        if (missing.length > 0) {
+            report.missingFields = missing;
+            report.warnings.push(`No ZIP source provides ${missing.join(', ')}; ` +
+                'state, city and county search need a source such as the HUD ZIP–County crosswalk');
+        }
+
+        return records;
+    }
+
+    // ============================================================================
+    // PARSING HELPERS
+    // ============================================================================
+
+    /**
+     * Stream a delimited response through a format's row reader, resolving its
+     * required columns from the header. Rows with the wrong number of fields go to
+     * options.errorCallback (or fail the source without one).
+     */
+    async readDelimited(response, format, source, options = {}) {
+        const { errorCallback = null, onRead = null } = options;
+        let headers = null;
+        let reader = null;
+        let loaded = 0;
+
+        const reportRow = (error, text, line) => {
+            if (!errorCallback) throw error;
+            errorCallback(error, text, line, source.id);
+        };
+        const parser = new CSVRowParser({
+            delimiter: format.delimiter,
+            onError: (error, text, line) => reportRow(
+                new Error(`ZIP source ${source.id}: ${error.message}`), text, line)
+        });
+
+        const handleRows = (records) => {
+            for (const record of records) {
+                if (!headers) {
+                    headers = record.fields.map(name => name.trim().toUpperCase());
+                    reader = format.read(this.resolveColumns(headers, source));
+                    continue;
+                }
+
+                if (record.fields.length !== headers.length) {
+                    reportRow(new Error(`ZIP source ${source.id} line ${record.line}: ` +
+                        `expected ${headers.length} fields, got ${record.fields.length}`), record.text, record.line);
+                    continue;
+                }
+
+                reader.add(record.fields);
+                loaded++;
+            }
+        };
+
+        await this.readBody(
+            response,
+            text => handleRows(parser.push(text)),
+            onRead && (progress => onRead({ ...progress, loaded }))
+        );
+        handleRows(parser.end());
+
+        if (!headers) {
+            throw new Error(`ZIP source ${source.id} (${source.url}) is empty`);
+        }
+        return reader.finish();
+    }
+
+    /**
+     * Column indices by upper-case name, checking the format's required columns
+     */
+    resolveColumns(headers, source) {
+        const columns = {};
+        headers.forEach((name, index) => {
+            columns[name] = index;
+        });
+
+        const missing = this.requiredColumns[source.format]
+            .filter(names => !names.split('|').some(name => name in columns));
+        if (missing.length > 0) {
+            throw new Error(`ZIP source ${source.id} (${source.url}) is missing required columns: ` +
+                `${missing.map(names => names.replace(/\|/g, ' or ')).join(', ')} (found ${headers.join(', ')})`);
+        }
+
+        return columns;
+    }
+
+    resolveUrl(url) {
+        return this.config.baseUrl ? new URL(url, this.config.baseUrl).href : url;
+    }
+
+    normalizeZip(value) {
+        return String(value ?? '').trim().padStart(5, '0');
+    }
+
+    parseNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+    }
+
+    /**
+     * "NEW YORK" -> "New York" (USPS city names are upper case)
+     */
+    titleCase(value) {
+        return String(value || '').trim().toLowerCase()
+            .replace(/(^|[\s\-'.])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GazetteerLoader };
+}
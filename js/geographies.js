@@ -0,0 +1,259 @@
+// ============================================================================
+// CENSUS GEOGRAPHIES
+// ============================================================================
+
+/**
+ * Census summary levels: GEOID structure, API for/in clauses and data files
+ */
+class GeographyRegistry {
+    constructor(options = {}) {
+        // Configuration
+        this.config = {
+            centroidPath: 'data/geographies',
+            boundaryPath: 'data/boundaries',
+            ...options
+        };
+
+        // Registered geographies
+        this.geographies = new Map();
+
+        // Each part is one GEOID component, outermost first; the last is the level itself
+        this.register('zcta', {
+            label: 'ZIP Code Tabulation Area',
+            shortLabel: 'ZCTA',
+            parts: [{ name: 'zip code tabulation area', width: 5 }],
+            boundaryUrl: 'data/zcta-boundaries.json'
+        });
+
+        this.register('state', {
+            label: 'State',
+            parts: [{ name: 'state', width: 2 }]
+        });
+
+        this.register('county', {
+            label: 'County',
+            parts: [
+                { name: 'state', width: 2 },
+                { name: 'county', width: 3 }
+            ]
+        });
+
+        this.register('tract', {
+            label: 'Census Tract',
+            shortLabel: 'Tract',
+            parts: [
+                { name: 'state', width: 2 },
+                { name: 'county', width: 3 },
+                { name: 'tract', width: 6 }
+            ]
+        });
+
+        this.register('blockGroup', {
+            label: 'Block Group',
+            parts: [
+                { name: 'state', width: 2 },
+                { name: 'county', width: 3 },
+                { name: 'tract', width: 6 },
+                { name: 'block group', width: 1 }
+            ],
+            // Block group wildcards need a fixed county
+            wildcardDepth: 2
+        });
+
+        this.register('place', {
+            label: 'Place',
+            parts: [
+                { name: 'state', width: 2 },
+                { name: 'place', width: 5 }
+            ]
+        });
+    }
+
+    // ============================================================================
+    // REGISTRY
+    // ============================================================================
+
+    /**
+     * Register a geography
+     */
+    register(id, definition) {
+        if (!Array.isArray(definition.parts) || definition.parts.length === 0) {
+            throw new Error(`Geography ${id} must define its GEOID parts`);
+        }
+
+        const parts = definition.parts;
+
+        // Leading parts a `for=<level>:*` request must fix: the state for nested levels
+        const wildcardDepth = definition.wildcardDepth ??
+            (parts.length > 1 && parts[0].name === 'state' ? 1 : 0);
+
+        this.geographies.set(id, {
+            id,
+            label: definition.label || id,
+            shortLabel: definition.shortLabel || definition.label || id,
+            parts,
+            apiName: parts[parts.length - 1].name,
+            idLength: parts.reduce((sum, part) => sum + part.width, 0),
+            parentLength: parts.slice(0, -1).reduce((sum, part) => sum + part.width, 0),
+            wildcardLength: parts.slice(0, wildcardDepth).reduce((sum, part) => sum + part.width, 0),
+            centroidUrl: definition.centroidUrl || `${this.config.centroidPath}/${id}.json`,
+            boundaryUrl: definition.boundaryUrl || `${this.config.boundaryPath}/${id}.json`
+        });
+    }
+
+    /**
+     * Get a geography definition
+     */
+    get(id) {
+        const geography = this.geographies.get(id);
+        if (!geography) {
+            throw new Error(`Unknown geography: ${id}`);
+        }
+        return geography;
+    }
+
+    /**
+     * Check whether a geography is registered
+     */
+    has(id) {
+        return this.geographies.has(id);
+    }
+
+    /**
+     * List registered geographies
+     */
+    list() {
+        return Array.from(this.geographies.values());
+    }
+
+    // ============================================================================
+    // GEOIDS
+    // ============================================================================
+
+    /**
+     * Normalize a GEOID to its full zero-padded length, or null if invalid
+     */
+    normalizeGeoid(id, value) {
+        const { idLength } = this.get(id);
+        const digits = String(value ?? '').replace(/\D/g, '');
+
+        if (digits.length === 0 || digits.length > idLength) {
+            return null;
+        }
+
+        return digits.padStart(idLength, '0');
+    }
+
+    /**
+     * Split a GEOID into its named components
+     */
+    splitGeoid(id, geoid) {
+        const { parts } = this.get(id);
+        const components = {};
+        let offset = 0;
+
+        for (const part of parts) {
+            components[part.name] = geoid.substr(offset, part.width);
+            offset += part.width;
+        }
+
+        return components;
+    }
+
+    /**
+     * Group GEOIDs by their parent prefix (each group shares one `in=` clause)
+     */
+    groupByParent(id, geoids) {
+        const { parentLength } = this.get(id);
+        const groups = new Map();
+
+        for (const geoid of geoids) {
+            const parent = geoid.substring(0, parentLength);
+            if (!groups.has(parent)) {
+                groups.set(parent, []);
+            }
+            groups.get(parent).push(geoid);
+        }
+
+        return groups;
+    }
+
+    /**
+     * Build the for/in query string for GEOIDs sharing one parent
+     * @param {string} apiName - Dataset-specific name for the level itself
+     */
+    buildQuery(id, geoids, apiName = null) {
+        const geography = this.get(id);
+        const parents = geography.parts.slice(0, -1);
+        const parentPrefix = geoids[0].substring(0, geography.parentLength);
+
+        if (geoids.some(geoid => !geoid.startsWith(parentPrefix))) {
+            throw new Error(`GEOIDs in one ${geography.label} request must share a parent`);
+        }
+
+        const codes = geoids.map(geoid => geoid.substring(geography.parentLength));
+        let query = `&for=${encodeURIComponent(apiName || geography.apiName)}:${codes.join(',')}`;
+
+        const components = this.splitGeoid(id, geoids[0]);
+        for (const part of parents) {
+            query += `&in=${encodeURIComponent(part.name)}:${components[part.name]}`;
+        }
+
+        return query;
+    }
+
+    /**
+     * Prefix shared by GEOIDs one wildcard request can cover
+     * ('' for nationwide levels such as ZCTAs and states)
+     */
+    getWildcardPrefix(id, geoid) {
+        return geoid.substring(0, this.get(id).wildcardLength);
+    }
+
+    /**
+     * Build a `for=<level>:*` query for every area under a GEOID prefix
+     * (parents not covered by the prefix become wildcards too)
+     * @param {string} apiName - Dataset-specific name for the level itself
+     */
+    buildWildcardQuery(id, prefix = '', apiName = null) {
+        const geography = this.get(id);
+        let query = `&for=${encodeURIComponent(apiName || geography.apiName)}:*`;
+        let offset = 0;
+
+        for (const part of geography.parts.slice(0, -1)) {
+            const code = prefix.substr(offset, part.width);
+            query += `&in=${encodeURIComponent(part.name)}:${code.length === part.width ? code : '*'}`;
+            offset += part.width;
+        }
+
+        return query;
+    }
+
+    /**
+     * Column indices that make up the GEOID in an API response
+     */
+    getGeoidColumns(id, headers, apiName = null) {
+        const { parts } = this.get(id);
+
+        return parts.map((part, i) => {
+            const name = apiName && i === parts.length - 1 ? apiName : part.name;
+            const index = headers.indexOf(name);
+            if (index === -1) {
+                throw new Error(`API response is missing the "${name}" column`);
+            }
+            return index;
+        });
+    }
+
+    /**
+     * Assemble the GEOID of an API response row
+     */
+    getGeoidFromRow(columns, row) {
+        return columns.map(index => row[index]).join('');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GeographyRegistry };
+}
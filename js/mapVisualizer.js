@@ -21,19 +21,31 @@ class ACSMapVisualizer {
             enableClustering: true,
             animationDuration: 300,
             highlightDuration: 1000,
+            dotValue: 1000,
+            dotRadius: 2,
+            dotJitterKm: 1.5,
+            maxDotsPerZip: 500,
+            renderMode: 'markers',
+            reliabilityThreshold: 30,
+            unreliableStyle: 'none',
+            boundaryUrl: 'data/zcta-boundaries.json',
+            boundaryIdProperties: ['ZCTA5CE20', 'ZCTA5CE10', 'GEOID20', 'GEOID10', 'ZCTA5', 'GEOID', 'zip'],
             ...options
         };
 
         // State
         this.map = null;
-        this.markerLayer = null;
-        this.markerCluster = null;
         this.legend = null;
         this.currentData = null;
         this.highlightedMarker = null;
-        this.markers = new Map();
-        this.colorScale = null;
         this.currentVariable = null;
+        this.boundaries = new Map(); // geography id -> Map(geoid -> feature)
+        this.boundaryPromises = new Map();
+
+        // Layer registry
+        this.layers = new Map();
+        this.layerControl = null;
+        this.nextLayerOrder = 0;
 
         // Pin styling
         this.pinStyles = {
@@ -66,17 +78,67 @@ class ACSMapVisualizer {
             }
         };
 
-        // Color scales
+        // Choropleth polygon styling
+        this.polygonStyles = {
+            default: {
+                color: '#ffffff',
+                weight: 1,
+                opacity: 1,
+                fillOpacity: 0.7,
+                className: 'acs-polygon'
+            }
+        };
+
+        // Color scale factories (each layer gets its own instance)
         this.colorScales = {
-            sequential: d3.scaleSequential(d3.interpolateViridis),
-            diverging: d3.scaleDiverging(d3.interpolateRdBu),
-            categorical: d3.scaleOrdinal(d3.schemeCategory10),
-            plasma: d3.scaleSequential(d3.interpolatePlasma),
-            rainbow: d3.scaleSequential(d3.interpolateRainbow)
+            sequential: () => d3.scaleSequential(d3.interpolateViridis),
+            diverging: () => d3.scaleDiverging(d3.interpolateRdBu),
+            categorical: () => d3.scaleOrdinal(d3.schemeCategory10),
+            plasma: () => d3.scaleSequential(d3.interpolatePlasma),
+            rainbow: () => d3.scaleSequential(d3.interpolateRainbow)
         };
 
         this.currentScaleType = 'sequential';
-        this.colorScale = this.colorScales[this.currentScaleType];
+
+        // Variable labels, units and formatters
+        this.catalog = options.catalog || null;
+
+        // Census geographies (GEOID lengths, boundary files)
+        this.geographies = options.geographies || null;
+
+        // Class breaks drive marker colors and legend entries alike
+        this.classifier = options.classifier || new DataClassifier();
+        this.classification = {
+            method: 'equalInterval',
+            classes: 5,
+            breaks: []
+        };
+
+        // Dot-density layers: each dot stands for `dotValue` residents/households
+        this.dotDensityLayers = {
+            education: {
+                label: "Bachelor's Degree or Higher (25+)",
+                unit: 'residents',
+                color: '#7b1fa2',
+                components: [
+                    { variable: 'B15003_022E', label: "Bachelor's degree" },
+                    { variable: 'B15003_023E', label: "Master's degree" },
+                    { variable: 'B15003_024E', label: 'Professional degree' },
+                    { variable: 'B15003_025E', label: 'Doctorate degree' }
+                ]
+            },
+            income: {
+                label: 'Household Income ≥ $100,000',
+                unit: 'households',
+                color: '#2e7d32',
+                components: [
+                    { variable: 'B19001_014E', label: '$100,000 to $124,999' },
+                    { variable: 'B19001_015E', label: '$125,000 to $149,999' },
+                    { variable: 'B19001_016E', label: '$150,000 to $199,999' },
+                    { variable: 'B19001_017E', label: '$200,000 or more' }
+                ]
+            }
+        };
 
         // Initialize
         this.initMap();
@@ -126,8 +188,11 @@ class ACSMapVisualizer {
             position: 'bottomleft'
         }).addTo(this.map);
 
-        // Initialize marker layer
-        this.markerLayer = L.layerGroup().addTo(this.map);
+        // Layer switcher for registered overlays
+        this.layerControl = L.control.layers(null, null, {
+            position: 'topleft',
+            collapsed: false
+        }).addTo(this.map);
 
         // Fit to US bounds
         this.map.fitBounds([
@@ -161,6 +226,255 @@ class ACSMapVisualizer {
                 zoom: this.map.getZoom()
             });
         });
+
+        // Keep layer visibility in sync with the layer control
+        this.map.on('overlayadd', (e) => this.onOverlayToggle(e.layer, true));
+        this.map.on('overlayremove', (e) => this.onOverlayToggle(e.layer, false));
+    }
+
+    // ============================================================================
+    // LAYER REGISTRY
+    // ============================================================================
+
+    /**
+     * Register a named overlay layer
+     */
+    addLayer(id, config = {}) {
+        if (this.layers.has(id)) {
+            throw new Error(`Layer already exists: ${id}`);
+        }
+
+        const paneName = `acs-layer-${id}`;
+        if (!this.map.getPane(paneName)) {
+            this.map.createPane(paneName);
+        }
+
+        const scaleType = config.scaleType || this.currentScaleType;
+
+        const layer = {
+            id,
+            label: config.label || id,
+            type: config.type || 'values',
+            variable: config.variable || null,
+            scaleType,
+            colorScale: this.createColorScale(scaleType),
+            classification: { ...this.classification, ...config.classification },
+            breaks: [],
+            classColors: [],
+            color: config.color || null,
+            pane: paneName,
+            renderer: null,
+            group: L.layerGroup(),
+            markers: new Map(),
+            dotCount: 0,
+            dataPoints: [],
+            data: null,
+            options: {},
+            legendEntry: null,
+            visible: config.visible !== false,
+            order: this.nextLayerOrder++
+        };
+
+        this.layers.set(id, layer);
+        this.applyLayerOrder();
+
+        if (layer.visible) {
+            layer.group.addTo(this.map);
+        }
+
+        this.emit('layerAdded', { id, label: layer.label, type: layer.type });
+        return layer;
+    }
+
+    /**
+     * Remove a layer and everything drawn on it
+     */
+    removeLayer(id) {
+        const layer = this.layers.get(id);
+        if (!layer) return false;
+
+        this.clearLayer(id);
+        layer.group.remove();
+        this.layerControl.removeLayer(layer.group);
+        this.layers.delete(id);
+
+        if (this.currentData?.layerId === id) {
+            this.currentData = null;
+        }
+
+        this.updateLegend();
+        this.emit('layerRemoved', { id });
+        return true;
+    }
+
+    /**
+     * Get a registered layer
+     */
+    getLayer(id) {
+        return this.layers.get(id) || null;
+    }
+
+    /**
+     * Get layers ordered bottom to top
+     */
+    getLayers() {
+        return Array.from(this.layers.values()).sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Show a layer
+     */
+    showLayer(id) {
+        const layer = this.layers.get(id);
+        if (!layer || layer.visible) return;
+
+        layer.group.addTo(this.map);
+        this.setLayerVisibility(layer, true);
+    }
+
+    /**
+     * Hide a layer
+     */
+    hideLayer(id) {
+        const layer = this.layers.get(id);
+        if (!layer || !layer.visible) return;
+
+        if (this.highlightedMarker && layer.markers.get(this.highlightedMarker.data?.zip) === this.highlightedMarker) {
+            this.clearHighlight();
+        }
+
+        layer.group.remove();
+        this.setLayerVisibility(layer, false);
+    }
+
+    /**
+     * Toggle layer visibility
+     */
+    toggleLayer(id, visible) {
+        const layer = this.layers.get(id);
+        if (!layer) return;
+
+        const show = visible !== undefined ? visible : !layer.visible;
+        if (show) {
+            this.showLayer(id);
+        } else {
+            this.hideLayer(id);
+        }
+    }
+
+    /**
+     * Reorder layers (first id is drawn at the bottom)
+     */
+    setLayerOrder(ids) {
+        ids.forEach((id, index) => {
+            const layer = this.layers.get(id);
+            if (layer) layer.order = index;
+        });
+
+        // Layers not named keep their relative order above the named ones
+        let next = ids.length;
+        this.getLayers()
+            .filter(layer => !ids.includes(layer.id))
+            .forEach(layer => { layer.order = next++; });
+
+        this.nextLayerOrder = next;
+        this.applyLayerOrder();
+        this.updateLegend();
+        this.emit('layerOrderChange', { order: this.getLayers().map(l => l.id) });
+    }
+
+    /**
+     * Move a layer to a position in the stack
+     */
+    moveLayer(id, position) {
+        const ids = this.getLayers().map(l => l.id).filter(layerId => layerId !== id);
+        if (!this.layers.has(id)) return;
+
+        ids.splice(Math.max(0, Math.min(position, ids.length)), 0, id);
+        this.setLayerOrder(ids);
+    }
+
+    /**
+     * Apply stacking order to panes and the layer control
+     */
+    applyLayerOrder() {
+        const ordered = this.getLayers();
+
+        ordered.forEach((layer, index) => {
+            this.map.getPane(layer.pane).style.zIndex = 450 + index;
+            this.layerControl.removeLayer(layer.group);
+        });
+
+        // Layer control lists overlays in insertion order; show the top layer first
+        ordered.slice().reverse().forEach(layer => {
+            this.layerControl.addOverlay(layer.group, layer.label);
+        });
+    }
+
+    /**
+     * Update visibility state after a show/hide. Adding or removing a group also
+     * fires overlayadd/overlayremove, so this runs twice per change but emits once.
+     */
+    setLayerVisibility(layer, visible) {
+        if (layer.visible === visible) return;
+
+        layer.visible = visible;
+        this.updateLegend();
+        this.emit('layerVisibilityChange', { id: layer.id, visible });
+    }
+
+    /**
+     * Handle layer control checkbox changes
+     */
+    onOverlayToggle(group, visible) {
+        for (const layer of this.layers.values()) {
+            if (layer.group === group) {
+                this.setLayerVisibility(layer, visible);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Get an existing layer or register a new one
+     */
+    ensureLayer(id, config) {
+        const layer = this.layers.get(id);
+        if (!layer) {
+            return this.addLayer(id, config);
+        }
+
+        if (config.label && config.label !== layer.label) {
+            layer.label = config.label;
+            this.applyLayerOrder();
+        }
+        return layer;
+    }
+
+    /**
+     * Remove everything drawn on a layer but keep it registered
+     */
+    clearLayer(id) {
+        const layer = this.layers.get(id);
+        if (!layer) return;
+
+        if (this.highlightedMarker && layer.markers.get(this.highlightedMarker.data?.zip) === this.highlightedMarker) {
+            this.highlightedMarker = null;
+        }
+
+        layer.group.clearLayers();
+        layer.markers.clear();
+        layer.dotCount = 0;
+        layer.dataPoints = [];
+        layer.legendEntry = null;
+    }
+
+    /**
+     * Create a color scale instance
+     */
+    createColorScale(scaleType) {
+        const factory = this.colorScales[scaleType] || this.colorScales.sequential;
+        return factory();
     }
 
     // ============================================================================
@@ -172,21 +486,46 @@ class ACSMapVisualizer {
      */
     async visualizeData(zipData, acsData, variable, options = {}) {
         const startTime = performance.now();
+        const layerId = options.layerId || 'primary';
         
         try {
-            this.emit('visualizationStart', { variable, dataCount: Object.keys(acsData).length });
+            this.emit('visualizationStart', { variable, layerId, dataCount: Object.keys(acsData).length });
 
-            // Clear previous visualization
-            this.clear();
+            // Replace only this layer's previous visualization
+            const layer = this.ensureLayer(layerId, {
+                type: 'values',
+                variable,
+                label: options.label || this.getVariableName(variable)
+            });
+            this.clearLayer(layerId);
+
+            const renderMode = options.renderMode || this.config.renderMode;
+
+            if (options.scaleType && options.scaleType !== layer.scaleType && this.colorScales[options.scaleType]) {
+                layer.scaleType = options.scaleType;
+                layer.colorScale = this.createColorScale(options.scaleType);
+            }
+
+            layer.variable = variable;
+            layer.geography = options.geography || 'zcta';
+            layer.data = { zipData, acsData };
+            layer.options = options;
+            layer.renderMode = renderMode;
+
+            if (options.classification) {
+                layer.classification = { ...layer.classification, ...options.classification };
+            }
 
             // Store current data
-            this.currentData = { zipData, acsData, variable };
+            this.currentData = { zipData, acsData, variable, layerId };
             this.currentVariable = variable;
 
             // Filter and prepare data
             const dataPoints = this.prepareDataPoints(zipData, acsData, variable);
+            layer.dataPoints = dataPoints;
             
             if (dataPoints.length === 0) {
+                this.updateLegend();
                 this.emit('visualizationComplete', {
                     success: false,
                     message: 'No valid data points to visualize',
@@ -196,22 +535,30 @@ class ACSMapVisualizer {
             }
 
             // Set up color scale
-            this.setupColorScale(dataPoints, variable);
+            this.setupColorScale(dataPoints, variable, layer);
 
-            // Create markers
-            const markers = this.createMarkers(dataPoints, variable, options);
+            // Create markers (or polygons)
+            let markers;
 
-            // Add markers to map
-            if (this.config.enableClustering && markers.length > 100) {
-                this.addClusteredMarkers(markers);
+            if (renderMode === 'choropleth' && await this.ensureBoundaries(layer.geography)) {
+                markers = this.createPolygons(dataPoints, variable, options, layer);
+                this.addMarkers(markers, layer);
             } else {
-                this.addMarkers(markers);
+                layer.renderMode = 'markers';
+                markers = this.createMarkers(dataPoints, variable, options, layer);
+
+                // Add markers to map
+                if (this.config.enableClustering && markers.length > 100) {
+                    this.addClusteredMarkers(markers, layer);
+                } else {
+                    this.addMarkers(markers, layer);
+                }
             }
 
-            // Add legend
-            if (options.showLegend !== false) {
-                this.addLegend(dataPoints, variable);
-            }
+            // Add legend entry
+            layer.legendEntry = options.showLegend !== false ?
+                this.createLegendEntry(layer) : null;
+            this.updateLegend();
 
             // Fit bounds if requested
             if (options.fitBounds !== false && markers.length > 0) {
@@ -222,6 +569,7 @@ class ACSMapVisualizer {
             
             this.emit('visualizationComplete', {
                 success: true,
+                layerId,
                 dataPoints: dataPoints.length,
                 markers: markers.length,
                 duration
@@ -255,9 +603,23 @@ class ACSMapVisualizer {
             const value = acsRecord.data[variable];
             if (value === null || isNaN(value)) continue;
 
+            const moe = acsRecord.moe?.[variable] ?? null;
+            const cv = acsRecord.cv?.[variable] ?? null;
+
+            // Change estimates are judged by significance rather than CV
+            const significant = acsRecord.significant?.[variable] ?? null;
+            const unreliable = significant !== null ?
+                significant === false :
+                cv !== null && cv > this.config.reliabilityThreshold;
+
             dataPoints.push({
                 zip,
                 value,
+                moe,
+                cv,
+                significant,
+                unreliable,
+                comparison: acsRecord.comparison || null,
                 lat: zipInfo.lat,
                 lng: zipInfo.lng,
                 info: zipInfo,
@@ -271,30 +633,73 @@ class ACSMapVisualizer {
     /**
      * Set up color scale for data
      */
-    setupColorScale(dataPoints, variable) {
+    setupColorScale(dataPoints, variable, layer) {
         const values = dataPoints.map(d => d.value);
         const [min, max] = d3.extent(values);
         
         // Use appropriate scale based on data distribution
-        if (this.currentScaleType === 'diverging') {
-            const mid = (min + max) / 2;
-            this.colorScale.domain([min, mid, max]);
+        if (layer.scaleType === 'diverging') {
+            // Symmetric around the center so equal gains and losses get equal weight
+            const mid = layer.options.divergingCenter ?? (min + max) / 2;
+            const spread = Math.max(Math.abs(min - mid), Math.abs(max - mid)) || 1;
+            layer.colorScale.domain([mid - spread, mid, mid + spread]);
         } else {
-            this.colorScale.domain([min, max]);
+            layer.colorScale.domain([min, max]);
+        }
+
+        // Each class takes the scale color at its midpoint
+        const { method, classes, breaks } = layer.classification;
+        layer.breaks = this.classifier.classify(values, method, classes, { breaks });
+        layer.classColors = layer.breaks.slice(0, -1).map((lower, i) =>
+            layer.colorScale((lower + layer.breaks[i + 1]) / 2)
+        );
+    }
+
+    /**
+     * Get the class color for a value on a layer
+     */
+    getLayerColor(layer, value) {
+        if (layer.classColors.length === 0) {
+            return layer.colorScale(value);
         }
+        return layer.classColors[this.classifier.getClassIndex(value, layer.breaks)];
+    }
+
+    /**
+     * Change the classification scheme and redraw
+     */
+    setClassification(classification, layerId = null) {
+        if (classification.method && !this.classifier.methods.has(classification.method)) {
+            throw new Error(`Unknown classification method: ${classification.method}`);
+        }
+
+        if (!layerId) {
+            this.classification = { ...this.classification, ...classification };
+        }
+
+        for (const layer of this.layers.values()) {
+            if (layer.type === 'values' && (!layerId || layer.id === layerId)) {
+                layer.classification = { ...layer.classification, ...classification };
+                if (layer.options.classification) {
+                    layer.options = { ...layer.options, classification: layer.classification };
+                }
+            }
+        }
+
+        this.redraw(layerId);
     }
 
     /**
      * Create markers from data points
      */
-    createMarkers(dataPoints, variable, options) {
+    createMarkers(dataPoints, variable, options, layer) {
         const markers = [];
 
         for (const point of dataPoints) {
-            const marker = this.createMarker(point, variable, options);
+            const marker = this.createMarker(point, variable, options, layer);
             if (marker) {
                 markers.push(marker);
-                this.markers.set(point.zip, marker);
+                layer.markers.set(point.zip, marker);
             }
         }
 
@@ -304,7 +709,7 @@ class ACSMapVisualizer {
     /**
      * Create a single marker
      */
-    createMarker(point, variable, options) {
+    createMarker(point, variable, options, layer) {
         if (point.lat === null || point.lng === null) {
             return null;
         }
@@ -314,20 +719,24 @@ class ACSMapVisualizer {
         const radius = this.calculateMarkerRadius(point.value, baseRadius);
 
         // Calculate color based on value
-        const color = this.colorScale(point.value);
+        const color = this.getLayerColor(layer, point.value);
         const borderColor = this.getContrastColor(color);
 
         // Create marker
         const marker = L.circleMarker([point.lat, point.lng], {
             ...this.pinStyles.default,
+            pane: layer.pane,
             radius,
             fillColor: color,
-            color: borderColor
+            color: borderColor,
+            ...this.getReliabilityStyle(point, color, this.pinStyles.default.className)
         });
 
         // Store data on marker
         marker.data = point;
         marker.variable = variable;
+        marker.layerId = layer.id;
+        marker.baseStyle = { ...marker.options };
 
         // Add popup
         const popupContent = this.createPopupContent(point, variable);
@@ -347,12 +756,258 @@ class ACSMapVisualizer {
         return marker;
     }
 
+    /**
+     * Create choropleth polygons from data points
+     */
+    createPolygons(dataPoints, variable, options, layer) {
+        const polygons = [];
+        const unmatched = [];
+        const boundaries = this.boundaries.get(layer.geography) || new Map();
+
+        for (const point of dataPoints) {
+            const feature = boundaries.get(point.zip);
+
+            // Keep ZIPs without a boundary visible as circle markers
+            if (!feature) {
+                unmatched.push(point);
+                continue;
+            }
+
+            const color = this.getLayerColor(layer, point.value);
+            const polygon = L.geoJSON(feature, {
+                pane: layer.pane,
+                style: {
+                    ...this.polygonStyles.default,
+                    fillColor: color,
+                    ...this.getReliabilityStyle(point, color, this.polygonStyles.default.className)
+                }
+            }).getLayers()[0];
+
+            polygon.data = point;
+            polygon.variable = variable;
+            polygon.layerId = layer.id;
+            polygon.baseStyle = { ...polygon.options };
+
+            polygon.bindPopup(this.createPopupContent(point, variable), {
+                maxWidth: 350,
+                minWidth: 300,
+                className: 'acs-popup',
+                autoPan: true,
+                closeButton: true,
+                autoClose: false,
+                closeOnEscapeKey: true
+            });
+
+            this.addMarkerInteractions(polygon);
+
+            polygons.push(polygon);
+            layer.markers.set(point.zip, polygon);
+        }
+
+        if (unmatched.length > 0) {
+            console.warn(`No boundary for ${unmatched.length} ${layer.geography} features, drawing markers instead`);
+            this.emit('boundaryMissing', { zips: unmatched.map(p => p.zip), geography: layer.geography });
+            polygons.push(...this.createMarkers(unmatched, variable, options, layer));
+        }
+
+        return polygons;
+    }
+
+    /**
+     * Load boundaries once, returning false if they are unavailable
+     */
+    async ensureBoundaries(geographyId = 'zcta') {
+        try {
+            await this.loadBoundaries(geographyId);
+            return true;
+        } catch (error) {
+            console.warn('Choropleth unavailable, falling back to markers:', error);
+            this.emit('boundaryLoadError', { error, geography: geographyId });
+            return false;
+        }
+    }
+
+    /**
+     * Load boundaries for a geography from a local GeoJSON or TopoJSON file
+     */
+    loadBoundaries(geographyId = 'zcta') {
+        if (this.boundaryPromises.has(geographyId)) {
+            return this.boundaryPromises.get(geographyId);
+        }
+
+        const url = this.getBoundaryUrl(geographyId);
+        const idLength = this.geographies ? this.geographies.get(geographyId).idLength : 5;
+
+        const promise = (async () => {
+            const startTime = performance.now();
+            const response = await fetch(url);
+
+            if (!response.ok) {
+                throw new Error(`Failed to load ${geographyId} boundaries from ${url}: HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            const features = this.extractBoundaryFeatures(data);
+            const boundaries = new Map();
+
+            for (const feature of features) {
+                const geoid = this.getBoundaryId(feature, idLength);
+                if (geoid) {
+                    boundaries.set(geoid, feature);
+                }
+            }
+
+            this.boundaries.set(geographyId, boundaries);
+
+            const duration = performance.now() - startTime;
+            console.log(`Loaded ${boundaries.size} ${geographyId} boundaries in ${duration.toFixed(0)}ms`);
+            this.emit('boundariesLoaded', { geography: geographyId, count: boundaries.size, duration });
+
+            return boundaries;
+        })();
+
+        // Allow a later retry if loading failed
+        promise.catch(() => {
+            this.boundaryPromises.delete(geographyId);
+        });
+
+        this.boundaryPromises.set(geographyId, promise);
+        return promise;
+    }
+
+    /**
+     * Boundary file for a geography (config.boundaryUrl stays the ZCTA override)
+     */
+    getBoundaryUrl(geographyId) {
+        if (geographyId === 'zcta' || !this.geographies) {
+            return this.config.boundaryUrl;
+        }
+        return this.geographies.get(geographyId).boundaryUrl;
+    }
+
+    /**
+     * Extract GeoJSON features from GeoJSON or TopoJSON data
+     */
+    extractBoundaryFeatures(data) {
+        if (data.type === 'Topology') {
+            if (typeof topojson === 'undefined') {
+                throw new Error('topojson-client is required to read TopoJSON boundaries');
+            }
+
+            const objectName = Object.keys(data.objects)[0];
+            return topojson.feature(data, data.objects[objectName]).features;
+        }
+
+        if (data.type === 'FeatureCollection') {
+            return data.features;
+        }
+
+        if (data.type === 'Feature') {
+            return [data];
+        }
+
+        throw new Error('Unrecognized boundary file format (expected GeoJSON or TopoJSON)');
+    }
+
+    /**
+     * Read the GEOID (ZCTA code by default) from a boundary feature
+     */
+    getBoundaryId(feature, idLength = 5) {
+        const properties = feature.properties || {};
+
+        for (const property of this.config.boundaryIdProperties) {
+            if (properties[property] !== undefined && properties[property] !== null) {
+                return String(properties[property]).padStart(idLength, '0');
+            }
+        }
+
+        return feature.id !== undefined ? String(feature.id).padStart(idLength, '0') : null;
+    }
+
+    /**
+     * Switch a values layer between markers and choropleth
+     */
+    setRenderMode(mode, layerId = 'primary') {
+        this.config.renderMode = mode;
+
+        const layer = this.layers.get(layerId);
+        if (layer && layer.type === 'values' && layer.data) {
+            layer.options = { ...layer.options, renderMode: mode };
+            this.redraw(layerId);
+        }
+    }
+
+    /**
+     * Style overrides for estimates whose CV exceeds the threshold
+     */
+    getReliabilityStyle(point, color, className) {
+        if (!point.unreliable) return {};
+
+        switch (this.config.unreliableStyle) {
+            case 'fade':
+                return {
+                    fillOpacity: 0.25,
+                    opacity: 0.6,
+                    dashArray: '3,3'
+                };
+            case 'hatch':
+                this.ensureHatchPattern();
+                return {
+                    color,
+                    weight: 2,
+                    fillOpacity: 1,
+                    className: `${className} acs-unreliable-hatch`
+                };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Add the shared SVG hatch pattern to the document
+     */
+    ensureHatchPattern() {
+        if (document.getElementById('acs-hatch')) return;
+
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('width', '0');
+        svg.setAttribute('height', '0');
+        svg.style.position = 'absolute';
+        svg.innerHTML = `
+            <defs>
+                <pattern id="acs-hatch" patternUnits="userSpaceOnUse" width="6" height="6" patternTransform="rotate(45)">
+                    <rect width="6" height="6" fill="rgba(255, 255, 255, 0.6)"></rect>
+                    <line x1="0" y1="0" x2="0" y2="6" stroke="#555" stroke-width="2"></line>
+                </pattern>
+            </defs>
+        `;
+        document.body.appendChild(svg);
+    }
+
+    /**
+     * Update reliability threshold/style and redraw
+     */
+    setReliabilityOptions({ threshold, style } = {}) {
+        if (threshold !== undefined) {
+            this.config.reliabilityThreshold = threshold;
+        }
+        if (style !== undefined) {
+            this.config.unreliableStyle = style;
+        }
+
+        for (const layer of this.layers.values()) {
+            if (layer.type === 'values' && layer.data) {
+                this.redraw(layer.id);
+            }
+        }
+    }
+
     /**
      * Calculate marker radius based on value
      */
     calculateMarkerRadius(value, baseRadius) {
-        // Use log scale to handle large value ranges
-        const logValue = Math.log10(value + 1);
+        // Use log scale to handle large value ranges (change values may be negative)
+        const logValue = Math.log10(Math.abs(value) + 1);
         const radius = baseRadius + logValue * 2;
         return Math.min(20, Math.max(4, radius));
     }
@@ -361,37 +1016,26 @@ class ACSMapVisualizer {
      * Create popup content
      */
     createPopupContent(point, variable) {
-        const variableNames = {
-            'B01003_001E': 'Total Population',
-            'B19013_001E': 'Median Household Income',
-            'B25077_001E': 'Median Home Value',
-            'B25001_001E': 'Housing Units',
-            'B08301_001E': 'Means of Transportation',
-            'B19001_001E': 'Household Income',
-            'B25003_001E': 'Tenure'
-        };
-
-        const formatValue = (val, varName) => {
-            if (val === null || isNaN(val)) return 'N/A';
-            
-            if (varName.includes('B190') || varName.includes('B25077')) {
-                return `$${val.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
-            } else if (varName.includes('B01003')) {
-                return val.toLocaleString('en-US', { maximumFractionDigits: 0 });
-            } else {
-                return val.toLocaleString('en-US', { maximumFractionDigits: 2 });
-            }
-        };
-
         return `
             <div class="acs-popup-content">
-                <h4>${point.info.city || 'Unknown'}, ${point.info.state_id} ${point.zip}</h4>
+                <h4>${this.getPlaceTitle(point)}</h4>
                 
                 <div class="popup-section">
-                    <h5>${variableNames[variable] || variable}</h5>
-                    <p class="data-value">${formatValue(point.value, variable)}</p>
+                    <h5>${this.getVariableName(variable)}</h5>
+                    <p class="data-value">${this.formatValue(point.value, variable)}</p>
+                    ${point.moe !== null && point.moe !== undefined ? `
+                        <table class="popup-table">
+                            <tr><td>Margin of Error:</td><td>± ${this.formatValue(point.moe, variable)}</td></tr>
+                            <tr><td>CV:</td><td>${point.cv !== null ? `${point.cv.toFixed(1)}%` : 'N/A'}</td></tr>
+                        </table>
+                        ${point.unreliable && point.significant === null ? `
+                            <p class="reliability-warning">⚠️ CV above ${this.config.reliabilityThreshold}% — use with caution</p>
+                        ` : ''}
+                    ` : ''}
                 </div>
                 
+                ${point.comparison ? this.createComparisonPopupSection(point.comparison) : ''}
+                
                 <div class="popup-section">
                     <h5>Location Information</h5>
                     <table class="popup-table">
@@ -406,7 +1050,7 @@ class ACSMapVisualizer {
                     <h5>Data Source</h5>
                     <table class="popup-table">
                         <tr><td>Source:</td><td>${point.metadata.source || 'ACS'}</td></tr>
-                        <tr><td>Year:</td><td>${point.metadata.year || 'N/A'}</td></tr>
+                        <tr><td>Year:</td><td>${point.metadata.baseYear ? `${point.metadata.baseYear} → ` : ''}${point.metadata.year || 'N/A'}</td></tr>
                         <tr><td>Fetched:</td><td>${new Date(point.metadata.fetchedAt).toLocaleDateString()}</td></tr>
                     </table>
                 </div>
@@ -426,6 +1070,43 @@ class ACSMapVisualizer {
         `;
     }
 
+    /**
+     * Popup heading for a ZIP or other geography record
+     */
+    getPlaceTitle(point) {
+        if (point.info.city) {
+            return `${point.info.city}, ${point.info.state_id} ${point.zip}`;
+        }
+
+        // Tracts, counties etc. fall back to the Census NAME
+        const name = point.info.name || point.metadata?.name;
+        return name ? `${name} (${point.zip})` : `Unknown ${point.zip}`;
+    }
+
+    /**
+     * Popup section describing a multi-year change
+     */
+    createComparisonPopupSection(comparison) {
+        const { variable, baseYear, compareYear } = comparison;
+        const sign = (value) => value > 0 ? '+' : '';
+
+        return `
+            <div class="popup-section">
+                <h5>Change ${baseYear} → ${compareYear}</h5>
+                <table class="popup-table">
+                    <tr><td>${baseYear}:</td><td>${this.formatValue(comparison.baseValue, variable)}${comparison.baseMoe !== null ? ` ± ${this.formatValue(comparison.baseMoe, variable)}` : ''}</td></tr>
+                    <tr><td>${compareYear}:</td><td>${this.formatValue(comparison.compareValue, variable)}${comparison.compareMoe !== null ? ` ± ${this.formatValue(comparison.compareMoe, variable)}` : ''}</td></tr>
+                    <tr><td>Change:</td><td>${sign(comparison.change)}${this.formatValue(comparison.change, variable)}${comparison.changeMoe !== null ? ` ± ${this.formatValue(comparison.changeMoe, variable)}` : ''}</td></tr>
+                    <tr><td>% Change:</td><td>${comparison.pctChange !== null ? `${sign(comparison.pctChange)}${comparison.pctChange.toFixed(1)}%` : 'N/A'}${comparison.pctChangeMoe !== null ? ` ± ${comparison.pctChangeMoe.toFixed(1)}%` : ''}</td></tr>
+                    <tr><td>Z-score:</td><td>${comparison.zScore !== null ? comparison.zScore.toFixed(2) : 'N/A'}</td></tr>
+                </table>
+                ${comparison.significant === false ? `
+                    <p class="reliability-warning">⚠️ Change is not statistically significant at 90% confidence</p>
+                ` : ''}
+            </div>
+        `;
+    }
+
     /**
      * Add marker interactions
      */
@@ -453,7 +1134,7 @@ class ACSMapVisualizer {
     onMarkerMouseOver(marker) {
         if (this.highlightedMarker !== marker) {
             marker.setStyle({
-                ...marker.options,
+                ...marker.baseStyle,
                 weight: 2.5,
                 fillOpacity: 0.9
             });
@@ -467,7 +1148,7 @@ class ACSMapVisualizer {
      */
     onMarkerMouseOut(marker) {
         if (this.highlightedMarker !== marker) {
-            marker.setStyle(marker.options);
+            marker.setStyle(marker.baseStyle);
             this.emit('markerHoverEnd', { marker: marker.data });
         }
     }
@@ -481,6 +1162,311 @@ class ACSMapVisualizer {
         this.emit('markerClick', { marker: marker.data });
     }
 
+    // ============================================================================
+    // DOT DENSITY
+    // ============================================================================
+
+    /**
+     * Get variables required for a dot-density layer
+     */
+    getDotDensityVariables(layerKey) {
+        const definition = this.dotDensityLayers[layerKey];
+        if (!definition) {
+            throw new Error(`Unknown dot-density layer: ${layerKey}`);
+        }
+        return definition.components.map(c => c.variable);
+    }
+
+    /**
+     * Visualize summed component variables as jittered dots
+     */
+    async visualizeDotDensity(zipData, acsData, layerKey, options = {}) {
+        const startTime = performance.now();
+        const definition = this.dotDensityLayers[layerKey];
+        const layerId = options.layerId || layerKey;
+
+        if (!definition) {
+            throw new Error(`Unknown dot-density layer: ${layerKey}`);
+        }
+
+        const dotValue = options.dotValue || this.config.dotValue;
+
+        try {
+            this.emit('visualizationStart', { variable: layerKey, layerId, dataCount: Object.keys(acsData).length });
+
+            // Replace only this layer's previous visualization
+            const layer = this.ensureLayer(layerId, {
+                type: 'dotDensity',
+                variable: layerKey,
+                label: definition.label,
+                color: definition.color
+            });
+            this.clearLayer(layerId);
+
+            layer.variable = layerKey;
+            layer.data = { zipData, acsData };
+            layer.options = { ...options, dotValue };
+
+            this.currentData = { zipData, acsData, variable: layerKey, mode: 'dotDensity', dotValue, layerId };
+            this.currentVariable = layerKey;
+
+            const dataPoints = this.prepareDotDensityPoints(zipData, acsData, definition);
+            layer.dataPoints = dataPoints;
+
+            if (dataPoints.length === 0) {
+                this.updateLegend();
+                this.emit('visualizationComplete', {
+                    success: false,
+                    message: 'No valid data points to visualize',
+                    duration: performance.now() - startTime
+                });
+                return;
+            }
+
+            // Canvas renderer keeps thousands of dots responsive
+            if (!layer.renderer) {
+                layer.renderer = L.canvas({ pane: layer.pane, padding: 0.5 });
+            }
+
+            // One dot value for the whole layer, raised if needed so no location passes maxDotsPerZip
+            const largest = dataPoints.reduce((max, p) => Math.max(max, p.value), 0);
+            const effectiveDotValue = this.getEffectiveDotValue(dotValue, largest);
+            layer.effectiveDotValue = effectiveDotValue;
+
+            let totalDots = 0;
+
+            for (const point of dataPoints) {
+                const dots = this.createDots(point, definition, effectiveDotValue, layer);
+                dots.forEach(dot => dot.addTo(layer.group));
+                totalDots += dots.length;
+            }
+
+            layer.dotCount = totalDots;
+            layer.legendEntry = options.showLegend !== false ?
+                this.createDotDensityLegendEntry(definition, effectiveDotValue, dataPoints, totalDots, dotValue) : null;
+            this.updateLegend();
+
+            if (options.fitBounds !== false) {
+                const bounds = L.latLngBounds(dataPoints.map(p => [p.lat, p.lng]));
+                this.map.fitBounds(bounds, {
+                    padding: [(options.padding || 0.1) * 100, (options.padding || 0.1) * 100],
+                    animate: true,
+                    duration: 1
+                });
+            }
+
+            const duration = performance.now() - startTime;
+
+            this.emit('visualizationComplete', {
+                success: true,
+                layerId,
+                dataPoints: dataPoints.length,
+                markers: totalDots,
+                duration
+            });
+
+            console.log(`Drew ${totalDots} dots for ${dataPoints.length} ZIP codes in ${duration.toFixed(0)}ms`);
+
+        } catch (error) {
+            this.emit('visualizationError', {
+                error,
+                duration: performance.now() - startTime
+            });
+
+            console.error('Dot-density visualization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sum component variables per ZIP
+     */
+    prepareDotDensityPoints(zipData, acsData, definition) {
+        const dataPoints = [];
+
+        for (const [zip, acsRecord] of Object.entries(acsData)) {
+            const zipInfo = zipData.get(zip);
+            if (!zipInfo || zipInfo.lat === null || zipInfo.lng === null) continue;
+
+            const breakdown = {};
+            let total = 0;
+            let hasValue = false;
+
+            for (const component of definition.components) {
+                const value = acsRecord.data[component.variable];
+                if (value === null || value === undefined || isNaN(value)) {
+                    breakdown[component.variable] = null;
+                    continue;
+                }
+                breakdown[component.variable] = value;
+                total += value;
+                hasValue = true;
+            }
+
+            if (!hasValue) continue;
+
+            dataPoints.push({
+                zip,
+                value: total,
+                breakdown,
+                lat: zipInfo.lat,
+                lng: zipInfo.lng,
+                info: zipInfo,
+                metadata: acsRecord.metadata
+            });
+        }
+
+        return dataPoints;
+    }
+
+    /**
+     * The requested dot value, or the smallest round value (1, 2 or 5 × 10^n) above it
+     * that keeps the largest location within config.maxDotsPerZip dots
+     */
+    getEffectiveDotValue(dotValue, largest) {
+        const minimum = largest / this.config.maxDotsPerZip;
+        if (minimum <= dotValue) {
+            return dotValue;
+        }
+
+        const magnitude = 10 ** Math.floor(Math.log10(minimum));
+        return [1, 2, 5, 10].find(factor => factor * magnitude >= minimum) * magnitude;
+    }
+
+    /**
+     * Radius (km) to scatter a ZCTA's dots over: a circle of its land area
+     * (Gazetteer `aland_sqmi`) when known, otherwise config.dotJitterKm
+     */
+    getDotJitterRadius(info) {
+        return info?.aland_sqmi > 0 ?
+            Math.sqrt((info.aland_sqmi * 2.58999) / Math.PI) :
+            this.config.dotJitterKm;
+    }
+
+    /**
+     * Create jittered dots around a ZIP centroid
+     */
+    createDots(point, definition, dotValue, layer) {
+        const count = Math.min(this.config.maxDotsPerZip, Math.round(point.value / dotValue));
+        const dots = [];
+
+        if (count === 0) return dots;
+
+        const radiusKm = this.getDotJitterRadius(point.info);
+
+        // Seeded so redraws place dots in the same spots
+        const random = this.createSeededRandom(`${layer.variable}:${point.zip}`);
+        const cosLat = Math.cos(point.lat * Math.PI / 180);
+
+        for (let i = 0; i < count; i++) {
+            const distance = radiusKm * Math.sqrt(random());
+            const angle = 2 * Math.PI * random();
+            const lat = point.lat + (distance * Math.sin(angle)) / 111.32;
+            const lng = point.lng + (distance * Math.cos(angle)) / (111.32 * cosLat);
+
+            const dot = L.circleMarker([lat, lng], {
+                pane: layer.pane,
+                renderer: layer.renderer,
+                radius: this.config.dotRadius,
+                stroke: false,
+                fillColor: definition.color,
+                fillOpacity: 0.8,
+                className: 'acs-dot'
+            });
+
+            dot.data = point;
+            dot.on('click', (e) => {
+                L.DomEvent.stopPropagation(e);
+                L.popup({ className: 'acs-popup', maxWidth: 350, minWidth: 300 })
+                    .setLatLng([point.lat, point.lng])
+                    .setContent(this.createDotPopupContent(point, definition, dotValue))
+                    .openOn(this.map);
+                this.emit('markerClick', { marker: point });
+            });
+
+            dots.push(dot);
+        }
+
+        return dots;
+    }
+
+    /**
+     * Create popup content for a dot-density ZIP
+     */
+    createDotPopupContent(point, definition, dotValue) {
+        const rows = definition.components.map(component => {
+            const value = point.breakdown[component.variable];
+            return `<tr><td>${component.label}:</td><td>${value === null ? 'N/A' : value.toLocaleString('en-US')}</td></tr>`;
+        }).join('');
+
+        return `
+            <div class="acs-popup-content">
+                <h4>${point.info.city || 'Unknown'}, ${point.info.state_id || ''} ${point.zip}</h4>
+                
+                <div class="popup-section">
+                    <h5>${definition.label}</h5>
+                    <p class="data-value">${point.value.toLocaleString('en-US')} ${definition.unit}</p>
+                    <p>${Math.round(point.value / dotValue).toLocaleString('en-US')} dots × ${dotValue.toLocaleString('en-US')} ${definition.unit}</p>
+                </div>
+                
+                <div class="popup-section">
+                    <h5>Breakdown</h5>
+                    <table class="popup-table">${rows}</table>
+                </div>
+                
+                <div class="popup-section">
+                    <h5>Data Source</h5>
+                    <table class="popup-table">
+                        <tr><td>Source:</td><td>${point.metadata.source || 'ACS'}</td></tr>
+                        <tr><td>Year:</td><td>${point.metadata.year || 'N/A'}</td></tr>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create dot-density legend entry
+     * @param {number} requestedDotValue - The dot value asked for, noted when it had to be raised
+     */
+    createDotDensityLegendEntry(definition, dotValue, dataPoints, totalDots, requestedDotValue = dotValue) {
+        const total = dataPoints.reduce((sum, p) => sum + p.value, 0);
+        const raised = dotValue > requestedDotValue ?
+            `<p>⚠️ Raised from ${requestedDotValue.toLocaleString('en-US')} so no location has more than ${this.config.maxDotsPerZip.toLocaleString('en-US')} dots</p>` : '';
+
+        return `
+            <div class="legend-scale">
+                <div class="legend-item">
+                    <i class="legend-dot" style="background:${definition.color}"></i>
+                    <span>1 dot = ${dotValue.toLocaleString('en-US')} ${definition.unit}</span>
+                </div>
+            </div>
+            <div class="legend-stats">
+                <p>📊 ${totalDots.toLocaleString('en-US')} dots across ${dataPoints.length} locations</p>
+                <p>📈 Total: ${total.toLocaleString('en-US')} ${definition.unit}</p>
+                ${raised}
+            </div>
+        `;
+    }
+
+    /**
+     * Create a deterministic random generator from a string seed
+     */
+    createSeededRandom(seed) {
+        let state = 0;
+        for (let i = 0; i < seed.length; i++) {
+            state = Math.imul(state ^ seed.charCodeAt(i), 2654435761);
+        }
+
+        // mulberry32
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
     // ============================================================================
     // MARKER MANAGEMENT
     // ============================================================================
@@ -488,21 +1474,17 @@ class ACSMapVisualizer {
     /**
      * Add markers to map
      */
-    addMarkers(markers) {
+    addMarkers(markers, layer) {
         markers.forEach(marker => {
-            marker.addTo(this.markerLayer);
+            marker.addTo(layer.group);
         });
     }
 
     /**
      * Add clustered markers
      */
-    addClusteredMarkers(markers) {
-        if (this.markerCluster) {
-            this.markerCluster.clearLayers();
-        }
-
-        this.markerCluster = L.markerClusterGroup({
+    addClusteredMarkers(markers, layer) {
+        const cluster = L.markerClusterGroup({
             maxClusterRadius: this.config.clusterRadius,
             spiderfyOnMaxZoom: true,
             showCoverageOnHover: false,
@@ -513,10 +1495,10 @@ class ACSMapVisualizer {
         });
 
         markers.forEach(marker => {
-            this.markerCluster.addLayer(marker);
+            cluster.addLayer(marker);
         });
 
-        this.markerCluster.addTo(this.map);
+        cluster.addTo(layer.group);
     }
 
     /**
@@ -532,8 +1514,9 @@ class ACSMapVisualizer {
         marker.bringToFront();
 
         // Pan to marker if not in view
-        if (!this.map.getBounds().contains(marker.getLatLng())) {
-            this.map.panTo(marker.getLatLng(), {
+        const latLng = this.getMarkerLatLng(marker);
+        if (!this.map.getBounds().contains(latLng)) {
+            this.map.panTo(latLng, {
                 animate: true,
                 duration: 0.5
             });
@@ -552,7 +1535,7 @@ class ACSMapVisualizer {
      */
     clearHighlight() {
         if (this.highlightedMarker) {
-            this.highlightedMarker.setStyle(this.highlightedMarker.options);
+            this.highlightedMarker.setStyle(this.highlightedMarker.baseStyle);
             this.highlightedMarker.closePopup();
             this.highlightedMarker = null;
         }
@@ -562,65 +1545,76 @@ class ACSMapVisualizer {
      * Zoom to specific marker
      */
     zoomToMarker(zip) {
-        const marker = this.markers.get(zip);
+        const marker = this.findMarker(zip);
         if (marker) {
-            this.map.setView(marker.getLatLng(), 12, {
-                animate: true,
-                duration: 1
-            });
+            if (marker.getBounds) {
+                this.map.fitBounds(marker.getBounds(), {
+                    maxZoom: 12,
+                    animate: true,
+                    duration: 1
+                });
+            } else {
+                this.map.setView(marker.getLatLng(), 12, {
+                    animate: true,
+                    duration: 1
+                });
+            }
             this.highlightMarker(marker);
         }
     }
 
+    /**
+     * Get a representative point for a marker or polygon
+     */
+    getMarkerLatLng(marker) {
+        return marker.getLatLng ? marker.getLatLng() : marker.getBounds().getCenter();
+    }
+
+    /**
+     * Find the topmost visible marker for a ZIP
+     */
+    findMarker(zip) {
+        const layers = this.getLayers().reverse();
+
+        for (const layer of layers) {
+            if (layer.visible && layer.markers.has(zip)) {
+                return layer.markers.get(zip);
+            }
+        }
+
+        return null;
+    }
+
     // ============================================================================
     // LEGEND
     // ============================================================================
 
     /**
-     * Add legend to map
+     * Rebuild legend from visible layers
      */
-    addLegend(dataPoints, variable) {
-        // Remove existing legend
-        if (this.legend) {
-            this.legend.remove();
-            this.legend = null;
-        }
+    updateLegend() {
+        this.removeLegend();
 
-        const values = dataPoints.map(d => d.value);
-        const [min, max] = d3.extent(values);
-        const grades = this.generateLegendGrades(min, max, 5);
+        const entries = this.getLayers()
+            .reverse()
+            .filter(layer => layer.visible && layer.legendEntry);
+
+        if (entries.length === 0) return;
 
         const legend = L.control({ position: 'bottomright' });
 
         legend.onAdd = () => {
             const div = L.DomUtil.create('div', 'info legend acs-legend');
             
-            div.innerHTML = `
-                <div class="legend-header">
-                    <h4>${this.getVariableName(variable)}</h4>
-                    <button class="legend-close" onclick="window.acsMap?.removeLegend()">×</button>
-                </div>
-                <div class="legend-scale">
-                    ${grades.map((grade, i) => {
-                        const nextGrade = grades[i + 1];
-                        if (nextGrade !== undefined) {
-                            const color = this.colorScale(grade);
-                            return `
-                                <div class="legend-item">
-                                    <i style="background:${color}"></i>
-                                    <span>${this.formatValue(grade, variable)} - ${this.formatValue(nextGrade, variable)}</span>
-                                </div>
-                            `;
-                        }
-                        return '';
-                    }).join('')}
-                </div>
-                <div class="legend-stats">
-                    <p>📊 Showing ${dataPoints.length} locations</p>
-                    <p>📈 Range: ${this.formatValue(min, variable)} - ${this.formatValue(max, variable)}</p>
-                    <p>🎨 Scale: ${this.currentScaleType}</p>
+            div.innerHTML = entries.map((layer, i) => `
+                <div class="legend-layer" data-layer="${layer.id}">
+                    <div class="legend-header">
+                        <h4>${layer.label}</h4>
+                        ${i === 0 ? '<button class="legend-close" onclick="window.acsMap?.removeLegend()">×</button>' : ''}
+                    </div>
+                    ${layer.legendEntry}
                 </div>
-            `;
+            `).join('');
 
             return div;
         };
@@ -629,6 +1623,46 @@ class ACSMapVisualizer {
         legend.addTo(this.map);
     }
 
+    /**
+     * Create legend entry for a values layer
+     */
+    createLegendEntry(layer) {
+        const { dataPoints, variable, breaks } = layer;
+        const unreliableCount = dataPoints.filter(d => d.unreliable && d.significant === null).length;
+        const insignificantCount = dataPoints.filter(d => d.significant === false).length;
+        const comparison = dataPoints.find(d => d.comparison)?.comparison;
+        const values = dataPoints.map(d => d.value);
+        const [min, max] = d3.extent(values);
+        const method = this.classifier.methods.get(layer.classification.method);
+
+        return `
+            <div class="legend-scale">
+                ${breaks.map((grade, i) => {
+                    const nextGrade = breaks[i + 1];
+                    if (nextGrade !== undefined) {
+                        const color = layer.classColors[i];
+                        return `
+                            <div class="legend-item">
+                                <i class="${layer.renderMode === 'choropleth' ? 'legend-swatch' : ''}" style="background:${color}"></i>
+                                <span>${this.formatValue(grade, variable)} - ${this.formatValue(nextGrade, variable)}</span>
+                            </div>
+                        `;
+                    }
+                    return '';
+                }).join('')}
+            </div>
+            <div class="legend-stats">
+                <p>📊 Showing ${dataPoints.length} locations</p>
+                <p>📈 Range: ${this.formatValue(min, variable)} - ${this.formatValue(max, variable)}</p>
+                <p>🎨 Scale: ${layer.scaleType}</p>
+                <p>🧮 Classes: ${method ? method.label : layer.classification.method}</p>
+                ${comparison ? `<p>📅 Change: ${comparison.baseYear} → ${comparison.compareYear}</p>` : ''}
+                ${unreliableCount > 0 ? `<p>⚠️ ${unreliableCount} estimates with CV > ${this.config.reliabilityThreshold}%</p>` : ''}
+                ${insignificantCount > 0 ? `<p>⚠️ ${insignificantCount} changes not significant (90%)</p>` : ''}
+            </div>
+        `;
+    }
+
     /**
      * Remove legend
      */
@@ -639,20 +1673,6 @@ class ACSMapVisualizer {
         }
     }
 
-    /**
-     * Generate legend grades
-     */
-    generateLegendGrades(min, max, steps) {
-        const grades = [];
-        const step = (max - min) / steps;
-        
-        for (let i = 0; i <= steps; i++) {
-            grades.push(min + (step * i));
-        }
-        
-        return grades;
-    }
-
     // ============================================================================
     // UTILITY METHODS
     // ============================================================================
@@ -663,29 +1683,25 @@ class ACSMapVisualizer {
     formatValue(value, variable) {
         if (value === null || isNaN(value)) return 'N/A';
         
-        const formatters = {
-            'B01003_001E': (v) => v.toLocaleString('en-US', { maximumFractionDigits: 0 }),
-            'B19013_001E': (v) => `$${v.toLocaleString('en-US', { maximumFractionDigits: 0 })}`,
-            'B25077_001E': (v) => `$${v.toLocaleString('en-US', { maximumFractionDigits: 0 })}`,
-            default: (v) => v.toLocaleString('en-US', { maximumFractionDigits: 2 })
-        };
+        if (this.catalog) {
+            return this.catalog.format(value, variable);
+        }
         
-        const formatter = formatters[variable] || formatters.default;
-        return formatter(value);
+        return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
     }
 
     /**
      * Get variable display name
      */
     getVariableName(variable) {
-        const names = {
-            'B01003_001E': 'Population',
-            'B19013_001E': 'Median Income',
-            'B25077_001E': 'Home Value',
-            'B25001_001E': 'Housing Units',
-            'B08301_001E': 'Transportation'
-        };
-        return names[variable] || variable;
+        return this.catalog ? this.catalog.getLabel(variable) : variable;
+    }
+
+    /**
+     * Set the variable catalog used for labels and formatting
+     */
+    setCatalog(catalog) {
+        this.catalog = catalog;
     }
 
     /**
@@ -711,7 +1727,7 @@ class ACSMapVisualizer {
     fitToMarkers(markers, padding = 0.1) {
         if (markers.length === 0) return;
         
-        const bounds = L.latLngBounds(markers.map(m => m.getLatLng()));
+        const bounds = L.latLngBounds(markers.map(m => this.getMarkerLatLng(m)));
         this.map.fitBounds(bounds, {
             padding: [padding * 100, padding * 100],
             animate: true,
@@ -722,29 +1738,41 @@ class ACSMapVisualizer {
     /**
      * Set color scheme
      */
-    setColorScheme(scheme) {
+    setColorScheme(scheme, layerId = null) {
         if (this.colorScales[scheme]) {
-            this.currentScaleType = scheme;
-            this.colorScale = this.colorScales[scheme];
+            if (!layerId) {
+                this.currentScaleType = scheme;
+            }
             
-            // Redraw if we have data
-            if (this.currentData) {
-                this.redraw();
+            for (const layer of this.layers.values()) {
+                if (layer.type === 'values' && (!layerId || layer.id === layerId)) {
+                    layer.scaleType = scheme;
+                    layer.colorScale = this.createColorScale(scheme);
+                    if (layer.options.scaleType) {
+                        layer.options = { ...layer.options, scaleType: scheme };
+                    }
+                }
             }
+            
+            // Redraw if we have data
+            this.redraw(layerId);
         }
     }
 
     /**
-     * Redraw markers with current settings
+     * Redraw layers with current settings
      */
-    redraw() {
-        if (this.currentData) {
-            this.visualizeData(
-                this.currentData.zipData,
-                this.currentData.acsData,
-                this.currentVariable,
-                { fitBounds: false, showLegend: false }
-            );
+    redraw(layerId = null) {
+        for (const layer of this.getLayers()) {
+            if (!layer.data || (layerId && layer.id !== layerId)) continue;
+            
+            const options = { ...layer.options, layerId: layer.id, fitBounds: false };
+            
+            if (layer.type === 'dotDensity') {
+                this.visualizeDotDensity(layer.data.zipData, layer.data.acsData, layer.variable, options);
+            } else {
+                this.visualizeData(layer.data.zipData, layer.data.acsData, layer.variable, options);
+            }
         }
     }
 
@@ -752,23 +1780,18 @@ class ACSMapVisualizer {
      * Clear all map elements
      */
     clear() {
-        // Clear markers
-        if (this.markerCluster) {
-            this.markerCluster.clearLayers();
-            this.markerCluster = null;
-        }
-        
-        if (this.markerLayer) {
-            this.markerLayer.clearLayers();
+        // Remove every registered layer
+        for (const id of Array.from(this.layers.keys())) {
+            this.removeLayer(id);
         }
         
         // Clear legend
         this.removeLegend();
         
         // Clear state
-        this.markers.clear();
         this.currentData = null;
         this.highlightedMarker = null;
+        this.nextLayerOrder = 0;
         
         this.emit('mapCleared');
     }
@@ -777,12 +1800,12 @@ class ACSMapVisualizer {
      * Export marker data
      */
     exportMarkerData(zip) {
-        const marker = this.markers.get(zip);
+        const marker = this.findMarker(zip);
         if (marker && marker.data) {
             const exportData = {
                 ...marker.data,
                 timestamp: new Date().toISOString(),
-                variable: this.currentVariable
+                variable: marker.variable
             };
             
             const blob = new Blob([JSON.stringify(exportData, null, 2)], {
@@ -805,22 +1828,33 @@ class ACSMapVisualizer {
     /**
      * Export all data
      */
-    exportAllData() {
-        if (!this.currentData) return;
+    exportAllData(layerId = this.currentData?.layerId) {
+        const layer = this.layers.get(layerId);
+        if (!layer || !layer.data) return;
         
         const exportData = {
             timestamp: new Date().toISOString(),
-            variable: this.currentVariable,
+            layer: layer.id,
+            variable: layer.variable,
             data: []
         };
         
-        Object.entries(this.currentData.acsData).forEach(([zip, acsData]) => {
-            const zipInfo = this.currentData.zipData.get(zip);
+        const dotDefinition = layer.type === 'dotDensity' ?
+            this.dotDensityLayers[layer.variable] : null;
+        
+        Object.entries(layer.data.acsData).forEach(([zip, acsData]) => {
+            const zipInfo = layer.data.zipData.get(zip);
             if (zipInfo) {
+                const value = dotDefinition ?
+                    dotDefinition.components.reduce((sum, c) => sum + (acsData.data[c.variable] || 0), 0) :
+                    acsData.data[layer.variable];
+                
                 exportData.data.push({
                     zip,
                     ...zipInfo,
-                    acs_value: acsData.data[this.currentVariable],
+                    acs_value: value,
+                    acs_moe: dotDefinition ? null : (acsData.moe?.[layer.variable] ?? null),
+                    ...(acsData.comparison && !dotDefinition ? { comparison: acsData.comparison } : {}),
                     metadata: acsData.metadata
                 });
             }
@@ -846,8 +1880,14 @@ class ACSMapVisualizer {
      * Get map statistics
      */
     getStats() {
+        let markers = 0;
+        for (const layer of this.layers.values()) {
+            markers += layer.type === 'dotDensity' ? layer.dotCount : layer.markers.size;
+        }
+        
         return {
-            markers: this.markers.size,
+            markers,
+            layers: this.getLayers().map(l => ({ id: l.id, label: l.label, visible: l.visible })),
             hasData: !!this.currentData,
             currentVariable: this.currentVariable,
             bounds: this.map.getBounds(),
@@ -0,0 +1,531 @@
+// ============================================================================
+// OFFLINE DATA PACKS
+// ============================================================================
+
+/**
+ * Preloadable bundles of ACS values consulted before the network.
+ *
+ * A pack covers one dataset/year/geography and a set of variables:
+ *
+ *   {
+ *     "format": "acs-data-pack", "version": 1,
+ *     "label": "Education, ZCTAs", "dataset": "acs/acs5", "year": "2022", "geography": "zcta",
+ *     "variables": ["B15003_022E", "B15003_023E"],
+ *     "records": { "10001": { "name": "ZCTA5 10001", "values": [4500, 2200], "moe": [310, 240] } }
+ *   }
+ *
+ * Packs may also be CSV (`GEOID,NAME,<estimate>,<moe>...` with `# dataset: acs/acs5`
+ * style header comments) and either form may be gzip-compressed (`.gz`).
+ */
+class OfflineDataPacks {
+    constructor(options = {}) {
+        // Configuration
+        this.config = {
+            manifestUrl: 'data/packs/manifest.json',
+            // Register manifest entries marked `"demo": true` (sample values, not real ACS data)
+            includeDemoPacks: false,
+            ...options
+        };
+
+        // Registered packs (manifest entries load lazily)
+        this.packs = new Map();
+
+        // Variables behind the pre-pack education/income files
+        this.legacyVariables = {
+            education: ['B15003_022E', 'B15003_023E', 'B15003_024E', 'B15003_025E'],
+            income: ['B19001_014E', 'B19001_015E', 'B19001_016E', 'B19001_017E']
+        };
+
+        // Event handlers
+        this.eventHandlers = new Map();
+    }
+
+    // ============================================================================
+    // LOADING
+    // ============================================================================
+
+    /**
+     * Register the packs listed in the manifest (their data loads when first needed)
+     */
+    async loadManifest(url = this.config.manifestUrl) {
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load data pack manifest: HTTP ${response.status}`);
+        }
+
+        const manifest = await response.json();
+        const entries = (manifest.packs || []).filter(entry => !entry.demo || this.config.includeDemoPacks);
+
+        for (const entry of entries) {
+            if (!entry.url || !entry.dataset || !entry.year || !entry.geography) {
+                console.warn('Skipping incomplete data pack manifest entry:', entry);
+                continue;
+            }
+
+            const pack = {
+                ...this.describe({ ...entry, variables: entry.variables || this.legacyVariables[entry.legacy] }),
+                url: entry.url,
+                legacy: entry.legacy || null,
+                source: 'manifest',
+                records: null,
+                loadPromise: null
+            };
+            this.packs.set(pack.id, pack);
+        }
+
+        this.emit('manifestLoaded', { count: entries.length });
+        return entries.length;
+    }
+
+    /**
+     * Load a manifest pack's records (once)
+     */
+    loadPack(pack) {
+        if (pack.records) {
+            return Promise.resolve(pack);
+        }
+
+        if (!pack.loadPromise) {
+            pack.loadPromise = (async () => {
+                const response = await fetch(pack.url);
+                if (!response.ok) {
+                    throw new Error(`Failed to load data pack ${pack.url}: HTTP ${response.status}`);
+                }
+
+                const text = await this.readText(await response.blob(), pack.url);
+                const parsed = this.parse(text, pack);
+
+                pack.records = parsed.records;
+                pack.variables = parsed.variables;
+                pack.hasMOE = parsed.hasMOE;
+
+                this.emit('packLoaded', this.summarize(pack));
+                return pack;
+            })();
+
+            // Allow a later retry
+            pack.loadPromise.catch(() => {
+                pack.loadPromise = null;
+            });
+        }
+
+        return pack.loadPromise;
+    }
+
+    /**
+     * Import a pack file chosen by the user (kept for this session)
+     */
+    async importFile(file) {
+        const text = await this.readText(file, file.name);
+        const parsed = this.parse(text, { label: file.name.replace(/\.(json|csv)(\.gz)?$/i, '') });
+        const pack = { ...parsed, source: 'import' };
+
+        this.packs.set(pack.id, pack);
+        this.emit('packAdded', this.summarize(pack));
+        return this.summarize(pack);
+    }
+
+    /**
+     * Read a Blob as text, decompressing `.gz` files
+     */
+    async readText(blob, name = '') {
+        if (!/\.gz$/i.test(name)) {
+            return blob.text();
+        }
+
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed data packs; use an uncompressed .json or .csv');
+        }
+
+        const stream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).text();
+    }
+
+    // ============================================================================
+    // PARSING
+    // ============================================================================
+
+    /**
+     * Parse pack text (JSON, CSV or a legacy education/income file)
+     * @param {Object} defaults - Manifest entry or import details filling in metadata
+     */
+    parse(text, defaults = {}) {
+        const trimmed = text.trim();
+
+        if (trimmed.startsWith('{')) {
+            const json = JSON.parse(trimmed);
+
+            if (json.format === 'acs-data-pack') {
+                return this.parseJSON(json, defaults);
+            }
+            if (defaults.legacy) {
+                return this.adaptLegacy(json, defaults);
+            }
+            throw new Error('Unrecognized data pack: expected "format": "acs-data-pack"');
+        }
+
+        return this.parseCSV(trimmed, defaults);
+    }
+
+    /**
+     * Parse an acs-data-pack JSON object
+     */
+    parseJSON(json, defaults = {}) {
+        if (json.version !== 1) {
+            throw new Error(`Unsupported data pack version: ${json.version}`);
+        }
+
+        const meta = this.describe({ ...defaults, ...json });
+        const records = new Map();
+
+        for (const [geoid, entry] of Object.entries(json.records || {})) {
+            records.set(geoid, this.createRecord(meta.variables, entry.name, entry.values, entry.moe));
+        }
+
+        return { ...meta, hasMOE: Boolean(json.hasMOE), records };
+    }
+
+    /**
+     * Parse a CSV pack: `# key: value` comments, then GEOID, NAME and variable columns
+     * (MOE columns are the estimate names ending in M)
+     */
+    parseCSV(text, defaults = {}) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim());
+        const meta = { ...defaults };
+
+        while (lines.length > 0 && lines[0].startsWith('#')) {
+            const match = lines.shift().match(/^#\s*([\w-]+)\s*:\s*(.*)$/);
+            if (match) {
+                meta[match[1]] = match[2].trim();
+            }
+        }
+
+        if (lines.length === 0) {
+            throw new Error('Data pack CSV has no header row');
+        }
+
+        const headers = this.splitCSVLine(lines[0]);
+        const geoidIndex = headers.indexOf('GEOID');
+        const nameIndex = headers.indexOf('NAME');
+
+        if (geoidIndex === -1) {
+            throw new Error('Data pack CSV needs a GEOID column');
+        }
+
+        const estimateColumns = headers
+            .map((name, index) => ({ name, index }))
+            .filter(({ name, index }) => index !== geoidIndex && index !== nameIndex && !this.isMOEColumn(name, headers));
+        const moeIndices = estimateColumns.map(({ name }) => headers.indexOf(name.replace(/E$/, 'M')));
+        const hasMOE = moeIndices.some(index => index !== -1);
+
+        const described = this.describe({ ...meta, variables: estimateColumns.map(column => column.name) });
+        const records = new Map();
+        const toNumber = (value) => value === undefined || value === '' ? null : Number(value);
+
+        for (let i = 1; i < lines.length; i++) {
+            const fields = this.splitCSVLine(lines[i]);
+            const geoid = fields[geoidIndex];
+            if (!geoid) continue;
+
+            records.set(geoid, this.createRecord(
+                described.variables,
+                nameIndex === -1 ? null : fields[nameIndex],
+                estimateColumns.map(({ index }) => toNumber(fields[index])),
+                hasMOE ? moeIndices.map(index => index === -1 ? null : toNumber(fields[index])) : null
+            ));
+        }
+
+        return { ...described, hasMOE, records };
+    }
+
+    /**
+     * Adapt data/education-data.json style files ({ zip: { name, values } })
+     */
+    adaptLegacy(json, defaults = {}) {
+        const variables = defaults.variables || this.legacyVariables[defaults.legacy];
+
+        if (!variables) {
+            throw new Error(`Unknown legacy data pack type: ${defaults.legacy}`);
+        }
+
+        const meta = this.describe({ ...defaults, variables });
+        const records = new Map();
+
+        for (const [geoid, entry] of Object.entries(json)) {
+            records.set(geoid, this.createRecord(variables, entry.name, entry.values, null));
+        }
+
+        return { ...meta, hasMOE: false, records };
+    }
+
+    /**
+     * Whether a column holds the MOE of another column
+     */
+    isMOEColumn(name, headers) {
+        return /M$/.test(name) && headers.includes(name.replace(/M$/, 'E'));
+    }
+
+    /**
+     * Split one CSV line, honouring quoted fields
+     */
+    splitCSVLine(line) {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        fields.push(field);
+        return fields;
+    }
+
+    /**
+     * Pack metadata with defaults and a stable id
+     */
+    describe(meta) {
+        if (!meta.dataset || !meta.year || !meta.geography) {
+            throw new Error('Data pack must name its dataset, year and geography');
+        }
+        if (!Array.isArray(meta.variables) || meta.variables.length === 0) {
+            throw new Error('Data pack must list its variables');
+        }
+
+        const year = String(meta.year);
+        const label = meta.label || `${meta.dataset} ${year} ${meta.geography}`;
+
+        return {
+            id: `${meta.dataset}|${year}|${meta.geography}|${label}`,
+            label,
+            dataset: meta.dataset,
+            year,
+            geography: meta.geography,
+            variables: meta.variables,
+            createdAt: meta.createdAt || null
+        };
+    }
+
+    /**
+     * Store one area's values keyed by variable
+     */
+    createRecord(variables, name, values = [], moe = null) {
+        const record = { name: name || null, data: {}, moe: moe ? {} : null };
+
+        variables.forEach((variable, i) => {
+            record.data[variable] = values[i] ?? null;
+            if (moe) {
+                record.moe[variable] = moe[i] ?? null;
+            }
+        });
+
+        return record;
+    }
+
+    // ============================================================================
+    // LOOKUP
+    // ============================================================================
+
+    /**
+     * Find pack values for GEOIDs in one scope
+     * @returns {Map<string, {name, pack, data, moe}>} Requested variables found, per GEOID
+     */
+    async lookup(geoids, variables, scope) {
+        const found = new Map();
+        const wanted = new Set(variables);
+        const matching = Array.from(this.packs.values()).filter(pack =>
+            pack.dataset === scope.dataset &&
+            pack.year === String(scope.year) &&
+            pack.geography === scope.geography &&
+            pack.variables.some(variable => wanted.has(variable))
+        );
+
+        for (const pack of matching) {
+            try {
+                await this.loadPack(pack);
+            } catch (error) {
+                console.warn(`Data pack ${pack.label} unavailable:`, error);
+                continue;
+            }
+
+            for (const geoid of geoids) {
+                const record = pack.records.get(geoid);
+                if (!record) continue;
+
+                if (!found.has(geoid)) {
+                    found.set(geoid, { name: record.name, pack: pack.label, data: {}, moe: {} });
+                }
+
+                const entry = found.get(geoid);
+                for (const variable of pack.variables) {
+                    if (wanted.has(variable) && !(variable in entry.data)) {
+                        entry.data[variable] = record.data[variable];
+                        entry.moe[variable] = record.moe ? record.moe[variable] : null;
+                    }
+                }
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Check whether any pack covers a scope
+     */
+    covers(scope) {
+        return Array.from(this.packs.values()).some(pack =>
+            pack.dataset === scope.dataset &&
+            pack.year === String(scope.year) &&
+            pack.geography === scope.geography
+        );
+    }
+
+    /**
+     * List registered packs
+     */
+    list() {
+        return Array.from(this.packs.values()).map(pack => this.summarize(pack));
+    }
+
+    /**
+     * Remove a pack
+     */
+    remove(id) {
+        const removed = this.packs.delete(id);
+        if (removed) {
+            this.emit('packRemoved', { id });
+        }
+        return removed;
+    }
+
+    /**
+     * Public description of a pack
+     */
+    summarize(pack) {
+        return {
+            id: pack.id,
+            label: pack.label,
+            dataset: pack.dataset,
+            year: pack.year,
+            geography: pack.geography,
+            variables: pack.variables,
+            count: pack.records ? pack.records.size : null,
+            loaded: Boolean(pack.records),
+            source: pack.source
+        };
+    }
+
+    // ============================================================================
+    // GENERATION
+    // ============================================================================
+
+    /**
+     * Build a pack from API results ({ geoid: { data, moe, metadata } })
+     */
+    create(results, { label, dataset, year, geography, variables }) {
+        const meta = this.describe({ label, dataset, year, geography, variables });
+        const hasMOE = Object.values(results).some(result =>
+            variables.some(variable => (result.moe?.[variable] ?? null) !== null));
+        const records = {};
+
+        for (const [geoid, result] of Object.entries(results)) {
+            records[geoid] = {
+                name: result.metadata?.name || null,
+                values: variables.map(variable => result.data[variable] ?? null),
+                ...(hasMOE ? { moe: variables.map(variable => result.moe?.[variable] ?? null) } : {})
+            };
+        }
+
+        return {
+            format: 'acs-data-pack',
+            version: 1,
+            label: meta.label,
+            dataset: meta.dataset,
+            year: meta.year,
+            geography: meta.geography,
+            variables,
+            hasMOE,
+            createdAt: new Date().toISOString(),
+            source: 'https://api.census.gov/data',
+            records
+        };
+    }
+
+    /**
+     * Serialize a pack, gzip-compressed where the browser supports it
+     * @returns {Promise<{blob: Blob, extension: string}>}
+     */
+    async toBlob(pack) {
+        const json = JSON.stringify(pack);
+
+        if (typeof CompressionStream === 'undefined') {
+            return { blob: new Blob([json], { type: 'application/json' }), extension: 'json' };
+        }
+
+        const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+        const blob = await new Response(stream).blob();
+        return { blob: new Blob([blob], { type: 'application/gzip' }), extension: 'json.gz' };
+    }
+
+    // ============================================================================
+    // EVENT SYSTEM
+    // ============================================================================
+
+    /**
+     * Add event listener
+     */
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, new Set());
+        }
+        this.eventHandlers.get(event).add(handler);
+    }
+
+    /**
+     * Remove event listener
+     */
+    off(event, handler) {
+        if (this.eventHandlers.has(event)) {
+            this.eventHandlers.get(event).delete(handler);
+        }
+    }
+
+    /**
+     * Emit event
+     */
+    emit(event, data) {
+        if (this.eventHandlers.has(event)) {
+            this.eventHandlers.get(event).forEach(handler => {
+                try {
+                    handler(data);
+                } catch (error) {
+                    console.error(`Error in event handler for ${event}:`, error);
+                }
+            });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OfflineDataPacks };
+}
@@ -0,0 +1,481 @@
+// ============================================================================
+// PLACE SEARCH
+// ============================================================================
+
+/**
+ * Ranked search over city, county, state and ZIP names for the search box and
+ * its suggestions. Names are normalized (accents, punctuation, "St." -> "saint",
+ * state names -> codes) and looked up in a prefix trie keyed by every word start,
+ * so "louis" finds "St. Louis"; when that finds too little, names within a small
+ * edit distance are tried so typos still match.
+ *
+ * Ranking: exact name, alias ("nyc"), prefix of the name, prefix of a later word,
+ * then typos; ties go to states, then cities, counties and ZIPs, then population.
+ */
+class PlaceSearchIndex {
+    constructor() {
+        this.entries = new Map(); // entry id -> {id, type, name, key, state_id, zips, population}
+        this.keys = new Map(); // normalized name -> entries, for the typo fallback
+        this.nameKeys = new Map(); // name as given -> normalized name
+        this.trie = { children: {}, matches: null };
+        this.zipInfo = new Map(); // zip -> {city, state_id}
+        this.sortedZips = null;
+
+        this.aliases = new Map(); // normalized alias -> entry id
+        Object.entries(PlaceSearchIndex.ALIASES).forEach(([alias, place]) => this.addAlias(alias, place));
+    }
+
+    // ============================================================================
+    // INDEXING
+    // ============================================================================
+
+    /**
+     * Add the places a ZIP record belongs to
+     */
+    addRecord(record) {
+        const population = Number(record.population) || 0;
+
+        this.zipInfo.set(record.zip, { city: record.city || '', state_id: record.state_id || '', population });
+        this.sortedZips = null;
+
+        if (record.city) {
+            this.addPlace('city', record.city, record.state_id, record.zip, population);
+        }
+        if (record.county_name) {
+            const entry = this.addPlace('county', record.county_name, record.state_id, record.zip, population);
+            entry.county_fips = entry.county_fips || record.county_fips || null;
+        }
+        if (record.state_id && PlaceSearchIndex.STATES[record.state_id]) {
+            this.addPlace('state', PlaceSearchIndex.STATES[record.state_id], record.state_id, record.zip, population);
+        }
+    }
+
+    addPlace(type, name, stateId, zip, population) {
+        let key = this.nameKeys.get(name);
+        if (key === undefined) {
+            key = PlaceSearchIndex.normalize(name);
+            this.nameKeys.set(name, key);
+        }
+        const id = `${type}|${key}|${stateId || ''}`;
+        let entry = this.entries.get(id);
+
+        if (!entry) {
+            entry = { id, type, name, key, state_id: stateId || null, zips: new Set(), population: 0 };
+            this.entries.set(id, entry);
+
+            if (!this.keys.has(key)) {
+                this.keys.set(key, []);
+            }
+            this.keys.get(key).push(entry);
+
+            // Every word start, so later words match too
+            const words = key.split(' ');
+            for (let i = 0; i < words.length; i++) {
+                this.insert(words.slice(i).join(' '), entry, i === 0);
+            }
+        }
+
+        if (!entry.zips.has(zip)) {
+            entry.zips.add(zip);
+            entry.population += population;
+        }
+        return entry;
+    }
+
+    insert(text, entry, whole) {
+        let node = this.trie;
+        for (const char of text) {
+            node = node.children[char] || (node.children[char] = { children: {}, matches: null });
+        }
+        (node.matches || (node.matches = [])).push({ entry, whole });
+    }
+
+    /**
+     * Treat `alias` as another name for one place, e.g. "nyc" for
+     * {type: 'city', name: 'New York', state: 'NY'} (not the state, nor other New Yorks)
+     */
+    addAlias(alias, { type, name, state }) {
+        this.aliases.set(PlaceSearchIndex.normalize(alias), `${type}|${PlaceSearchIndex.normalize(name)}|${state}`);
+    }
+
+    // ============================================================================
+    // SEARCH
+    // ============================================================================
+
+    /**
+     * Ranked places matching a query such as "st louis", "Springfield, IL" or "1000"
+     * @param {Object} options - types (e.g. ['city']), state (code or name), limit
+     * @returns {Array<{id, type, name, label, detail, state_id, county_fips, zip,
+     *   zipCount, population, score, match}>} match is exact|alias|prefix|word|typo
+     */
+    search(query, options = {}) {
+        const { types = null, limit = 10 } = options;
+        const text = String(query || '').trim();
+        if (!text) return [];
+
+        const allowed = (type) => !types || types.includes(type);
+
+        if (/^\d{1,5}$/.test(text)) {
+            return allowed('zip') ? this.searchZips(text, limit) : [];
+        }
+
+        const parsed = this.parseQuery(text, options.state);
+        const candidates = new Map();
+
+        // Trailing words naming a state may belong to the place ("Fort Washington"),
+        // so the whole text is searched as well and both sets ranked together
+        const readings = parsed.trailingState ? [parsed, { name: text, state: null }] : [parsed];
+        for (const { name, state } of readings) {
+            this.collectCandidates(name, state, allowed, candidates, limit);
+        }
+
+        return this.rank(Array.from(candidates.values()), limit);
+    }
+
+    /**
+     * Add the places matching one reading of a query to `candidates` (by entry id)
+     */
+    collectCandidates(name, state, allowed, candidates, limit) {
+        const variants = PlaceSearchIndex.queryVariants(name);
+        const consider = (entry, score, match) => {
+            if (!allowed(entry.type) || (state && entry.state_id !== state)) return;
+            const current = candidates.get(entry.id);
+            if (!current || current.score < score) {
+                candidates.set(entry.id, { entry, score, match });
+            }
+        };
+
+        // State codes and names ("ca", ", CA") match the state itself
+        const stateOnly = variants.length === 0 ? state : PlaceSearchIndex.stateCode(name);
+        if (stateOnly) {
+            this.entriesFor(PlaceSearchIndex.normalize(PlaceSearchIndex.STATES[stateOnly]))
+                .filter(entry => entry.type === 'state')
+                .forEach(entry => consider(entry, 100, 'exact'));
+        }
+
+        for (const variant of variants) {
+            for (const { entry, whole } of this.collect(variant)) {
+                if (entry.key === variant) consider(entry, 100, 'exact');
+                else consider(entry, whole ? 80 : 60, whole ? 'prefix' : 'word');
+            }
+
+            const aliased = this.entries.get(this.aliases.get(variant));
+            if (aliased) {
+                consider(aliased, 95, 'alias');
+            }
+        }
+
+        // Typos are checked against the text as typed, so "st" is not taken for "santa"
+        if (variants.length > 0 && candidates.size < limit) {
+            this.searchTypos(variants[variants.length - 1], consider);
+        }
+    }
+
+    /**
+     * Split off a state given after a comma or as the last words ("Portland Maine");
+     * `trailingState` marks the latter, which may instead be part of the name
+     */
+    parseQuery(text, stateOption = null) {
+        let name = text;
+        let state = stateOption ? PlaceSearchIndex.stateCode(stateOption) || String(stateOption).toUpperCase() : null;
+
+        const comma = text.indexOf(',');
+        if (comma !== -1) {
+            name = text.substring(0, comma);
+            const suffix = text.substring(comma + 1).trim();
+            if (suffix && !state) {
+                state = PlaceSearchIndex.stateCode(suffix) || suffix.toUpperCase();
+            }
+            return { name, state };
+        }
+
+        // A state on its own ("West Virginia") is searched as a name
+        if (state || PlaceSearchIndex.stateCode(text)) {
+            return { name, state };
+        }
+
+        const words = text.split(/\s+/);
+        for (let count = Math.min(3, words.length - 1); count >= 1; count--) {
+            const code = PlaceSearchIndex.stateCode(words.slice(-count).join(' '));
+            if (code) {
+                return { name: words.slice(0, -count).join(' '), state: code, trailingState: true };
+            }
+        }
+
+        return { name, state };
+    }
+
+    /**
+     * Trie matches under a prefix
+     */
+    collect(prefix) {
+        let node = this.trie;
+        for (const char of prefix) {
+            node = node.children[char];
+            if (!node) return [];
+        }
+
+        const matches = [];
+        const stack = [node];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (current.matches) matches.push(...current.matches);
+            for (const child of Object.values(current.children)) {
+                stack.push(child);
+            }
+        }
+        return matches;
+    }
+
+    entriesFor(key) {
+        return this.keys.get(key) || [];
+    }
+
+    /**
+     * Names within a small edit distance of the query, or of its length while typing
+     */
+    searchTypos(variant, consider) {
+        const maxDistance = variant.length < 4 ? 0 : variant.length < 8 ? 1 : 2;
+        if (maxDistance === 0) return;
+
+        for (const [key, entries] of this.keys) {
+            let distance = PlaceSearchIndex.editDistance(variant, key, maxDistance);
+            let score = 40;
+
+            if (distance > maxDistance && key.length > variant.length) {
+                for (let length = variant.length - 1; length <= variant.length + 1; length++) {
+                    distance = Math.min(distance, PlaceSearchIndex.editDistance(variant, key.substring(0, length), maxDistance));
+                }
+                score = 30;
+            }
+
+            if (distance <= maxDistance) {
+                entries.forEach(entry => consider(entry, score - 10 * distance, 'typo'));
+            }
+        }
+    }
+
+    searchZips(prefix, limit) {
+        if (!this.sortedZips) {
+            this.sortedZips = Array.from(this.zipInfo.keys()).sort();
+        }
+
+        // First ZIP at or after the prefix
+        let lo = 0;
+        let hi = this.sortedZips.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.sortedZips[mid] < prefix) lo = mid + 1;
+            else hi = mid;
+        }
+
+        const results = [];
+        for (let i = lo; i < this.sortedZips.length && results.length < limit; i++) {
+            const zip = this.sortedZips[i];
+            if (!zip.startsWith(prefix)) break;
+
+            const info = this.zipInfo.get(zip);
+            results.push({
+                id: `zip|${zip}`,
+                type: 'zip',
+                name: zip,
+                label: zip,
+                detail: info.city ? `${info.city}, ${info.state_id}` : info.state_id,
+                state_id: info.state_id || null,
+                county_fips: null,
+                zip,
+                zipCount: 1,
+                population: info.population,
+                score: zip === prefix ? 100 : 80,
+                match: zip === prefix ? 'exact' : 'prefix'
+            });
+        }
+        return results;
+    }
+
+    rank(candidates, limit) {
+        return candidates
+            .sort((a, b) =>
+                b.score - a.score ||
+                PlaceSearchIndex.TYPE_ORDER[a.entry.type] - PlaceSearchIndex.TYPE_ORDER[b.entry.type] ||
+                b.entry.population - a.entry.population ||
+                b.entry.zips.size - a.entry.zips.size ||
+                a.entry.name.localeCompare(b.entry.name))
+            .slice(0, limit)
+            .map(({ entry, score, match }) => this.describe(entry, score, match));
+    }
+
+    describe(entry, score, match) {
+        const count = entry.zips.size;
+        const labels = {
+            state: `${entry.name} (${entry.state_id})`,
+            city: entry.state_id ? `${entry.name}, ${entry.state_id}` : entry.name,
+            county: entry.state_id ? `${entry.name}, ${entry.state_id}` : entry.name
+        };
+
+        return {
+            id: entry.id,
+            type: entry.type,
+            name: entry.name,
+            label: labels[entry.type],
+            detail: `${entry.type === 'state' ? 'State' : entry.type === 'county' ? 'County' : 'City'} · ` +
+                `${count.toLocaleString()} ZIP code${count === 1 ? '' : 's'}`,
+            state_id: entry.state_id,
+            county_fips: entry.county_fips || null,
+            zip: null,
+            zipCount: count,
+            population: entry.population,
+            score,
+            match
+        };
+    }
+
+    /**
+     * ZIP codes of a search result (by its id)
+     */
+    getZips(id) {
+        if (id.startsWith('zip|')) {
+            return [id.substring(4)];
+        }
+        return Array.from(this.entries.get(id)?.zips || []);
+    }
+
+    clear() {
+        this.entries.clear();
+        this.keys.clear();
+        this.nameKeys.clear();
+        this.trie = { children: {}, matches: null };
+        this.zipInfo.clear();
+        this.sortedZips = null;
+    }
+
+    // ============================================================================
+    // NORMALIZATION
+    // ============================================================================
+
+    /**
+     * Lower case, no accents or punctuation, common abbreviations spelled out
+     */
+    static normalize(text, expandLast = true) {
+        const words = String(text || '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/['’]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .split(' ')
+            .filter(Boolean);
+
+        return words
+            .map((word, i) => (expandLast || i < words.length - 1) && PlaceSearchIndex.ABBREVIATIONS[word] || word)
+            .join(' ');
+    }
+
+    /**
+     * Forms of a partly typed name to look up: "st" may be "saint" or the start of "stamford"
+     */
+    static queryVariants(name) {
+        const expanded = PlaceSearchIndex.normalize(name);
+        const literal = PlaceSearchIndex.normalize(name, false);
+        return Array.from(new Set([expanded, literal])).filter(Boolean);
+    }
+
+    /**
+     * Two-letter code for a state code or name ("ca", "California"), or null
+     */
+    static stateCode(text) {
+        const value = String(text || '').trim();
+        if (/^[a-z]{2}$/i.test(value)) {
+            const code = value.toUpperCase();
+            return PlaceSearchIndex.STATES[code] ? code : null;
+        }
+
+        if (!PlaceSearchIndex.stateCodes) {
+            PlaceSearchIndex.stateCodes = new Map(Object.entries(PlaceSearchIndex.STATES)
+                .map(([code, name]) => [PlaceSearchIndex.normalize(name), code]));
+        }
+        return PlaceSearchIndex.stateCodes.get(PlaceSearchIndex.normalize(value)) || null;
+    }
+
+    /**
+     * Optimal string alignment distance (transpositions count once), or
+     * max + 1 as soon as it must exceed max
+     */
+    static editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        // Three reused rows: two back (for transpositions), previous and current
+        const size = b.length + 1;
+        if (!PlaceSearchIndex.rows || PlaceSearchIndex.rows[0].length < size) {
+            PlaceSearchIndex.rows = [new Int32Array(size * 2), new Int32Array(size * 2), new Int32Array(size * 2)];
+        }
+        let [before, previous, current] = PlaceSearchIndex.rows;
+
+        for (let j = 0; j < size; j++) previous[j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            current[0] = i;
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a.charCodeAt(i - 1) === b.charCodeAt(j - 1) ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+                if (i > 1 && j > 1 && a.charCodeAt(i - 1) === b.charCodeAt(j - 2) && a.charCodeAt(i - 2) === b.charCodeAt(j - 1)) {
+                    value = Math.min(value, before[j - 2] + 1);
+                }
+
+                current[j] = value;
+                if (value < rowMin) rowMin = value;
+            }
+
+            if (rowMin > max) return max + 1;
+            [before, previous, current] = [previous, current, before];
+        }
+
+        return previous[b.length];
+    }
+}
+
+PlaceSearchIndex.TYPE_ORDER = { state: 0, city: 1, county: 2, zip: 3 };
+
+PlaceSearchIndex.ABBREVIATIONS = {
+    st: 'saint',
+    ste: 'sainte',
+    ft: 'fort',
+    mt: 'mount',
+    pt: 'point'
+};
+
+PlaceSearchIndex.ALIASES = {
+    nyc: { type: 'city', name: 'new york', state: 'NY' },
+    la: { type: 'city', name: 'los angeles', state: 'CA' },
+    sf: { type: 'city', name: 'san francisco', state: 'CA' },
+    philly: { type: 'city', name: 'philadelphia', state: 'PA' },
+    vegas: { type: 'city', name: 'las vegas', state: 'NV' },
+    nola: { type: 'city', name: 'new orleans', state: 'LA' },
+    slc: { type: 'city', name: 'salt lake city', state: 'UT' },
+    okc: { type: 'city', name: 'oklahoma city', state: 'OK' },
+    kc: { type: 'city', name: 'kansas city', state: 'MO' },
+    dc: { type: 'city', name: 'washington', state: 'DC' }
+};
+
+PlaceSearchIndex.STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+    CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida',
+    GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana',
+    IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine',
+    MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi',
+    MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+    SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah',
+    VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin',
+    WY: 'Wyoming', PR: 'Puerto Rico', GU: 'Guam', VI: 'U.S. Virgin Islands',
+    AS: 'American Samoa', MP: 'Northern Mariana Islands'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlaceSearchIndex };
+}
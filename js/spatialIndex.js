@@ -0,0 +1,337 @@
+// ============================================================================
+// SPATIAL INDEX
+// ============================================================================
+
+/**
+ * Static 2-d tree over latitude/longitude points for bounding box, radius,
+ * k-nearest and polygon queries. Distances are great-circle kilometres; radius
+ * and nearest results are ordered nearest first (ties by id) and limits apply
+ * after ordering. Box and polygon results are ordered by id.
+ *
+ * Points are kept in typed arrays and the tree is implicit: the median of each
+ * range of `order` splits it, alternating latitude and longitude.
+ */
+class SpatialIndex {
+    /**
+     * @param {Array<{id: string, lat: number, lng: number}>} points - Points
+     *   without finite coordinates are left out
+     */
+    constructor(points = []) {
+        const valid = points.filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lng));
+
+        this.size = valid.length;
+        this.ids = valid.map(point => point.id);
+        this.lats = Float64Array.from(valid, point => point.lat);
+        this.lngs = Float64Array.from(valid, point => point.lng);
+        this.order = Uint32Array.from(valid, (point, i) => i);
+
+        this.build(0, this.size, 0);
+    }
+
+    /**
+     * Index records keyed by a field (e.g. ZIP records by `zip`)
+     */
+    static fromRecords(records, idField = 'zip') {
+        return new SpatialIndex(Array.from(records, record => ({
+            id: record[idField],
+            lat: record.lat,
+            lng: record.lng
+        })));
+    }
+
+    // ============================================================================
+    // CONSTRUCTION
+    // ============================================================================
+
+    build(lo, hi, depth) {
+        if (hi - lo <= 1) return;
+
+        const mid = (lo + hi) >> 1;
+        this.select(lo, hi - 1, mid, depth % 2);
+        this.build(lo, mid, depth + 1);
+        this.build(mid + 1, hi, depth + 1);
+    }
+
+    /**
+     * Partially sort order[left..right] so order[k] holds its median on the axis
+     */
+    select(left, right, k, axis) {
+        const order = this.order;
+        const coords = axis ? this.lngs : this.lats;
+
+        while (right > left) {
+            const pivot = coords[order[k]];
+            let i = left;
+            let j = right;
+
+            this.swap(left, k);
+            if (coords[order[right]] > pivot) this.swap(left, right);
+
+            while (i < j) {
+                this.swap(i, j);
+                i++;
+                j--;
+                while (coords[order[i]] < pivot) i++;
+                while (coords[order[j]] > pivot) j--;
+            }
+
+            if (coords[order[left]] === pivot) {
+                this.swap(left, j);
+            } else {
+                j++;
+                this.swap(j, right);
+            }
+
+            if (j <= k) left = j + 1;
+            if (k <= j) right = j - 1;
+        }
+    }
+
+    swap(i, j) {
+        const order = this.order;
+        const temp = order[i];
+        order[i] = order[j];
+        order[j] = temp;
+    }
+
+    // ============================================================================
+    // QUERIES
+    // ============================================================================
+
+    /**
+     * Ids of points inside [minLat, minLng, maxLat, maxLng]
+     */
+    searchBounds(bounds, limit = Infinity) {
+        const matches = [];
+        this.collectBounds(0, this.size, 0, bounds, matches);
+
+        return matches
+            .map(index => this.ids[index])
+            .sort(SpatialIndex.compareIds)
+            .slice(0, limit);
+    }
+
+    collectBounds(lo, hi, depth, bounds, matches) {
+        if (lo >= hi) return;
+
+        const [minLat, minLng, maxLat, maxLng] = bounds;
+        const mid = (lo + hi) >> 1;
+        const point = this.order[mid];
+        const lat = this.lats[point];
+        const lng = this.lngs[point];
+
+        if (lat >= minLat && lat <= maxLat && lng >= minLng && lng <= maxLng) {
+            matches.push(point);
+        }
+
+        const axis = depth % 2;
+        const value = axis ? lng : lat;
+        if ((axis ? minLng : minLat) <= value) this.collectBounds(lo, mid, depth + 1, bounds, matches);
+        if ((axis ? maxLng : maxLat) >= value) this.collectBounds(mid + 1, hi, depth + 1, bounds, matches);
+    }
+
+    /**
+     * Points within radiusKm of (lat, lng)
+     * @returns {Array<{id, distance}>} Nearest first
+     */
+    searchRadius(lat, lng, radiusKm, limit = Infinity) {
+        const matches = [];
+        this.collectBounds(0, this.size, 0, SpatialIndex.radiusBounds(lat, lng, radiusKm), matches);
+
+        const results = [];
+        for (const point of matches) {
+            const distance = SpatialIndex.distance(lat, lng, this.lats[point], this.lngs[point]);
+            if (distance <= radiusKm) {
+                results.push({ id: this.ids[point], distance });
+            }
+        }
+
+        return results.sort(SpatialIndex.compareResults).slice(0, limit);
+    }
+
+    /**
+     * The k points closest to (lat, lng), optionally no farther than maxDistanceKm
+     * @returns {Array<{id, distance}>} Nearest first
+     */
+    nearest(lat, lng, k = 10, maxDistanceKm = Infinity) {
+        if (k <= 0) return [];
+
+        const best = []; // sorted nearest first, at most k
+        const query = { lat, lng, k, maxDistanceKm, cosLat: Math.cos(lat * Math.PI / 180) };
+        this.searchNearest(0, this.size, 0, query, best);
+
+        return best.map(({ point, distance }) => ({ id: this.ids[point], distance }));
+    }
+
+    searchNearest(lo, hi, depth, query, best) {
+        if (lo >= hi) return;
+
+        const mid = (lo + hi) >> 1;
+        const point = this.order[mid];
+        const distance = SpatialIndex.distance(query.lat, query.lng, this.lats[point], this.lngs[point]);
+
+        if (distance <= query.maxDistanceKm) {
+            this.offer(best, { point, distance }, query.k);
+        }
+
+        // Search the query's side of the split first, the other only if it can hold closer points
+        const axis = depth % 2;
+        const delta = axis ? query.lng - this.lngs[point] : query.lat - this.lats[point];
+        const near = delta <= 0 ? [lo, mid] : [mid + 1, hi];
+        const far = delta <= 0 ? [mid + 1, hi] : [lo, mid];
+
+        this.searchNearest(near[0], near[1], depth + 1, query, best);
+
+        const worst = best.length < query.k ? query.maxDistanceKm : best[best.length - 1].distance;
+        if (this.planeDistance(axis, Math.abs(delta), query) <= worst) {
+            this.searchNearest(far[0], far[1], depth + 1, query, best);
+        }
+    }
+
+    /**
+     * Insert a candidate into the sorted k-best list
+     */
+    offer(best, candidate, k) {
+        let i = best.length;
+        while (i > 0 && this.compareCandidates(candidate, best[i - 1]) < 0) i--;
+
+        if (i >= k) return;
+        best.splice(i, 0, candidate);
+        if (best.length > k) best.pop();
+    }
+
+    compareCandidates(a, b) {
+        return a.distance - b.distance || SpatialIndex.compareIds(this.ids[a.point], this.ids[b.point]);
+    }
+
+    /**
+     * Lower bound (km) on the distance from the query to any point across a split
+     * `delta` degrees away: along the meridian for latitude, to the meridian for longitude
+     */
+    planeDistance(axis, delta, query) {
+        const radians = delta * Math.PI / 180;
+        if (!axis) {
+            return SpatialIndex.EARTH_RADIUS_KM * radians;
+        }
+        if (delta >= 90) {
+            return 0;
+        }
+        return SpatialIndex.EARTH_RADIUS_KM * Math.asin(Math.min(1, query.cosLat * Math.sin(radians)));
+    }
+
+    /**
+     * Ids of points inside a polygon (holes excluded)
+     * @param {Object|Array} polygon - GeoJSON Polygon/MultiPolygon geometry or Feature,
+     *   or a single ring of [lng, lat] positions
+     */
+    searchPolygon(polygon, limit = Infinity) {
+        const polygons = SpatialIndex.normalizePolygon(polygon);
+        if (polygons.length === 0) return [];
+
+        // Candidates from the outer rings' bounding box
+        const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+        for (const [outer] of polygons) {
+            for (const [lng, lat] of outer) {
+                bounds[0] = Math.min(bounds[0], lat);
+                bounds[1] = Math.min(bounds[1], lng);
+                bounds[2] = Math.max(bounds[2], lat);
+                bounds[3] = Math.max(bounds[3], lng);
+            }
+        }
+
+        const matches = [];
+        this.collectBounds(0, this.size, 0, bounds, matches);
+
+        return matches
+            .filter(point => polygons.some(rings => SpatialIndex.polygonContains(rings, this.lngs[point], this.lats[point])))
+            .map(point => this.ids[point])
+            .sort(SpatialIndex.compareIds)
+            .slice(0, limit);
+    }
+
+    // ============================================================================
+    // GEOMETRY HELPERS
+    // ============================================================================
+
+    /**
+     * Great-circle distance in km
+     */
+    static distance(lat1, lng1, lat2, lng2) {
+        const toRadians = Math.PI / 180;
+        const dLat = (lat2 - lat1) * toRadians;
+        const dLng = (lng2 - lng1) * toRadians;
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1 * toRadians) * Math.cos(lat2 * toRadians) * Math.sin(dLng / 2) ** 2;
+        return SpatialIndex.EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    /**
+     * Smallest [minLat, minLng, maxLat, maxLng] box holding the circle
+     */
+    static radiusBounds(lat, lng, radiusKm) {
+        const angle = radiusKm / SpatialIndex.EARTH_RADIUS_KM;
+        const latDelta = angle * 180 / Math.PI;
+        const cosLat = Math.cos(lat * Math.PI / 180);
+
+        // Near the poles (or for huge radii) the circle spans every longitude
+        const lngDelta = Math.sin(angle) < cosLat && angle < Math.PI / 2 ?
+            Math.asin(Math.sin(angle) / cosLat) * 180 / Math.PI :
+            180;
+
+        return [lat - latDelta, lng - lngDelta, lat + latDelta, lng + lngDelta];
+    }
+
+    /**
+     * Polygons as arrays of rings (outer ring first) of [lng, lat]
+     */
+    static normalizePolygon(polygon) {
+        const geometry = polygon?.type === 'Feature' ? polygon.geometry : polygon;
+
+        if (Array.isArray(geometry)) {
+            return geometry.length > 0 ? [[geometry]] : [];
+        }
+        if (geometry?.type === 'Polygon') {
+            return [geometry.coordinates];
+        }
+        if (geometry?.type === 'MultiPolygon') {
+            return geometry.coordinates;
+        }
+
+        throw new Error(`Unsupported polygon: expected a GeoJSON Polygon or MultiPolygon, got ${geometry?.type || typeof geometry}`);
+    }
+
+    /**
+     * Even-odd test: inside the outer ring and outside every hole
+     */
+    static polygonContains(rings, x, y) {
+        let inside = false;
+
+        for (const ring of rings) {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i];
+                const [xj, yj] = ring[j];
+
+                if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+        }
+
+        return inside;
+    }
+
+    static compareIds(a, b) {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    static compareResults(a, b) {
+        return a.distance - b.distance || SpatialIndex.compareIds(a.id, b.id);
+    }
+}
+
+SpatialIndex.EARTH_RADIUS_KM = 6371;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpatialIndex };
+}
@@ -0,0 +1,415 @@
+// ============================================================================
+// CENSUS VARIABLE CATALOG
+// ============================================================================
+
+/**
+ * Census variable metadata: labels, units, formatters and search
+ */
+class VariableCatalog {
+    constructor(options = {}) {
+        // Configuration
+        this.config = {
+            baseUrl: 'https://api.census.gov/data',
+            year: '2022',
+            dataset: 'acs/acs5',
+            snapshotUrl: 'data/variables-snapshot.json',
+            variablePattern: /E$/,
+            timeout: 30000,
+            ...options
+        };
+
+        // State
+        this.variables = new Map();
+        this.groups = new Map();
+        this.featured = [];
+        this.source = null;
+        this.loaded = false;
+        this.remotePromise = null;
+
+        // Short display names for commonly mapped variables
+        this.displayNames = {
+            'B01002_001E': 'Median Age',
+            'B01003_001E': 'Total Population',
+            'B08301_001E': 'Means of Transportation',
+            'B15003_001E': 'Population 25 Years and Over',
+            'B19001_001E': 'Households',
+            'B19013_001E': 'Median Household Income',
+            'B25001_001E': 'Housing Units',
+            'B25003_001E': 'Occupied Housing Units',
+            'B25077_001E': 'Median Home Value'
+        };
+
+        // Value formatters by unit
+        this.formatters = {
+            currency: (v) => `$${v.toLocaleString('en-US', { maximumFractionDigits: 0 })}`,
+            count: (v) => v.toLocaleString('en-US', { maximumFractionDigits: 0 }),
+            percent: (v) => `${v.toLocaleString('en-US', { maximumFractionDigits: 1 })}%`,
+            years: (v) => v.toLocaleString('en-US', { maximumFractionDigits: 1 }),
+            number: (v) => v.toLocaleString('en-US', { maximumFractionDigits: 2 })
+        };
+    }
+
+    // ============================================================================
+    // LOADING
+    // ============================================================================
+
+    /**
+     * Load the local snapshot so labels are available immediately
+     */
+    async load() {
+        const response = await fetch(this.config.snapshotUrl);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load variable snapshot: HTTP ${response.status}`);
+        }
+
+        const snapshot = await response.json();
+
+        this.parseVariables(snapshot.variables || {});
+        this.parseGroups(snapshot.groups || []);
+        this.featured = snapshot.featured || [];
+        this.source = 'snapshot';
+        this.loaded = true;
+
+        console.log(`Loaded ${this.variables.size} variables from catalog snapshot`);
+        this.emit('catalogLoaded', { source: this.source, count: this.variables.size });
+        return true;
+    }
+
+    /**
+     * Switch to another dataset's variables (custom variables are kept)
+     */
+    async configure(dataset, year = dataset.defaultYear) {
+        this.config.dataset = dataset.id;
+        this.config.year = year;
+        this.config.snapshotUrl = dataset.snapshotUrl;
+        this.config.variablePattern = dataset.variablePattern || /E$/;
+
+        for (const [name, meta] of this.variables) {
+            if (!meta.custom) {
+                this.variables.delete(name);
+            }
+        }
+        this.groups.clear();
+        this.featured = [];
+        this.remotePromise = null;
+        this.loaded = false;
+
+        if (dataset.snapshotUrl) {
+            return this.load();
+        }
+
+        // Datasets without a snapshot carry their featured variables inline
+        this.parseVariables(dataset.variables || {});
+        this.featured = dataset.featured || Object.keys(dataset.variables || {});
+        this.source = 'registry';
+        this.loaded = true;
+
+        this.emit('catalogLoaded', { source: this.source, count: this.variables.size });
+        return true;
+    }
+
+    /**
+     * Load the full variables.json/groups.json from the Census API (once)
+     */
+    loadRemote() {
+        if (this.remotePromise) {
+            return this.remotePromise;
+        }
+
+        const base = `${this.config.baseUrl}/${this.config.year}/${this.config.dataset}`;
+
+        this.remotePromise = (async () => {
+            const [variablesJson, groupsJson] = await Promise.all([
+                this.fetchJSON(`${base}/variables.json`),
+                this.fetchJSON(`${base}/groups.json`)
+            ]);
+
+            this.parseVariables(variablesJson.variables || {});
+            this.parseGroups(groupsJson.groups || []);
+            this.source = 'api';
+
+            console.log(`Loaded ${this.variables.size} variables from ${base}`);
+            this.emit('catalogLoaded', { source: this.source, count: this.variables.size });
+            return true;
+        })();
+
+        // Stay on the snapshot when offline, but allow a later retry
+        this.remotePromise.catch((error) => {
+            console.warn('Remote variable catalog unavailable, using snapshot:', error);
+            this.emit('catalogError', { error });
+            this.remotePromise = null;
+        });
+
+        return this.remotePromise;
+    }
+
+    /**
+     * Fetch JSON with timeout
+     */
+    async fetchJSON(url) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} for ${url}`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Index entries from a variables.json "variables" object
+     */
+    parseVariables(variables) {
+        const pseudoVariables = ['for', 'in', 'ucgid', 'NAME', 'GEO_ID'];
+
+        for (const [name, meta] of Object.entries(variables)) {
+            // Skip API pseudo-variables and predicate-only filters
+            if (pseudoVariables.includes(name) || meta.predicateOnly) continue;
+
+            // Annotation and MOE variables are reached through their estimates
+            if (!this.config.variablePattern.test(name)) continue;
+
+            this.variables.set(name, {
+                name,
+                label: meta.label || name,
+                concept: meta.concept || '',
+                group: meta.group && meta.group !== 'N/A' ? meta.group : name.split('_')[0],
+                predicateType: meta.predicateType || 'int',
+                ...(meta.unit ? { unit: meta.unit } : {})
+            });
+        }
+    }
+
+    /**
+     * Add an app-defined variable such as a derived metric
+     */
+    addCustomVariable({ name, label, concept = 'Derived Metric', unit = 'number', description = '' }) {
+        this.variables.set(name, {
+            name,
+            label,
+            concept,
+            group: 'Derived',
+            predicateType: 'float',
+            unit,
+            description,
+            custom: true
+        });
+        this.displayNames[name] = label;
+    }
+
+    /**
+     * Index entries from a groups.json "groups" array
+     */
+    parseGroups(groups) {
+        for (const group of groups) {
+            this.groups.set(group.name, {
+                name: group.name,
+                description: group.description || ''
+            });
+        }
+    }
+
+    // ============================================================================
+    // LOOKUP
+    // ============================================================================
+
+    /**
+     * Get variable metadata
+     */
+    get(name) {
+        return this.variables.get(name) || null;
+    }
+
+    /**
+     * Get featured variables for the picker
+     */
+    getFeatured() {
+        return this.featured.map(name => ({ name, label: this.getLabel(name) }));
+    }
+
+    /**
+     * Get human-readable label
+     */
+    getLabel(name) {
+        if (this.displayNames[name]) {
+            return this.displayNames[name];
+        }
+
+        const meta = this.variables.get(name);
+        if (!meta) return name;
+
+        // "Estimate!!Total:!!Bachelor's degree" -> "Bachelor's degree"
+        const parts = meta.label.split('!!')
+            .map(part => part.replace(/:$/, '').trim())
+            .filter(part => part && part !== 'Estimate');
+        const last = parts[parts.length - 1];
+
+        if (!last || last === 'Total') {
+            return meta.concept || name;
+        }
+
+        return last;
+    }
+
+    /**
+     * Get full label including concept, for search results and tooltips
+     */
+    getDescription(name) {
+        const meta = this.variables.get(name);
+        if (!meta) return name;
+
+        if (meta.custom) {
+            return meta.description || meta.label;
+        }
+
+        const label = meta.label.replace(/^Estimate!!/, '').replace(/!!/g, ' › ');
+        return meta.concept ? `${meta.concept} — ${label}` : label;
+    }
+
+    /**
+     * Infer the unit of a variable
+     */
+    getUnit(name) {
+        const meta = this.variables.get(name);
+        if (!meta) return 'number';
+
+        if (meta.unit) {
+            return meta.unit;
+        }
+
+        const text = `${meta.concept} ${meta.label}`.toUpperCase();
+
+        if (/PE$/.test(name) || /^PERCENT/.test(meta.label.replace(/^Estimate!!/, '').toUpperCase())) {
+            return 'percent';
+        }
+
+        // Dollar tables only hold money amounts for medians/aggregates; the rest count households
+        if (text.includes('DOLLARS') && /MEDIAN|AGGREGATE|MEAN|PER CAPITA/.test(text)) {
+            return 'currency';
+        }
+
+        if (text.includes('MEDIAN AGE')) {
+            return 'years';
+        }
+
+        return meta.predicateType === 'float' ? 'number' : 'count';
+    }
+
+    /**
+     * Format a value for display
+     */
+    format(value, name) {
+        if (value === null || value === undefined || isNaN(value)) return 'N/A';
+
+        const formatter = this.formatters[this.getUnit(name)] || this.formatters.number;
+        return formatter(value);
+    }
+
+    /**
+     * Get table groups
+     */
+    getGroups() {
+        return Array.from(this.groups.values());
+    }
+
+    /**
+     * Get variables belonging to a table
+     */
+    getGroupVariables(groupName) {
+        return Array.from(this.variables.values()).filter(v => v.group === groupName);
+    }
+
+    // ============================================================================
+    // SEARCH
+    // ============================================================================
+
+    /**
+     * Search variables by name, table, concept or label
+     */
+    search(query, limit = 50) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        const results = [];
+
+        for (const meta of this.variables.values()) {
+            const name = meta.name.toLowerCase();
+            const group = meta.group.toLowerCase();
+            const label = meta.label.toLowerCase();
+            const concept = meta.concept.toLowerCase();
+            const displayName = (this.displayNames[meta.name] || '').toLowerCase();
+
+            let score = 0;
+            let matchedAll = true;
+
+            for (const term of terms) {
+                if (name === term) score += 100;
+                else if (name.startsWith(term)) score += 50;
+                else if (group === term) score += 40;
+                else if (displayName.includes(term)) score += 30;
+                else if (concept.includes(term)) score += 10;
+                else if (label.includes(term)) score += 5;
+                else {
+                    matchedAll = false;
+                    break;
+                }
+            }
+
+            if (matchedAll) {
+                results.push({
+                    name: meta.name,
+                    label: this.getLabel(meta.name),
+                    description: this.getDescription(meta.name),
+                    group: meta.group,
+                    score
+                });
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+            .slice(0, limit);
+    }
+
+    // ============================================================================
+    // EVENT SYSTEM
+    // ============================================================================
+
+    eventHandlers = new Map();
+
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, new Set());
+        }
+        this.eventHandlers.get(event).add(handler);
+    }
+
+    off(event, handler) {
+        if (this.eventHandlers.has(event)) {
+            this.eventHandlers.get(event).delete(handler);
+        }
+    }
+
+    emit(event, data) {
+        if (this.eventHandlers.has(event)) {
+            this.eventHandlers.get(event).forEach(handler => {
+                try {
+                    handler(data);
+                } catch (error) {
+                    console.error(`Error in event handler for ${event}:`, error);
+                }
+            });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VariableCatalog };
+}
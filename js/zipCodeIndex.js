@@ -11,9 +11,14 @@ class ZIPCodeIndex {
         this.stateIndex = new Map();
         this.cityIndex = new Map();
         this.countyIndex = new Map();
-        this.spatialIndex = new Map();
+        this.spatialIndex = new SpatialIndex();
+        this.placeIndex = new PlaceSearchIndex();
+        this.geographyIndex = new Map(); // geography id -> Map(geoid -> record)
+        this.geographySpatialIndex = new Map(); // geography id -> SpatialIndex, built on first search
+        this.geographyLoads = new Map();
         this.loaded = false;
         this.totalRecords = 0;
+        this.sourceReport = null;
         
         // Performance metrics
         this.metrics = {
@@ -24,60 +29,239 @@ class ZIPCodeIndex {
     }
 
     /**
-     * Load ZIP code data from CSV file
-     * @param {string} csvUrl - URL to CSV file
-     * @param {Object} options - Loading options
+     * Load ZIP code data from a CSV (or tab-separated) file, indexing records as
+     * the response streams in
+     * @param {string} csvUrl - URL to CSV file with zip, lat and lng columns
+     *   (Census Gazetteer GEOID/INTPTLAT/INTPTLONG headers are accepted too)
+     * @param {Object} options - delimiter, progressCallback({loaded, errors, bytes,
+     *   totalBytes, percent}), errorCallback(error, line, lineNumber), progressInterval, signal
      * @returns {Promise<boolean>}
      */
-    // Update js/zipCodeIndex.js - replace loadFromCSV with:
-async loadFromJSON(jsonUrl) {
-    try {
-        const response = await fetch(jsonUrl);
-        const data = await response.json();
-        
-        // If it's an array
-        if (Array.isArray(data)) {
-            data.forEach(record => this.indexRecord(record));
-        } 
-        // If it's an index object {zip: data}
-        else {
-            Object.values(data).forEach(record => this.indexRecord(record));
+    async loadFromCSV(csvUrl, options = {}) {
+        const {
+            delimiter = null,
+            progressCallback = null,
+            errorCallback = null,
+            progressInterval = 5000,
+            signal = null
+        } = options;
+
+        const startTime = performance.now();
+        let parseTime = 0;
+        let indexTime = 0;
+        let headers = null;
+        let loaded = 0;
+        let errors = 0;
+        let bytes = 0;
+
+        const response = await fetch(csvUrl, { signal });
+        if (!response.ok) {
+            throw new Error(`Failed to load ZIP codes from ${csvUrl}: HTTP ${response.status}`);
         }
-        
+
+        const totalBytes = Number(response.headers?.get?.('Content-Length')) || null;
+        const rowParser = new CSVRowParser({
+            delimiter,
+            // An unterminated quote loses only its record, like any other malformed line
+            onError: (error, text, line) => {
+                errors++;
+                if (errorCallback) {
+                    errorCallback(error, text, line);
+                }
+            }
+        });
+
+        const reportProgress = () => {
+            if (!progressCallback) return;
+            progressCallback({
+                loaded,
+                errors,
+                bytes,
+                totalBytes,
+                percent: totalBytes ? Math.min(100, Math.round(bytes / totalBytes * 100)) : null
+            });
+        };
+
+        const handleRows = (rows) => {
+            for (const row of rows) {
+                if (!headers) {
+                    headers = this.parseCSVHeaders(row.fields);
+                    continue;
+                }
+
+                let record;
+                const parseStart = performance.now();
+                try {
+                    record = this.parseCSVRecord(row.fields, headers);
+                } catch (error) {
+                    errors++;
+                    if (errorCallback) {
+                        errorCallback(error, row.text, row.line);
+                    }
+                    continue;
+                } finally {
+                    parseTime += performance.now() - parseStart;
+                }
+
+                const indexStart = performance.now();
+                this.indexRecord(record);
+                indexTime += performance.now() - indexStart;
+
+                loaded++;
+                if (loaded % progressInterval === 0) {
+                    reportProgress();
+                }
+            }
+        };
+
+        if (response.body && typeof response.body.getReader === 'function') {
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                bytes += value.byteLength;
+                handleRows(rowParser.push(decoder.decode(value, { stream: true })));
+            }
+            handleRows(rowParser.push(decoder.decode()));
+        } else {
+            const text = await response.text();
+            bytes = text.length;
+            handleRows(rowParser.push(text));
+        }
+        handleRows(rowParser.end());
+
+        if (!headers) {
+            throw new Error(`ZIP code file ${csvUrl} is empty`);
+        }
+
+        const spatialStart = performance.now();
+        this.buildSpatialIndex();
+        indexTime += performance.now() - spatialStart;
+
         this.loaded = true;
         this.totalRecords = this.zips.size;
-        this.buildSpatialIndex();
-        
-        console.log(`Loaded ${this.totalRecords} ZIP codes from JSON`);
+        this.metrics = {
+            loadTime: performance.now() - startTime,
+            parseTime,
+            indexTime
+        };
+        reportProgress();
+
+        console.log(`Loaded ${loaded} ZIP codes from CSV in ${this.metrics.loadTime.toFixed(0)}ms` +
+            (errors > 0 ? ` (${errors} lines skipped)` : ''));
         return true;
-        
-    } catch (error) {
-        console.error('Failed to load JSON:', error);
-        throw error;
     }
-}
 
     /**
-     * Parse CSV headers
+     * Load ZIP code data from JSON (an array of records or an object keyed by ZIP)
+     * @param {Object} options - progressCallback({loaded}) is called once loaded
+     */
+    async loadFromJSON(jsonUrl, options = {}) {
+        const startTime = performance.now();
+
+        try {
+            const response = await fetch(jsonUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to load ZIP codes from ${jsonUrl}: HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.metrics.parseTime = performance.now() - startTime;
+
+            const indexStart = performance.now();
+
+            // If it's an array
+            if (Array.isArray(data)) {
+                data.forEach(record => this.indexRecord(record));
+            }
+            // If it's an index object {zip: data}
+            else {
+                Object.entries(data).forEach(([zip, record]) => this.indexRecord({ zip, ...record }));
+            }
+
+            this.loaded = true;
+            this.totalRecords = this.zips.size;
+            this.buildSpatialIndex();
+            this.metrics.indexTime = performance.now() - indexStart;
+            this.metrics.loadTime = performance.now() - startTime;
+
+            options.progressCallback?.({ loaded: this.totalRecords, errors: 0 });
+
+            console.log(`Loaded ${this.totalRecords} ZIP codes from JSON`);
+            return true;
+
+        } catch (error) {
+            console.error('Failed to load JSON:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load ZIP codes merged from the gazetteer sources (Census Gazetteer,
+     * HUD crosswalk, centroid JSON); see GazetteerLoader
+     * @param {GazetteerLoader} loader - Defaults to the manifest-driven loader
+     * @param {Object} options - progressCallback and errorCallback, see GazetteerLoader.load
+     * @returns {Promise<Object>} Load report (sources, skipped ZIPs, warnings)
+     */
+    async loadFromGazetteer(loader = new GazetteerLoader(), options = {}) {
+        const startTime = performance.now();
+        const { records, report } = await loader.load(options);
+        this.metrics.parseTime = report.loadTime;
+
+        const indexStart = performance.now();
+        records.forEach(record => this.indexRecord(record));
+        this.buildSpatialIndex();
+        this.metrics.indexTime = performance.now() - indexStart;
+
+        this.loaded = true;
+        this.totalRecords = this.zips.size;
+        this.sourceReport = report;
+        this.metrics.loadTime = performance.now() - startTime;
+
+        const used = report.sources.filter(source => source.status === 'loaded').map(source => source.id);
+        console.log(`Loaded ${this.totalRecords} ZIP codes from ${used.join(', ')}`);
+        report.warnings.forEach(warning => console.warn(warning));
+
+        return report;
+    }
+
+    /**
+     * Whether any loaded ZIP record has a field (state_id, city, county_fips...)
+     */
+    hasField(field) {
+        const indexes = { state_id: this.stateIndex, city: this.cityIndex, county_fips: this.countyIndex };
+        if (indexes[field]) {
+            return indexes[field].size > 0;
+        }
+
+        for (const record of this.zips.values()) {
+            if (record[field] !== undefined) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Parse CSV headers (a header line or already split fields), mapping
+     * Census Gazetteer names onto the record fields
      */
     parseCSVHeaders(headerLine) {
-        return headerLine.split(',').map(h => h.trim().replace(/"/g, ''));
+        const aliases = {
+            geoid: 'zip', zcta: 'zip', zip_code: 'zip', intptlat: 'lat', intptlong: 'lng', lon: 'lng', aland_sqmi: 'aland_sqmi'
+        };
+        const fields = Array.isArray(headerLine) ? headerLine : CSVRowParser.parse(headerLine)[0]?.fields || [];
+
+        return fields.map(h => {
+            const header = h.trim().replace(/"/g, '');
+            return aliases[header.toLowerCase()] || header;
+        });
     }
 
     /**
-     * Parse a single CSV record
+     * Parse a single CSV record (a line or already split fields)
      */
     parseCSVRecord(line, headers) {
-        const regex = /(?:,|^)(?:"([^"]*(?:""[^"]*)*)"|([^",]*))/g;
-        const fields = [];
-        let match;
-        
-        while ((match = regex.exec(line + ',')) !== null) {
-            fields.push((match[1] || match[2] || '').replace(/""/g, '"'));
-        }
-        
-        // Remove trailing empty field
-        fields.pop();
+        const fields = Array.isArray(line) ? line : CSVRowParser.parse(line, { delimiter: ',' })[0]?.fields || [];
 
         if (fields.length !== headers.length) {
             throw new Error(`Field count mismatch: expected ${headers.length}, got ${fields.length}`);
@@ -94,6 +278,7 @@ async loadFromJSON(jsonUrl) {
                     break;
                 case 'lat':
                 case 'lng':
+                case 'aland_sqmi':
                     const num = parseFloat(value);
                     record[header] = isNaN(num) ? null : num;
                     break;
@@ -149,40 +334,17 @@ async loadFromJSON(jsonUrl) {
             }
             this.countyIndex.get(record.county_fips).add(record.zip);
         }
-    }
 
-    /**
-     * Build spatial index for radius searches
-     */
-    buildSpatialIndex() {
-        const GRID_SIZE = 0.5; // Degrees
-        
-        for (const [zip, record] of this.zips) {
-            if (record.lat !== null && record.lng !== null) {
-                const gridKey = this.getGridKey(record.lat, record.lng, GRID_SIZE);
-                
-                if (!this.spatialIndex.has(gridKey)) {
-                    this.spatialIndex.set(gridKey, []);
-                }
-                
-                this.spatialIndex.get(gridKey).push({
-                    zip,
-                    lat: record.lat,
-                    lng: record.lng
-                });
-            }
-        }
-        
-        console.log(`Built spatial index with ${this.spatialIndex.size} grid cells`);
+        // Index names for place search
+        this.placeIndex.addRecord(record);
     }
 
     /**
-     * Get grid key for spatial indexing
+     * Build the spatial index for box, radius, nearest and polygon searches
      */
-    getGridKey(lat, lng, gridSize) {
-        const latGrid = Math.floor(lat / gridSize);
-        const lngGrid = Math.floor(lng / gridSize);
-        return `${latGrid},${lngGrid}`;
+    buildSpatialIndex() {
+        this.spatialIndex = SpatialIndex.fromRecords(this.zips.values(), 'zip');
+        console.log(`Built spatial index over ${this.spatialIndex.size} ZIP codes`);
     }
 
     // ============================================================================
@@ -197,10 +359,11 @@ async loadFromJSON(jsonUrl) {
     }
 
     /**
-     * Search ZIP codes by state
+     * Search ZIP codes by state (code or name)
      */
     getByState(stateId, limit = 100) {
-        const zipSet = this.stateIndex.get(stateId.toUpperCase()) || new Set();
+        const code = PlaceSearchIndex.stateCode(stateId) || stateId.toUpperCase();
+        const zipSet = this.stateIndex.get(code) || new Set();
         const results = [];
         
         for (const zip of zipSet) {
@@ -212,28 +375,33 @@ async loadFromJSON(jsonUrl) {
     }
 
     /**
-     * Search ZIP codes by city
+     * Search ZIP codes by city, best matching city first (see PlaceSearchIndex).
+     * An exact name only returns that city; otherwise prefixes and near misses are ranked.
      */
     searchByCity(cityName, stateId = null, limit = 50) {
+        let places = this.placeIndex.search(cityName, { types: ['city'], state: stateId, limit: 25 });
+        if (places[0]?.match === 'exact') {
+            places = places.filter(place => place.match === 'exact');
+        }
+
         const results = [];
-        const searchTerm = cityName.toLowerCase();
-        
-        for (const [cityKey, zipSet] of this.cityIndex) {
-            const [city, state] = cityKey.split(',');
-            
-            if (city.includes(searchTerm) && (!stateId || state === stateId.toUpperCase())) {
-                for (const zip of zipSet) {
-                    results.push(this.get(zip));
-                    if (results.length >= limit) break;
-                }
+        for (const place of places) {
+            for (const zip of this.placeIndex.getZips(place.id)) {
+                results.push(this.get(zip));
+                if (results.length >= limit) return results;
             }
-            
-            if (results.length >= limit) break;
         }
-        
         return results;
     }
 
+    /**
+     * Ranked cities, counties, states and ZIPs for a partly typed query
+     * @param {Object} options - types, state and limit (see PlaceSearchIndex.search)
+     */
+    searchPlaces(query, options = {}) {
+        return this.placeIndex.search(query, options);
+    }
+
     /**
      * Search ZIP codes by county
      */
@@ -250,85 +418,140 @@ async loadFromJSON(jsonUrl) {
     }
 
     /**
-     * Search ZIP codes within radius
+     * Search ZIP codes within radius, nearest first, each with `distance` in km
      */
     searchByRadius(lat, lng, radiusKm, limit = 100) {
-        const results = [];
-        const earthRadius = 6371; // km
-        
-        // Calculate bounding box
-        const latDelta = radiusKm / 111.32;
-        const lngDelta = radiusKm / (111.32 * Math.cos(lat * Math.PI / 180));
-        
-        const minLat = lat - latDelta;
-        const maxLat = lat + latDelta;
-        const minLng = lng - lngDelta;
-        const maxLng = lng + lngDelta;
-        
-        // Grid size for spatial indexing
-        const GRID_SIZE = 0.5;
-        const minLatGrid = Math.floor(minLat / GRID_SIZE);
-        const maxLatGrid = Math.floor(maxLat / GRID_SIZE);
-        const minLngGrid = Math.floor(minLng / GRID_SIZE);
-        const maxLngGrid = Math.floor(maxLng / GRID_SIZE);
-        
-        // Check relevant grid cells
-        for (let latGrid = minLatGrid; latGrid <= maxLatGrid; latGrid++) {
-            for (let lngGrid = minLngGrid; lngGrid <= maxLngGrid; lngGrid++) {
-                const gridKey = `${latGrid},${lngGrid}`;
-                const cells = this.spatialIndex.get(gridKey) || [];
-                
-                for (const cell of cells) {
-                    if (cell.lat >= minLat && cell.lat <= maxLat &&
-                        cell.lng >= minLng && cell.lng <= maxLng) {
-                        
-                        // Calculate exact distance
-                        const dLat = (cell.lat - lat) * Math.PI / 180;
-                        const dLng = (cell.lng - lng) * Math.PI / 180;
-                        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                                 Math.cos(lat * Math.PI / 180) * 
-                                 Math.cos(cell.lat * Math.PI / 180) *
-                                 Math.sin(dLng/2) * Math.sin(dLng/2);
-                        const distance = earthRadius * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-                        
-                        if (distance <= radiusKm) {
-                            const record = this.get(cell.zip);
-                            if (record) {
-                                results.push({
-                                    ...record,
-                                    distance
-                                });
-                            }
-                            
-                            if (results.length >= limit) {
-                                return results.sort((a, b) => a.distance - b.distance);
-                            }
-                        }
-                    }
-                }
-            }
-        }
-        
-        return results.sort((a, b) => a.distance - b.distance);
+        return this.spatialIndex.searchRadius(lat, lng, radiusKm, limit)
+            .map(({ id, distance }) => ({ ...this.get(id), distance }));
+    }
+
+    /**
+     * The k ZIP codes closest to a point, nearest first, each with `distance` in km
+     * @param {number} maxDistanceKm - Optional cut-off
+     */
+    searchNearest(lat, lng, k = 10, maxDistanceKm = Infinity) {
+        return this.spatialIndex.nearest(lat, lng, k, maxDistanceKm)
+            .map(({ id, distance }) => ({ ...this.get(id), distance }));
     }
 
     /**
-     * Search ZIP codes by bounding box
+     * Search ZIP codes by bounding box [minLat, minLng, maxLat, maxLng], in ZIP order
      */
     searchByBoundingBox(bounds, limit = 200) {
-        const results = [];
-        const [minLat, minLng, maxLat, maxLng] = bounds;
-        
-        for (const [zip, record] of this.zips) {
-            if (record.lat >= minLat && record.lat <= maxLat &&
-                record.lng >= minLng && record.lng <= maxLng) {
-                results.push(record);
-                
-                if (results.length >= limit) break;
+        return this.spatialIndex.searchBounds(bounds, limit).map(zip => this.get(zip));
+    }
+
+    /**
+     * Search ZIP codes whose centroid is inside a polygon, in ZIP order
+     * @param {Object|Array} polygon - GeoJSON Polygon/MultiPolygon (or Feature), or a ring of [lng, lat]
+     */
+    searchByPolygon(polygon, limit = 200) {
+        return this.spatialIndex.searchPolygon(polygon, limit).map(zip => this.get(zip));
+    }
+
+    // ============================================================================
+    // OTHER GEOGRAPHIES
+    // ============================================================================
+
+    /**
+     * Load centroids for a non-ZCTA geography (once per geography)
+     * @param {string} geographyId - Registry id such as 'tract'
+     * @param {string} url - JSON keyed by GEOID, or an array of records with `geoid`
+     * @returns {Promise<number>} Number of indexed records
+     */
+    loadGeographyCentroids(geographyId, url) {
+        if (this.geographyLoads.has(geographyId)) {
+            return this.geographyLoads.get(geographyId);
+        }
+
+        const load = (async () => {
+            const startTime = performance.now();
+            const response = await fetch(url);
+
+            if (!response.ok) {
+                throw new Error(`Failed to load ${geographyId} centroids from ${url}: HTTP ${response.status}`);
             }
+
+            const data = await response.json();
+            const records = Array.isArray(data) ?
+                data :
+                Object.entries(data).map(([geoid, record]) => ({ geoid, ...record }));
+
+            records.forEach(record => this.indexGeographyRecord(geographyId, record));
+
+            const count = this.geographyIndex.get(geographyId)?.size || 0;
+            console.log(`Loaded ${count} ${geographyId} centroids in ${(performance.now() - startTime).toFixed(0)}ms`);
+            return count;
+        })();
+
+        // Allow a later retry if loading failed
+        load.catch(() => this.geographyLoads.delete(geographyId));
+
+        this.geographyLoads.set(geographyId, load);
+        return load;
+    }
+
+    /**
+     * Index a single non-ZCTA geography record
+     */
+    indexGeographyRecord(geographyId, record) {
+        const lat = parseFloat(record.lat);
+        const lng = parseFloat(record.lng);
+
+        if (!record.geoid || isNaN(lat) || isNaN(lng)) {
+            return;
         }
-        
-        return results;
+
+        if (!this.geographyIndex.has(geographyId)) {
+            this.geographyIndex.set(geographyId, new Map());
+        }
+
+        this.geographySpatialIndex.delete(geographyId);
+        this.geographyIndex.get(geographyId).set(String(record.geoid), {
+            ...record,
+            geoid: String(record.geoid),
+            lat,
+            lng
+        });
+    }
+
+    /**
+     * Get records keyed by GEOID for a geography (ZCTAs are the ZIP records)
+     */
+    getGeographyRecords(geographyId) {
+        if (geographyId === 'zcta') {
+            return this.zips;
+        }
+        return this.geographyIndex.get(geographyId) || new Map();
+    }
+
+    /**
+     * Get a single geography record
+     */
+    getGeography(geographyId, geoid) {
+        return this.getGeographyRecords(geographyId).get(geoid) || null;
+    }
+
+    /**
+     * Find geography records whose centroid falls in a bounding box, in GEOID order
+     * @param {Function} filter - Optional predicate on the GEOID
+     */
+    searchGeographiesByBoundingBox(geographyId, bounds, limit = 200, filter = null) {
+        if (geographyId === 'zcta') {
+            return this.searchByBoundingBox(bounds, filter ? Infinity : limit)
+                .filter(record => !filter || filter(record.zip))
+                .slice(0, limit);
+        }
+
+        const records = this.getGeographyRecords(geographyId);
+        if (!this.geographySpatialIndex.has(geographyId)) {
+            this.geographySpatialIndex.set(geographyId, SpatialIndex.fromRecords(records.values(), 'geoid'));
+        }
+
+        return this.geographySpatialIndex.get(geographyId).searchBounds(bounds)
+            .filter(geoid => !filter || filter(geoid))
+            .slice(0, limit)
+            .map(geoid => records.get(geoid));
     }
 
     /**
@@ -355,7 +578,10 @@ async loadFromJSON(jsonUrl) {
             states: this.stateIndex.size,
             cities: this.cityIndex.size,
             counties: this.countyIndex.size,
-            spatialCells: this.spatialIndex.size,
+            spatialPoints: this.spatialIndex.size,
+            geographies: Object.fromEntries(
+                Array.from(this.geographyIndex, ([id, records]) => [id, records.size])
+            ),
             loaded: this.loaded,
             metrics: { ...this.metrics }
         };
@@ -385,9 +611,14 @@ async loadFromJSON(jsonUrl) {
         this.stateIndex.clear();
         this.cityIndex.clear();
         this.countyIndex.clear();
-        this.spatialIndex.clear();
+        this.spatialIndex = new SpatialIndex();
+        this.placeIndex.clear();
+        this.geographyIndex.clear();
+        this.geographySpatialIndex.clear();
+        this.geographyLoads.clear();
         this.loaded = false;
         this.totalRecords = 0;
+        this.sourceReport = null;
         this.metrics = {
             loadTime: 0,
             parseTime: 0,
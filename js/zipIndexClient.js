@@ -0,0 +1,325 @@
+// ============================================================================
+// ZIP INDEX CLIENT
+// ============================================================================
+
+/**
+ * ZIPCodeIndex behind a Web Worker, so parsing, indexing and spatial searches
+ * don't block the map. Queries return promises; the records themselves (and the
+ * non-ZCTA geographies) stay on this thread for rendering, so `zips`,
+ * `getGeographyRecords()` and `getGeography()` remain synchronous.
+ *
+ * Without worker support (or if the worker script fails to load) the same
+ * calls run on this thread instead.
+ */
+class ZIPIndexClient {
+    constructor(options = {}) {
+        // Configuration
+        this.config = {
+            workerUrl: 'js/zipIndexWorker.js',
+            useWorker: typeof Worker !== 'undefined',
+            ...options
+        };
+
+        // Records for rendering; the whole index when running without a worker
+        this.local = new ZIPCodeIndex();
+        this.host = null;
+
+        // Worker state
+        this.worker = null;
+        this.pending = new Map(); // id -> {method, args, handlers, resolve, reject}
+        this.nextId = 1;
+
+        // Load results
+        this.fields = {};
+        this.stats = null;
+        this.sourceReport = null;
+
+        if (this.config.useWorker) {
+            this.startWorker();
+        }
+    }
+
+    // ============================================================================
+    // WORKER MESSAGING
+    // ============================================================================
+
+    startWorker() {
+        try {
+            this.worker = new Worker(this.config.workerUrl);
+        } catch (error) {
+            console.warn('ZIP index worker unavailable, indexing on the main thread:', error.message);
+            this.worker = null;
+            return;
+        }
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => this.handleWorkerFailure(event);
+    }
+
+    /**
+     * Send a call to the worker (or run it here without one)
+     * @param {Object} handlers - progressCallback and errorCallback for loads
+     */
+    call(method, args = [], handlers = {}) {
+        if (!this.worker) {
+            return this.runLocal(method, args, handlers);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { method, args, handlers, resolve, reject });
+            this.worker.postMessage({ id, method, args });
+        });
+    }
+
+    handleMessage(message) {
+        const entry = this.pending.get(message.id);
+        if (!entry) return;
+
+        if (message.event) {
+            this.notify(entry.handlers, message);
+            return;
+        }
+
+        this.pending.delete(message.id);
+
+        if (message.error) {
+            const error = new Error(message.error.message);
+            error.name = message.error.name;
+            error.status = message.error.status;
+            entry.reject(error);
+        } else {
+            entry.resolve(message.result);
+        }
+    }
+
+    notify(handlers, message) {
+        if (message.event === 'progress') {
+            handlers.progressCallback?.(message.progress);
+        } else if (message.event === 'parseError') {
+            handlers.errorCallback?.(new Error(message.message), message.line, message.lineNumber, message.source);
+        }
+    }
+
+    /**
+     * The worker script failed (e.g. blocked or missing): finish on this thread
+     */
+    handleWorkerFailure(event) {
+        event.preventDefault?.();
+        console.warn('ZIP index worker failed, indexing on the main thread:', event.message || event);
+
+        this.worker.terminate();
+        this.worker = null;
+
+        const pending = Array.from(this.pending.values());
+        this.pending.clear();
+
+        for (const { method, args, handlers, resolve, reject } of pending) {
+            this.runLocal(method, args, handlers).then(resolve, reject);
+        }
+    }
+
+    runLocal(method, args, handlers) {
+        if (!this.host) {
+            this.host = new ZIPIndexHost({ index: this.local, packRecords: false });
+        }
+        return this.host.handle(method, args, (message) => this.notify(handlers, message));
+    }
+
+    /**
+     * Stop the worker; later calls run on this thread
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pending.forEach(({ reject }) => reject(new Error('ZIP index worker terminated')));
+        this.pending.clear();
+    }
+
+    // ============================================================================
+    // LOADING
+    // ============================================================================
+
+    /**
+     * Load ZIP codes from the gazetteer sources (see ZIPCodeIndex.loadFromGazetteer)
+     * @param {Object} options - progressCallback and errorCallback, plus GazetteerLoader
+     *   options such as sources or manifestUrl
+     * @returns {Promise<Object>} Load report
+     */
+    async loadFromGazetteer(options = {}) {
+        const { progressCallback, errorCallback, ...loaderOptions } = options;
+        const result = await this.call('loadFromGazetteer', [{
+            baseUrl: typeof location !== 'undefined' ? location.href : null,
+            ...loaderOptions
+        }], { progressCallback, errorCallback });
+
+        this.applyLoad(result);
+        return result.report;
+    }
+
+    /**
+     * Stream ZIP codes from a CSV/TSV file (see ZIPCodeIndex.loadFromCSV)
+     */
+    async loadFromCSV(url, options = {}) {
+        const { progressCallback, errorCallback, ...csvOptions } = options;
+        const absoluteUrl = typeof location !== 'undefined' ? new URL(url, location.href).href : url;
+        const result = await this.call('loadFromCSV', [absoluteUrl, csvOptions], { progressCallback, errorCallback });
+
+        this.applyLoad(result);
+        return true;
+    }
+
+    /**
+     * Rebuild the local records from a load result (already there without a worker)
+     */
+    applyLoad(result) {
+        if (result.records) {
+            const { lat, lng } = result.coordinates;
+            this.local.zips.clear();
+
+            result.records.forEach((record, i) => {
+                record.lat = lat[i];
+                record.lng = lng[i];
+                this.local.zips.set(record.zip, record);
+            });
+
+            this.local.loaded = true;
+            this.local.totalRecords = this.local.zips.size;
+        }
+
+        this.fields = result.fields;
+        this.stats = result.stats;
+        this.sourceReport = result.report;
+        this.local.sourceReport = result.report;
+    }
+
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+
+    get zips() {
+        return this.local.zips;
+    }
+
+    get loaded() {
+        return this.local.loaded;
+    }
+
+    get metrics() {
+        return this.stats?.metrics || this.local.metrics;
+    }
+
+    async get(zip) {
+        return this.local.get(String(zip));
+    }
+
+    async getByState(stateId, limit = 100) {
+        return this.toRecords(await this.call('getByState', [stateId, limit]));
+    }
+
+    async searchByCity(cityName, stateId = null, limit = 50) {
+        return this.toRecords(await this.call('searchByCity', [cityName, stateId, limit]));
+    }
+
+    /**
+     * Ranked place suggestions (see ZIPCodeIndex.searchPlaces)
+     */
+    async searchPlaces(query, options = {}) {
+        return this.call('searchPlaces', [query, options]);
+    }
+
+    async getByCounty(countyFips, limit = 100) {
+        return this.toRecords(await this.call('getByCounty', [countyFips, limit]));
+    }
+
+    /**
+     * ZIP records within a radius, nearest first, each with `distance` in km
+     */
+    async searchByRadius(lat, lng, radiusKm, limit = 100) {
+        return this.withDistances(await this.call('searchByRadius', [lat, lng, radiusKm, limit]));
+    }
+
+    /**
+     * The k closest ZIP records, nearest first, each with `distance` in km
+     */
+    async searchNearest(lat, lng, k = 10, maxDistanceKm = Infinity) {
+        return this.withDistances(await this.call('searchNearest', [lat, lng, k, maxDistanceKm]));
+    }
+
+    async searchByBoundingBox(bounds, limit = 200) {
+        return this.toRecords(await this.call('searchByBoundingBox', [bounds, limit]));
+    }
+
+    async searchByPolygon(polygon, limit = 200) {
+        return this.toRecords(await this.call('searchByPolygon', [polygon, limit]));
+    }
+
+    toRecords(zips) {
+        return zips.map(zip => this.local.zips.get(zip)).filter(Boolean);
+    }
+
+    withDistances({ zips, distances }) {
+        return zips.map((zip, i) => ({ ...this.local.zips.get(zip), distance: distances[i] }));
+    }
+
+    /**
+     * Whether any loaded ZIP record has a field (state_id, city, county_fips...)
+     */
+    hasField(field) {
+        if (field in this.fields) {
+            return this.fields[field];
+        }
+        return this.local.hasField(field);
+    }
+
+    getStats() {
+        const localStats = this.local.getStats();
+        return {
+            ...(this.stats || localStats),
+            geographies: localStats.geographies,
+            worker: this.worker !== null
+        };
+    }
+
+    // Other geographies are small and stay on this thread
+
+    loadGeographyCentroids(geographyId, url) {
+        return this.local.loadGeographyCentroids(geographyId, url);
+    }
+
+    getGeographyRecords(geographyId) {
+        return this.local.getGeographyRecords(geographyId);
+    }
+
+    getGeography(geographyId, geoid) {
+        return this.local.getGeography(geographyId, geoid);
+    }
+
+    /**
+     * Areas of a geography with centroids in a box; ZCTAs come from the worker's
+     * index, filtered here (functions cannot be posted to it)
+     */
+    async searchGeographiesByBoundingBox(geographyId, bounds, limit = 200, filter = null) {
+        if (geographyId === 'zcta') {
+            return (await this.searchByBoundingBox(bounds, filter ? Infinity : limit))
+                .filter(record => !filter || filter(record.zip))
+                .slice(0, limit);
+        }
+        return this.local.searchGeographiesByBoundingBox(geographyId, bounds, limit, filter);
+    }
+
+    async clear() {
+        await this.call('clear');
+        this.local.clear();
+        this.fields = {};
+        this.stats = null;
+        this.sourceReport = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ZIPIndexClient };
+}
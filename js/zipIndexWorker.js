@@ -0,0 +1,147 @@
+// ============================================================================
+// ZIP INDEX WORKER
+// ============================================================================
+
+/**
+ * Runs ZIPCodeIndex loads and queries for ZIPIndexClient. In a worker it answers
+ * {id, method, args} messages with {id, result} or {id, error}, posting
+ * {id, event: 'progress' | 'parseError'} while loading; on the page it is the
+ * fallback when workers are unavailable.
+ *
+ * Queries return ZIP codes rather than records: the client keeps its own copy of
+ * the records, sent once after loading with coordinates as transferable arrays.
+ */
+class ZIPIndexHost {
+    constructor(options = {}) {
+        this.index = options.index || new ZIPCodeIndex();
+        // Whether load results carry the records (false when sharing the index)
+        this.packRecords = options.packRecords !== false;
+
+        this.methods = {
+            loadFromGazetteer: (args, notify) => this.loadFromGazetteer(args[0], notify),
+            loadFromCSV: (args, notify) => this.loadFromCSV(args[0], args[1], notify),
+            getByState: (args) => this.codes(this.index.getByState(...args)),
+            searchByCity: (args) => this.codes(this.index.searchByCity(...args)),
+            searchPlaces: (args) => this.index.searchPlaces(...args),
+            getByCounty: (args) => this.codes(this.index.getByCounty(...args)),
+            searchByBoundingBox: (args) => this.codes(this.index.searchByBoundingBox(...args)),
+            searchByPolygon: (args) => this.codes(this.index.searchByPolygon(...args)),
+            searchByRadius: (args) => this.withDistances(this.index.searchByRadius(...args)),
+            searchNearest: (args) => this.withDistances(this.index.searchNearest(...args)),
+            clear: () => this.index.clear()
+        };
+    }
+
+    /**
+     * Run one method
+     * @param {Function} notify - Receives {event, ...} progress and parse error messages
+     */
+    async handle(method, args = [], notify = () => {}) {
+        const run = this.methods[method];
+        if (!run) {
+            throw new Error(`Unknown ZIP index method: ${method}`);
+        }
+        return run(args, notify);
+    }
+
+    async loadFromGazetteer(loaderOptions = {}, notify) {
+        const report = await this.index.loadFromGazetteer(new GazetteerLoader(loaderOptions), {
+            progressCallback: (progress) => notify({ event: 'progress', progress }),
+            errorCallback: (error, line, lineNumber, source) =>
+                notify({ event: 'parseError', message: error.message, line, lineNumber, source })
+        });
+        return this.loaded(report);
+    }
+
+    async loadFromCSV(url, options = {}, notify) {
+        await this.index.loadFromCSV(url, {
+            ...options,
+            progressCallback: (progress) => notify({ event: 'progress', progress }),
+            errorCallback: (error, line, lineNumber) =>
+                notify({ event: 'parseError', message: error.message, line, lineNumber })
+        });
+        return this.loaded(null);
+    }
+
+    /**
+     * Load result: stats and field availability, plus the records when packing
+     */
+    loaded(report) {
+        const result = {
+            report,
+            stats: this.index.getStats(),
+            fields: Object.fromEntries(
+                ['state_id', 'city', 'county_fips'].map(field => [field, this.index.hasField(field)])
+            )
+        };
+
+        if (!this.packRecords) {
+            return result;
+        }
+
+        const count = this.index.zips.size;
+        const lat = new Float64Array(count);
+        const lng = new Float64Array(count);
+        const records = new Array(count);
+        let i = 0;
+
+        for (const record of this.index.zips.values()) {
+            const { lat: recordLat, lng: recordLng, ...fields } = record;
+            lat[i] = recordLat;
+            lng[i] = recordLng;
+            records[i] = fields;
+            i++;
+        }
+
+        result.records = records;
+        result.coordinates = { lat, lng };
+        return result;
+    }
+
+    withDistances(results) {
+        return {
+            zips: this.codes(results),
+            distances: Float64Array.from(results, result => result.distance)
+        };
+    }
+
+    codes(records) {
+        return records.filter(Boolean).map(record => record.zip);
+    }
+
+    /**
+     * Typed array buffers in a result, to transfer instead of copy
+     */
+    static transferables(result) {
+        if (!result || typeof result !== 'object') return [];
+
+        return [result, result.coordinates]
+            .filter(Boolean)
+            .flatMap(value => Object.values(value))
+            .filter(value => ArrayBuffer.isView(value))
+            .map(value => value.buffer);
+    }
+}
+
+// Worker entry point (scripts resolve relative to this file)
+if (typeof importScripts === 'function' && typeof window === 'undefined') {
+    importScripts('csvRowParser.js', 'gazetteerLoader.js', 'spatialIndex.js', 'placeSearchIndex.js', 'zipCodeIndex.js');
+
+    const host = new ZIPIndexHost();
+
+    self.onmessage = async ({ data }) => {
+        const { id, method, args } = data;
+
+        try {
+            const result = await host.handle(method, args, (message) => self.postMessage({ id, ...message }));
+            self.postMessage({ id, result }, ZIPIndexHost.transferables(result));
+        } catch (error) {
+            self.postMessage({ id, error: { name: error.name, message: error.message, status: error.status } });
+        }
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ZIPIndexHost };
+}
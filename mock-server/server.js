@@ -0,0 +1,603 @@
+// ============================================================================
+// MOCK CENSUS API SERVER
+// ============================================================================
+
+/**
+ * Local stand-in for https://api.census.gov/data, driven by fixture tables.
+ *
+ *   node mock-server/server.js [--port 8787] [--latency 0] [--jitter 0]
+ *       [--fail-rate 0] [--fail-status 500] [--rate-limit 0] [--retry-after 5]
+ *       [--strict-geoids] [--require-key] [--fixtures <dir>] [--static <dir>] [--quiet]
+ *
+ * API requests (`/data/<year>/<dataset>?get=...&for=...&in=...&key=...`) are
+ * answered from `<fixtures>/<year>/<dataset>/<geography>.json`: Census-style
+ * array-of-arrays tables holding every column a request may ask for, with the
+ * geography level in the file name (`zip-code-tabulation-area.json`, `county.json`).
+ * Any other path is served from the app directory, so
+ * `http://localhost:8787/?apiBase=/data` runs the whole UI offline.
+ *
+ * Behaviour can be changed while running with `POST /__mock/config` (JSON with
+ * the option names below) and requests inspected with `GET /__mock/requests`.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Columns that identify areas rather than hold data
+const GEOGRAPHY_COLUMNS = ['us', 'state', 'county', 'tract', 'block group', 'place', 'zip code tabulation area', 'zip code'];
+
+// Query parameters that are not predicates
+const RESERVED_PARAMS = ['get', 'for', 'in', 'key', 'ucgid'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.gz': 'application/gzip'
+};
+
+// Options that POST /__mock/config may change at runtime
+const RUNTIME_OPTIONS = [
+    'latency', 'jitter', 'failRate', 'failStatus', 'rateLimit', 'retryAfter',
+    'invalidKeys', 'requireKey', 'strictGeoids', 'forceStatus', 'forceCount', 'quiet'
+];
+
+/**
+ * Mock Census API with fixture data, injected latency and error codes
+ */
+class MockCensusServer {
+    constructor(options = {}) {
+        // Configuration
+        this.defaults = {
+            port: 8787,
+            host: '127.0.0.1',
+            fixturesDir: path.join(__dirname, 'fixtures'),
+            staticDir: path.join(__dirname, '..'),
+            latency: 0,            // ms added to every API response
+            jitter: 0,             // up to this many extra ms, at random
+            failRate: 0,           // share of API requests answered with failStatus
+            failStatus: 500,
+            rateLimit: 0,          // API requests per minute before 429s (0 = unlimited)
+            retryAfter: 5,         // seconds, sent with 429s
+            invalidKeys: ['invalid'],
+            requireKey: false,
+            strictGeoids: false,   // reject a whole request naming an unknown area (400)
+            forceStatus: null,     // answer API requests with this status...
+            forceCount: 0,         // ...this many times (0 = until cleared)
+            quiet: false,
+            ...options
+        };
+        this.config = { ...this.defaults };
+
+        // State
+        this.fixtures = new Map();
+        this.requestLog = [];
+        this.maxRequestLogSize = 500;
+        this.requestTimes = [];
+        this.server = null;
+    }
+
+    // ============================================================================
+    // SERVER
+    // ============================================================================
+
+    /**
+     * Start listening
+     * @returns {Promise<{port: number, host: string}>}
+     */
+    start() {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                console.error('Mock server error:', error);
+                this.send(res, 500, 'error: internal mock server error');
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, () => {
+                const { port } = this.server.address();
+                resolve({ port, host: this.config.host });
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    /**
+     * Route a request
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        // The app may be served from another origin
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', '*');
+        res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+
+        if (req.method === 'OPTIONS') {
+            this.send(res, 204);
+            return;
+        }
+
+        if (url.pathname.startsWith('/__mock/')) {
+            await this.handleControl(req, res, url);
+        } else if (/^\/data\/\d{4}\//.test(url.pathname)) {
+            await this.handleAPI(req, res, url);
+        } else {
+            this.serveStatic(res, url);
+        }
+    }
+
+    /**
+     * Write a response
+     */
+    send(res, status, body = '', headers = {}) {
+        const type = typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8';
+        const payload = typeof body === 'string' ? body : JSON.stringify(body, null, 2);
+
+        res.writeHead(status, status === 204 ? headers : { 'Content-Type': type, ...headers });
+        res.end(status === 204 ? undefined : payload);
+    }
+
+    // ============================================================================
+    // CONTROL ENDPOINTS
+    // ============================================================================
+
+    /**
+     * GET/POST /__mock/config, GET/DELETE /__mock/requests, POST /__mock/reset
+     */
+    async handleControl(req, res, url) {
+        const route = `${req.method} ${url.pathname}`;
+
+        switch (route) {
+            case 'GET /__mock/config':
+                this.send(res, 200, this.config);
+                return;
+
+            case 'POST /__mock/config': {
+                let updates;
+                try {
+                    updates = JSON.parse(await this.readBody(req) || '{}');
+                } catch (error) {
+                    this.send(res, 400, `error: invalid JSON: ${error.message}`);
+                    return;
+                }
+                this.configure(updates);
+                this.send(res, 200, this.config);
+                return;
+            }
+
+            case 'POST /__mock/reset':
+                this.reset();
+                this.send(res, 200, this.config);
+                return;
+
+            case 'GET /__mock/requests':
+                this.send(res, 200, this.requestLog);
+                return;
+
+            case 'DELETE /__mock/requests':
+                this.requestLog = [];
+                this.send(res, 204);
+                return;
+
+            default:
+                this.send(res, 404, `error: unknown control endpoint ${route}`);
+        }
+    }
+
+    /**
+     * Change runtime options
+     */
+    configure(updates) {
+        for (const [name, value] of Object.entries(updates)) {
+            if (RUNTIME_OPTIONS.includes(name)) {
+                this.config[name] = value;
+            }
+        }
+        return this.config;
+    }
+
+    /**
+     * Restore the startup options and clear logs
+     */
+    reset() {
+        this.config = { ...this.defaults };
+        this.requestLog = [];
+        this.requestTimes = [];
+        this.fixtures.clear();
+    }
+
+    /**
+     * Read a request body
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.setEncoding('utf8');
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => resolve(body));
+            req.on('error', reject);
+        });
+    }
+
+    // ============================================================================
+    // CENSUS API
+    // ============================================================================
+
+    /**
+     * Answer an API request after the configured latency
+     */
+    async handleAPI(req, res, url) {
+        const startTime = Date.now();
+        const delay = this.config.latency + Math.random() * this.config.jitter;
+
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        const { status, body, headers } = this.answer(url);
+
+        // Data tables go out one row per line, as the real API writes them
+        if (Array.isArray(body)) {
+            const table = `[${body.map(row => JSON.stringify(row)).join(',\n')}]`;
+            this.send(res, status, table, { 'Content-Type': 'application/json;charset=utf-8', ...headers });
+        } else {
+            this.send(res, status, body, headers);
+        }
+
+        const entry = {
+            time: new Date(startTime).toISOString(),
+            path: url.pathname,
+            query: Object.fromEntries(url.searchParams),
+            status,
+            rows: Array.isArray(body) ? body.length - 1 : 0,
+            duration: Date.now() - startTime
+        };
+
+        this.requestLog.push(entry);
+        if (this.requestLog.length > this.maxRequestLogSize) {
+            this.requestLog.shift();
+        }
+
+        if (!this.config.quiet) {
+            console.log(`${status} ${url.pathname}?${decodeURIComponent(url.searchParams.toString())} (${entry.duration}ms)`);
+        }
+    }
+
+    /**
+     * Build the response for an API URL
+     * @returns {{status: number, body: Array|string, headers?: Object}}
+     */
+    answer(url) {
+        const injected = this.injectedError(url);
+        if (injected) {
+            return injected;
+        }
+
+        const match = url.pathname.match(/^\/data\/(\d{4})\/(.+?)\/?$/);
+        const [, year, dataset] = match;
+
+        // Catalog requests (variables.json, groups.json) come straight from fixtures
+        if (/\.json$/.test(dataset)) {
+            const file = this.resolveFixture(year, dataset);
+            return file && fs.existsSync(file) ?
+                { status: 200, body: JSON.parse(fs.readFileSync(file, 'utf8')) } :
+                { status: 404, body: `error: ${dataset} is not available for ${year}` };
+        }
+
+        if (!fs.existsSync(this.resolveFixture(year, dataset) || '')) {
+            return { status: 404, body: `error: unknown dataset ${year}/${dataset}` };
+        }
+
+        const get = url.searchParams.get('get');
+        const forClause = url.searchParams.get('for');
+
+        if (!get) {
+            return { status: 400, body: "error: missing 'get' parameter" };
+        }
+        if (!forClause) {
+            return { status: 400, body: "error: missing 'for' parameter" };
+        }
+
+        const target = this.parseClause(forClause);
+        const parents = url.searchParams.getAll('in')
+            .flatMap(value => value.split(' ').filter(Boolean))
+            .map(clause => this.parseClause(clause));
+
+        if (!target) {
+            return { status: 400, body: `error: invalid 'for' clause: ${forClause}` };
+        }
+        if (parents.includes(null)) {
+            return { status: 400, body: "error: invalid 'in' clause" };
+        }
+
+        const table = this.loadFixture(year, dataset, target.level);
+        if (!table) {
+            return { status: 400, body: 'error: unknown/unsupported geography hierarchy' };
+        }
+
+        const headers = table[0];
+        const variables = get.split(',');
+
+        const unknown = variables.find(variable => !headers.includes(variable));
+        if (unknown) {
+            return { status: 400, body: `error: error: unknown variable '${unknown}'` };
+        }
+
+        const geographyFilters = [...parents, target];
+        const missingLevel = geographyFilters.find(filter => !headers.includes(filter.level));
+        if (missingLevel) {
+            return { status: 400, body: 'error: unknown/unsupported geography hierarchy' };
+        }
+
+        // Predicates such as NAICS2017=00 filter on their own column
+        const predicates = Array.from(url.searchParams.entries())
+            .filter(([name]) => !RESERVED_PARAMS.includes(name));
+        const unknownPredicate = predicates.find(([name]) => !headers.includes(name));
+        if (unknownPredicate) {
+            return { status: 400, body: `error: error: unknown predicate variable: '${unknownPredicate[0]}'` };
+        }
+
+        const filters = [
+            ...geographyFilters.map(({ level, codes }) => ({ index: headers.indexOf(level), codes })),
+            ...predicates.map(([name, value]) => ({ index: headers.indexOf(name), codes: value.split(',') }))
+        ];
+
+        if (this.config.strictGeoids && target.codes !== '*') {
+            const index = headers.indexOf(target.level);
+            const known = new Set(table.slice(1).map(row => row[index]));
+            const unknownCode = target.codes.find(code => !known.has(code));
+            if (unknownCode) {
+                return { status: 400, body: `error: unknown/unsupported geography: ${target.level}:${unknownCode}` };
+            }
+        }
+
+        const rows = table.slice(1).filter(row =>
+            filters.every(({ index, codes }) => codes === '*' || codes.includes(row[index]))
+        );
+
+        // The real API answers an empty selection with 204 No Content
+        if (rows.length === 0) {
+            return { status: 204, body: '' };
+        }
+
+        // Geography columns follow the data, outermost first
+        const requestedLevels = new Set(geographyFilters.map(filter => filter.level));
+        const geographyColumns = headers.filter(name =>
+            GEOGRAPHY_COLUMNS.includes(name) && requestedLevels.has(name));
+        const columns = [...variables, ...geographyColumns].map(name => headers.indexOf(name));
+
+        return {
+            status: 200,
+            body: [
+                [...variables, ...geographyColumns],
+                ...rows.map(row => columns.map(index => row[index]))
+            ]
+        };
+    }
+
+    /**
+     * Forced statuses, random failures, rate limiting and key checks
+     */
+    injectedError(url) {
+        const now = Date.now();
+        const { forceStatus, failRate, failStatus, rateLimit, retryAfter } = this.config;
+
+        if (forceStatus) {
+            if (this.config.forceCount > 0 && --this.config.forceCount === 0) {
+                this.config.forceStatus = null;
+            }
+            return this.errorResponse(forceStatus);
+        }
+
+        if (rateLimit > 0) {
+            this.requestTimes = this.requestTimes.filter(time => time > now - 60000);
+            if (this.requestTimes.length >= rateLimit) {
+                return this.errorResponse(429, { 'Retry-After': String(retryAfter) });
+            }
+            this.requestTimes.push(now);
+        }
+
+        if (failRate > 0 && Math.random() < failRate) {
+            return this.errorResponse(failStatus);
+        }
+
+        const key = url.searchParams.get('key');
+        if ((this.config.requireKey && !key) || this.config.invalidKeys.includes(key)) {
+            return this.errorResponse(403);
+        }
+
+        return null;
+    }
+
+    /**
+     * Census-style body for an error status
+     */
+    errorResponse(status, headers = {}) {
+        const messages = {
+            204: '',
+            400: 'error: invalid request',
+            403: 'error: Invalid Key. A valid key must be included with each data API request.',
+            404: 'error: not found',
+            429: 'error: too many requests; please slow down',
+            500: 'error: internal server error',
+            503: 'error: service unavailable'
+        };
+
+        if (status === 429 && !headers['Retry-After']) {
+            headers = { ...headers, 'Retry-After': String(this.config.retryAfter) };
+        }
+
+        return { status, body: messages[status] ?? `error: HTTP ${status}`, headers };
+    }
+
+    /**
+     * Parse `level:code,code` or `level:*`
+     */
+    parseClause(clause) {
+        const separator = clause.lastIndexOf(':');
+        if (separator <= 0) return null;
+
+        const level = clause.slice(0, separator).trim();
+        const value = clause.slice(separator + 1).trim();
+
+        return { level, codes: value === '*' ? '*' : value.split(',') };
+    }
+
+    // ============================================================================
+    // FIXTURES
+    // ============================================================================
+
+    /**
+     * Resolve a path under the fixtures directory (null if it escapes it)
+     */
+    resolveFixture(...segments) {
+        const root = path.resolve(this.config.fixturesDir);
+        const file = path.resolve(root, ...segments.flatMap(segment => segment.split('/')));
+        return file === root || file.startsWith(root + path.sep) ? file : null;
+    }
+
+    /**
+     * Load (and keep) the table for one dataset/year/geography level
+     */
+    loadFixture(year, dataset, level) {
+        const file = this.resolveFixture(year, dataset, `${level.replace(/\s+/g, '-')}.json`);
+        if (!file) return null;
+
+        if (!this.fixtures.has(file)) {
+            if (!fs.existsSync(file)) {
+                return null;
+            }
+
+            const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!Array.isArray(table) || !Array.isArray(table[0])) {
+                throw new Error(`Fixture ${file} must be an array of rows with a header row`);
+            }
+            this.fixtures.set(file, table);
+        }
+
+        return this.fixtures.get(file);
+    }
+
+    // ============================================================================
+    // STATIC FILES
+    // ============================================================================
+
+    /**
+     * Serve the app itself
+     */
+    serveStatic(res, url) {
+        const root = path.resolve(this.config.staticDir);
+        let file = path.resolve(root, `.${decodeURIComponent(url.pathname)}`);
+
+        if (file !== root && !file.startsWith(root + path.sep)) {
+            this.send(res, 403, 'Forbidden');
+            return;
+        }
+
+        if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+            file = path.join(file, 'index.html');
+        }
+
+        if (!fs.existsSync(file)) {
+            this.send(res, 404, 'Not found');
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream'
+        });
+        fs.createReadStream(file).pipe(res);
+    }
+}
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+/**
+ * Parse `--name value` flags into server options
+ */
+function parseArgs(args) {
+    const names = {
+        '--port': ['port', Number],
+        '--host': ['host', String],
+        '--latency': ['latency', Number],
+        '--jitter': ['jitter', Number],
+        '--fail-rate': ['failRate', Number],
+        '--fail-status': ['failStatus', Number],
+        '--rate-limit': ['rateLimit', Number],
+        '--retry-after': ['retryAfter', Number],
+        '--fixtures': ['fixturesDir', String],
+        '--static': ['staticDir', String]
+    };
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--quiet') {
+            options.quiet = true;
+        } else if (args[i] === '--require-key') {
+            options.requireKey = true;
+        } else if (args[i] === '--strict-geoids') {
+            options.strictGeoids = true;
+        } else if (names[args[i]]) {
+            const [name, convert] = names[args[i]];
+            options[name] = convert(args[++i]);
+        } else {
+            throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const server = new MockCensusServer(options);
+    server.start().then(({ port, host }) => {
+        console.log(`Mock Census API at http://${host}:${port}/data`);
+        console.log(`App against the mock: http://${host}:${port}/?apiBase=/data`);
+    }).catch(error => {
+        console.error(`Could not start mock server: ${error.message}`);
+        process.exit(1);
+    });
+
+    const shutdown = () => server.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MockCensusServer, parseArgs };
+}